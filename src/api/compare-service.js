@@ -0,0 +1,138 @@
+const { SCHEMA_VERSION, CATEGORIES, getVatRate, toCanonicalPlan } = require('../utils/data/tariff-schema');
+
+/**
+ * Compare Service for side-by-side plan comparison across providers
+ * Uses the structured plans stored next to section rawText, converted to the canonical tariff schema.
+ * Only providers with a tariff extractor (currently Telekom) have plans; the others are reported
+ * under coverage.providersWithoutPlans.
+ */
+class CompareService {
+    constructor(config, dataService) {
+        this.config = config;
+        this.dataService = dataService;
+        this.sortOptions = ['price', 'data', 'name'];
+    }
+
+    /**
+     * Collect canonical plans of one category from a provider dataset
+     * @param {string} providerKey - Provider key
+     * @param {Object} rawData - Raw provider dataset
+     * @param {string} category - Plan category
+     * @param {number} vatRate - VAT rate
+     * @returns {Array} Canonical plans
+     */
+    collectPlans(providerKey, rawData, category, vatRate) {
+        const plans = [];
+        const pdfs = Array.isArray(rawData?.pdfs) ? rawData.pdfs : [];
+
+        pdfs.forEach(pdf => {
+            const pdfTitle = (pdf.cennikName || pdf.pdfType || 'Unknown Document').trim();
+
+            this.dataService.getPdfSections(pdf).forEach(([sectionKey, section]) => {
+                (Array.isArray(section.plans) ? section.plans : [])
+                    .filter(plan => plan.category === category)
+                    .forEach(plan => {
+                        plans.push(toCanonicalPlan(plan, {
+                            provider: providerKey,
+                            providerName: this.config.providers[providerKey].name,
+                            pdf: pdfTitle,
+                            section: sectionKey
+                        }, vatRate));
+                    });
+            });
+        });
+
+        return plans;
+    }
+
+    /**
+     * Sort plans; plans without the sort value go last
+     * @param {Array} plans - Canonical plans
+     * @param {string} sort - 'price' (cheapest first), 'data' (most data first) or 'name'
+     */
+    sortPlans(plans, sort) {
+        const dataRank = plan => plan.dataUnlimited ? Infinity : (plan.dataGb ?? -1);
+
+        return plans.sort((a, b) => {
+            if (sort === 'name') {
+                return a.provider.localeCompare(b.provider) || a.name.localeCompare(b.name);
+            }
+            if (sort === 'data') {
+                return dataRank(b) - dataRank(a) || (a.monthlyPriceWithVat ?? Infinity) - (b.monthlyPriceWithVat ?? Infinity);
+            }
+            return (a.monthlyPriceWithVat ?? Infinity) - (b.monthlyPriceWithVat ?? Infinity) || a.provider.localeCompare(b.provider);
+        });
+    }
+
+    /**
+     * Compare plans of a category across providers
+     * @param {Object} options - { category, provider, minPrice, maxPrice, sort }
+     * @returns {Promise<Object>} Plans side by side with provider coverage
+     */
+    async compare(options = {}) {
+        const category = options.category || 'mobile-plans';
+        const sort = this.sortOptions.includes(options.sort) ? options.sort : 'price';
+        const minPrice = typeof options.minPrice === 'number' ? options.minPrice : null;
+        const maxPrice = typeof options.maxPrice === 'number' ? options.maxPrice : null;
+        const vatRate = getVatRate();
+        const providerKeys = this.dataService.resolveProviderKeys(options.provider);
+
+        const plans = [];
+        const providersWithPlans = [];
+        const providersWithoutPlans = [];
+        const errors = [];
+
+        for (const providerKey of providerKeys) {
+            let entry;
+            try {
+                entry = await this.dataService.getCachedEntry(providerKey);
+            } catch (error) {
+                console.error(`Failed to load plans for ${providerKey}:`, error.message);
+                errors.push({ provider: providerKey, error: error.message });
+                continue;
+            }
+
+            const providerPlans = this.collectPlans(providerKey, entry.raw, category, vatRate);
+            (providerPlans.length > 0 ? providersWithPlans : providersWithoutPlans).push(providerKey);
+            plans.push(...providerPlans);
+        }
+
+        const filtered = plans.filter(plan => {
+            if (minPrice === null && maxPrice === null) {
+                return true;
+            }
+            if (plan.monthlyPriceWithVat === null) {
+                return false;
+            }
+            return (minPrice === null || plan.monthlyPriceWithVat >= minPrice)
+                && (maxPrice === null || plan.monthlyPriceWithVat <= maxPrice);
+        });
+
+        const response = {
+            category,
+            categoryName: CATEGORIES[category],
+            schemaVersion: SCHEMA_VERSION,
+            vatRate,
+            filters: {
+                provider: options.provider || null,
+                minPrice,
+                maxPrice,
+                sort
+            },
+            totalPlans: filtered.length,
+            plans: this.sortPlans(filtered, sort),
+            coverage: {
+                providersWithPlans,
+                providersWithoutPlans
+            }
+        };
+
+        if (errors.length > 0) {
+            response.errors = errors;
+        }
+
+        return response;
+    }
+}
+
+module.exports = CompareService;
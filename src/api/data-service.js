@@ -1,5 +1,10 @@
 const fs = require('fs').promises;
 const path = require('path');
+const { loadConfig } = require('../utils/core/config-loader');
+const DatasetHistory = require('../storage/dataset-history');
+const SectionDiffer = require('../utils/data/section-differ');
+const ChangeLedger = require('../utils/data/change-ledger');
+const { getSectionPrices } = require('../utils/data/value-normalizer');
 
 /**
  * Data Service for reading and processing provider JSON files
@@ -9,6 +14,10 @@ class DataService {
         this.config = config;
         this.cache = new Map();
         this.cacheTimeout = 5 * 60 * 1000; // 5 minutes
+        this.scraperConfig = null;
+        this.datasetHistory = new DatasetHistory();
+        this.sectionDiffer = new SectionDiffer(this.datasetHistory);
+        this.changeLedger = new ChangeLedger();
     }
 
     /**
@@ -45,6 +54,7 @@ class DataService {
 
         return {
             title: title.trim(),
+            effectiveFrom: pdf.effectiveFrom || null,
             rawText: pdf.rawText.trim()
         };
     }
@@ -63,14 +73,33 @@ class DataService {
     }
 
     /**
-     * Get cached data or fetch fresh data
+     * Resolve a provider filter (keys or aliases, comma-separated) to provider keys
+     * @param {string|Array<string>} providerFilter - Raw provider query parameter (an array when repeated)
+     * @returns {Array<string>} Provider keys (all providers when no filter is given)
      */
-    async getCachedData(providerKey) {
+    resolveProviderKeys(providerFilter) {
+        const providerKeys = Object.keys(this.config.providers);
+        if (!providerFilter) {
+            return providerKeys;
+        }
+
+        // ?provider=o2&provider=telekom arrives as an array
+        const requested = [].concat(providerFilter).join(',').split(',').map(p => p.trim().toLowerCase()).filter(Boolean);
+        return providerKeys.filter(key => {
+            const aliases = this.config.providers[key].aliases || [];
+            return requested.includes(key) || aliases.some(alias => requested.includes(alias.toLowerCase()));
+        });
+    }
+
+    /**
+     * Get cached provider entry (raw dataset and processed data) or load it fresh
+     */
+    async getCachedEntry(providerKey) {
         const cached = this.cache.get(providerKey);
         const now = Date.now();
 
         if (cached && (now - cached.timestamp) < this.cacheTimeout) {
-            return cached.data;
+            return cached;
         }
 
         const providerConfig = this.config.providers[providerKey];
@@ -78,22 +107,252 @@ class DataService {
             throw new Error(`Unknown provider: ${providerKey}`);
         }
 
-        try {
-            const rawData = await this.readJsonFile(providerConfig.filePath);
-            const processedData = this.processProviderData(rawData);
+        const rawData = await this.readJsonFile(providerConfig.filePath);
+        const entry = {
+            data: this.processProviderData(rawData),
+            raw: rawData,
+            timestamp: now
+        };
 
-            this.cache.set(providerKey, {
-                data: processedData,
-                timestamp: now
-            });
+        this.cache.set(providerKey, entry);
+        return entry;
+    }
+
+    /**
+     * Get cached data or fetch fresh data
+     */
+    async getCachedData(providerKey) {
+        if (!this.config.providers[providerKey]) {
+            throw new Error(`Unknown provider: ${providerKey}`);
+        }
 
-            return processedData;
+        try {
+            const entry = await this.getCachedEntry(providerKey);
+            return entry.data;
         } catch (error) {
             console.error(`Failed to load data for ${providerKey}:`, error.message);
             return [];
         }
     }
 
+    /**
+     * Get section map of a PDF record (section-based scrapers store it under data.sections)
+     */
+    getPdfSections(pdf) {
+        const sections = (pdf.data && pdf.data.sections) || pdf.sections || {};
+        return Object.entries(sections).filter(([, section]) => section && typeof section === 'object');
+    }
+
+    /**
+     * Resolve configured section title from scraper-config.json, falling back to the key
+     */
+    getSectionTitle(providerKey, sectionKey) {
+        if (!this.scraperConfig) {
+            try {
+                this.scraperConfig = loadConfig();
+            } catch (error) {
+                console.warn('Failed to load scraper configuration for section titles:', error.message);
+                this.scraperConfig = { providers: {} };
+            }
+        }
+
+        const sections = this.scraperConfig.providers?.[providerKey]?.sections || {};
+        return sections[sectionKey] || sectionKey;
+    }
+
+    /**
+     * List sections of all PDFs for a provider with their titles and sizes
+     */
+    async getProviderSections(providerKey) {
+        const entry = await this.getCachedEntry(providerKey);
+        const providerConfig = this.config.providers[providerKey];
+        const pdfs = Array.isArray(entry.raw?.pdfs) ? entry.raw.pdfs : [];
+        const sections = [];
+
+        pdfs.forEach((pdf, pdfIndex) => {
+            const pdfTitle = (pdf.cennikName || pdf.pdfType || 'Unknown Document').trim();
+
+            this.getPdfSections(pdf).forEach(([key, section]) => {
+                const text = section.rawText ? section.rawText.trim() : '';
+                sections.push({
+                    key: key,
+                    title: this.getSectionTitle(providerKey, key),
+                    pdf: pdfTitle,
+                    pdfIndex: pdfIndex,
+                    characters: text.length,
+                    extracted: text.length > 0,
+                    plans: Array.isArray(section.plans) ? section.plans.length : 0,
+                    prices: getSectionPrices(section).length
+                });
+            });
+        });
+
+        return {
+            provider: providerConfig.name,
+            totalSections: sections.length,
+            sections: sections
+        };
+    }
+
+    /**
+     * Get a single section's text and metadata, or null when the provider has no such section
+     */
+    async getProviderSection(providerKey, sectionKey) {
+        const entry = await this.getCachedEntry(providerKey);
+        const providerConfig = this.config.providers[providerKey];
+        const pdfs = Array.isArray(entry.raw?.pdfs) ? entry.raw.pdfs : [];
+
+        for (const pdf of pdfs) {
+            const match = this.getPdfSections(pdf).find(([key]) => key === sectionKey);
+            if (!match) {
+                continue;
+            }
+
+            const text = match[1].rawText ? match[1].rawText.trim() : '';
+            return {
+                provider: providerConfig.name,
+                key: sectionKey,
+                title: this.getSectionTitle(providerKey, sectionKey),
+                pdf: {
+                    title: (pdf.cennikName || pdf.pdfType || 'Unknown Document').trim(),
+                    pdfUrl: pdf.pdfUrl || null
+                },
+                characters: text.length,
+                rawText: text,
+                plans: Array.isArray(match[1].plans) ? match[1].plans : [],
+                prices: getSectionPrices(match[1]).map(({ amount, currency, unit, per, vatIncluded, text }) => ({ amount, currency, unit, per, vatIncluded, text }))
+            };
+        }
+
+        return null;
+    }
+
+    /**
+     * Get structured plans stored next to section rawText across all PDFs of a provider
+     */
+    async getProviderPlans(providerKey) {
+        const entry = await this.getCachedEntry(providerKey);
+        const providerConfig = this.config.providers[providerKey];
+        const pdfs = Array.isArray(entry.raw?.pdfs) ? entry.raw.pdfs : [];
+        const plans = [];
+
+        pdfs.forEach(pdf => {
+            const pdfTitle = (pdf.cennikName || pdf.pdfType || 'Unknown Document').trim();
+
+            this.getPdfSections(pdf).forEach(([key, section]) => {
+                (Array.isArray(section.plans) ? section.plans : []).forEach(plan => {
+                    plans.push({
+                        section: key,
+                        sectionTitle: this.getSectionTitle(providerKey, key),
+                        pdf: pdfTitle,
+                        ...plan
+                    });
+                });
+            });
+        });
+
+        return {
+            provider: providerConfig.name,
+            totalPlans: plans.length,
+            plans: plans
+        };
+    }
+
+    /**
+     * Get version history for a provider, newest first
+     */
+    async getProviderHistory(providerKey) {
+        const providerConfig = this.config.providers[providerKey];
+        if (!providerConfig) {
+            throw new Error(`Unknown provider: ${providerKey}`);
+        }
+
+        const versions = await this.datasetHistory.listVersions(providerKey);
+        return {
+            provider: providerConfig.name,
+            totalVersions: versions.length,
+            versions: versions
+        };
+    }
+
+    /**
+     * Get a stored dataset version, or null when the version does not exist
+     * @param {string} providerKey - Provider key
+     * @param {string} versionId - Version ID or "latest"
+     * @param {boolean} raw - Return the full stored dataset instead of {title, rawText} items
+     */
+    async getProviderVersion(providerKey, versionId, raw = false) {
+        const providerConfig = this.config.providers[providerKey];
+        if (!providerConfig) {
+            throw new Error(`Unknown provider: ${providerKey}`);
+        }
+
+        const stored = await this.datasetHistory.loadVersion(providerKey, versionId);
+        if (!stored) {
+            return null;
+        }
+
+        const pdfs = this.datasetHistory.getPdfRecords(stored.dataset);
+        return {
+            provider: providerConfig.name,
+            version: stored.version,
+            data: raw ? stored.dataset : this.processProviderData({ pdfs })
+        };
+    }
+
+    /**
+     * Get section-by-section diff between two stored versions, or null when a version cannot be resolved
+     * @param {string} providerKey - Provider key
+     * @param {string} fromId - Old version ID (defaults to the version before "to")
+     * @param {string} toId - New version ID (defaults to latest)
+     */
+    async getProviderDiff(providerKey, fromId = null, toId = null) {
+        const providerConfig = this.config.providers[providerKey];
+        if (!providerConfig) {
+            throw new Error(`Unknown provider: ${providerKey}`);
+        }
+
+        const pair = await this.sectionDiffer.resolveVersionPair(providerKey, fromId, toId);
+        if (!pair.fromId || !pair.toId) {
+            return null;
+        }
+
+        const diff = await this.sectionDiffer.diffVersions(providerKey, pair.fromId, pair.toId);
+        const withTitle = section => ({
+            ...section,
+            title: section.key === this.sectionDiffer.fullTextKey ? null : this.getSectionTitle(providerKey, section.key)
+        });
+
+        return {
+            ...diff,
+            provider: providerConfig.name,
+            sections: diff.sections.map(withTitle),
+            unchangedSections: diff.unchangedSections.map(withTitle)
+        };
+    }
+
+    /**
+     * Get change ledger entries after a cursor (not cached: the ledger grows between runs)
+     * @param {Object} options - { since: last seen entry ID, limit, provider: comma-separated keys or aliases }
+     * @returns {Promise<Object>} { since, nextCursor, hasMore, totalChanges, changes }
+     */
+    async getChanges(options = {}) {
+        const providers = options.provider ? this.resolveProviderKeys(options.provider) : null;
+        const page = await this.changeLedger.read({
+            since: options.since,
+            limit: options.limit,
+            providers
+        });
+
+        return {
+            since: options.since || 0,
+            nextCursor: page.nextCursor,
+            hasMore: page.hasMore,
+            totalChanges: page.entries.length,
+            changes: page.entries
+        };
+    }
+
     /**
      * Get data for a specific provider
      */
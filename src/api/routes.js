@@ -1,5 +1,9 @@
 const express = require('express');
 const DataService = require('./data-service');
+const SearchService = require('./search-service');
+const CompareService = require('./compare-service');
+const { CATEGORIES } = require('../utils/data/tariff-schema');
+const { parseNumber } = require('../utils/data/value-normalizer');
 
 /**
  * API Routes for telecom data endpoints
@@ -8,6 +12,8 @@ class ApiRoutes {
     constructor(config) {
         this.config = config;
         this.dataService = new DataService(config);
+        this.searchService = new SearchService(config, this.dataService);
+        this.compareService = new CompareService(config, this.dataService);
         this.router = express.Router();
         this.setupRoutes();
     }
@@ -38,6 +44,116 @@ class ApiRoutes {
             }
         });
 
+        this.router.get('/search', async (req, res) => {
+            const query = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+            if (!query) {
+                return res.status(400).json({
+                    error: 'Missing search query',
+                    message: 'Query parameter "q" is required'
+                });
+            }
+            if (req.query.limit !== undefined && req.query.limit !== '' && !/^[1-9]\d*$/.test(String(req.query.limit))) {
+                return res.status(400).json({
+                    error: 'Invalid search limit',
+                    message: 'Query parameter "limit" must be a positive number'
+                });
+            }
+
+            try {
+                const results = await this.searchService.search(query, {
+                    provider: req.query.provider,
+                    section: req.query.section,
+                    limit: req.query.limit
+                });
+                res.json(results);
+            } catch (error) {
+                console.error('Error in /search endpoint:', error.message);
+                res.status(500).json({
+                    error: 'Failed to search provider data',
+                    message: error.message
+                });
+            }
+        });
+
+        this.router.get('/compare', async (req, res) => {
+            const category = typeof req.query.category === 'string' && req.query.category.trim()
+                ? req.query.category.trim()
+                : 'mobile-plans';
+            if (!CATEGORIES[category]) {
+                return res.status(400).json({
+                    error: 'Unknown category',
+                    message: `Category "${category}" is not supported`,
+                    availableCategories: Object.keys(CATEGORIES)
+                });
+            }
+
+            // Accepts "10.9", "10,90" or "10,90 €"
+            const parsePriceParam = value => {
+                if (value === undefined || value === '') {
+                    return null;
+                }
+                const text = String(value).trim();
+                return /^[\d\s.,]+(?:€|EUR)?$/i.test(text) ? parseNumber(text) : NaN;
+            };
+            const minPrice = parsePriceParam(req.query.minPrice);
+            const maxPrice = parsePriceParam(req.query.maxPrice);
+            if (Number.isNaN(minPrice) || Number.isNaN(maxPrice)) {
+                return res.status(400).json({
+                    error: 'Invalid price range',
+                    message: 'Query parameters "minPrice" and "maxPrice" must be numbers'
+                });
+            }
+
+            try {
+                const comparison = await this.compareService.compare({
+                    category,
+                    provider: req.query.provider,
+                    minPrice,
+                    maxPrice,
+                    sort: req.query.sort
+                });
+                res.json(comparison);
+            } catch (error) {
+                console.error('Error in /compare endpoint:', error.message);
+                res.status(500).json({
+                    error: 'Failed to compare plans',
+                    message: error.message
+                });
+            }
+        });
+
+        this.router.get('/changes', async (req, res) => {
+            const parseCursorParam = value => {
+                if (value === undefined || value === '') {
+                    return null;
+                }
+                return /^\d+$/.test(String(value)) ? parseInt(value, 10) : NaN;
+            };
+            const since = parseCursorParam(req.query.since);
+            const limit = parseCursorParam(req.query.limit);
+            if (Number.isNaN(since) || Number.isNaN(limit) || limit === 0) {
+                return res.status(400).json({
+                    error: 'Invalid change cursor',
+                    message: 'Query parameter "since" must be a change ID (0 or more) and "limit" a positive number'
+                });
+            }
+
+            try {
+                const changes = await this.dataService.getChanges({
+                    since: since || 0,
+                    limit: limit,
+                    provider: req.query.provider
+                });
+                res.json(changes);
+            } catch (error) {
+                console.error('Error in /changes endpoint:', error.message);
+                res.status(500).json({
+                    error: 'Failed to fetch changes',
+                    message: error.message
+                });
+            }
+        });
+
         this.setupProviderRoutes();
 
         this.router.get('/cache/status', (req, res) => {
@@ -77,12 +193,17 @@ class ApiRoutes {
                 availableEndpoints: [
                     'GET /health',
                     'GET /all',
-                    'GET /o2',
-                    'GET /telekom',
-                    'GET /orange',
-                    'GET /fourka',
-                    'GET /4ka',
-                    'GET /tesco',
+                    'GET /search?q=...&provider=...&section=...',
+                    'GET /compare?category=...&minPrice=...&maxPrice=...&provider=...&sort=...',
+                    'GET /changes?since=...&limit=...&provider=...',
+                    ...Object.entries(this.config.providers).flatMap(([providerKey, provider]) =>
+                        [providerKey, ...(provider.aliases || [])].map(routeName => `GET /${routeName}`)),
+                    'GET /:provider/sections',
+                    'GET /:provider/sections/:key',
+                    'GET /:provider/plans',
+                    'GET /:provider/history',
+                    'GET /:provider/versions/:id',
+                    'GET /:provider/diff?from=&to=',
                     'GET /cache/status',
                     'POST /cache/clear'
                 ]
@@ -128,6 +249,133 @@ class ApiRoutes {
                     });
                 });
             }
+
+            [providerKey, ...(providerConfig.aliases || [])].forEach(routeName => {
+                this.setupSectionRoutes(routeName, providerKey);
+                this.setupHistoryRoutes(routeName, providerKey);
+            });
+        });
+    }
+
+    /**
+     * Setup section-level routes for a provider path
+     * @param {string} routeName - Path segment (provider key or alias)
+     * @param {string} providerKey - Provider key in API config
+     */
+    setupSectionRoutes(routeName, providerKey) {
+        this.router.get(`/${routeName}/sections`, async (req, res) => {
+            try {
+                const data = await this.dataService.getProviderSections(providerKey);
+                res.json(data);
+            } catch (error) {
+                console.error(`Error in /${routeName}/sections endpoint:`, error.message);
+                res.status(500).json({
+                    error: `Failed to fetch ${routeName} sections`,
+                    message: error.message
+                });
+            }
+        });
+
+        this.router.get(`/${routeName}/sections/:key`, async (req, res) => {
+            try {
+                const section = await this.dataService.getProviderSection(providerKey, req.params.key);
+                if (!section) {
+                    const available = await this.dataService.getProviderSections(providerKey);
+                    return res.status(404).json({
+                        error: 'Section not found',
+                        provider: providerKey,
+                        key: req.params.key,
+                        availableSections: [...new Set(available.sections.map(s => s.key))]
+                    });
+                }
+                res.json(section);
+            } catch (error) {
+                console.error(`Error in /${routeName}/sections/${req.params.key} endpoint:`, error.message);
+                res.status(500).json({
+                    error: `Failed to fetch ${routeName} section`,
+                    message: error.message
+                });
+            }
+        });
+
+        this.router.get(`/${routeName}/plans`, async (req, res) => {
+            try {
+                const data = await this.dataService.getProviderPlans(providerKey);
+                res.json(data);
+            } catch (error) {
+                console.error(`Error in /${routeName}/plans endpoint:`, error.message);
+                res.status(500).json({
+                    error: `Failed to fetch ${routeName} plans`,
+                    message: error.message
+                });
+            }
+        });
+    }
+
+    /**
+     * Setup dataset version history routes for a provider path
+     * @param {string} routeName - Path segment (provider key or alias)
+     * @param {string} providerKey - Provider key in API config
+     */
+    setupHistoryRoutes(routeName, providerKey) {
+        this.router.get(`/${routeName}/history`, async (req, res) => {
+            try {
+                const history = await this.dataService.getProviderHistory(providerKey);
+                res.json(history);
+            } catch (error) {
+                console.error(`Error in /${routeName}/history endpoint:`, error.message);
+                res.status(500).json({
+                    error: `Failed to fetch ${routeName} history`,
+                    message: error.message
+                });
+            }
+        });
+
+        this.router.get(`/${routeName}/versions/:id`, async (req, res) => {
+            try {
+                const raw = req.query.format === 'raw';
+                const version = await this.dataService.getProviderVersion(providerKey, req.params.id, raw);
+                if (!version) {
+                    return res.status(404).json({
+                        error: 'Version not found',
+                        provider: providerKey,
+                        versionId: req.params.id
+                    });
+                }
+                res.json(version);
+            } catch (error) {
+                console.error(`Error in /${routeName}/versions/${req.params.id} endpoint:`, error.message);
+                res.status(500).json({
+                    error: `Failed to fetch ${routeName} version`,
+                    message: error.message
+                });
+            }
+        });
+
+        this.router.get(`/${routeName}/diff`, async (req, res) => {
+            const from = req.query.from || null;
+            const to = req.query.to || null;
+            try {
+                const diff = await this.dataService.getProviderDiff(providerKey, from, to);
+                if (!diff) {
+                    return res.status(404).json({
+                        error: 'Versions not found',
+                        message: from || to
+                            ? 'Requested version does not exist'
+                            : 'At least two stored versions are needed for a diff',
+                        provider: providerKey,
+                        from: from,
+                        to: to
+                    });
+                }
+                res.json(diff);
+            } catch (error) {
+                console.error(`Error in /${routeName}/diff endpoint:`, error.message);
+                res.status(500).json({
+                    error: `Failed to diff ${routeName} versions`,
+                    message: error.message
+                });
+            }
         });
     }
 
@@ -0,0 +1,222 @@
+const { foldWithOffsets, tokenize } = require('../utils/data/text-folding');
+
+/**
+ * Search Service for full-text search across all stored provider datasets
+ * Matching ignores case and diacritics; terms match at word starts
+ */
+class SearchService {
+    constructor(config, dataService) {
+        this.config = config;
+        this.dataService = dataService;
+        this.snippetWindow = 200;   // Max distance between matched terms in one snippet
+        this.snippetContext = 80;   // Characters of context around the match span
+        this.defaultLimit = 20;
+        this.maxLimit = 100;
+    }
+
+    /**
+     * Check whether a section key matches the section filter
+     * Accepts the full key ("services.roaming") or any of its segments ("roaming")
+     */
+    matchesSection(sectionKey, sectionFilter) {
+        if (!sectionFilter) {
+            return true;
+        }
+        if (!sectionKey) {
+            return false;
+        }
+        return sectionKey === sectionFilter || sectionKey.split('.').includes(sectionFilter);
+    }
+
+    /**
+     * Collect searchable text units for a provider dataset
+     * PDFs with sections are searched per section, other PDFs by their full rawText
+     * @param {string} providerKey - Provider key
+     * @param {Object} rawData - Raw provider dataset
+     * @param {string} sectionFilter - Optional section key filter
+     * @returns {Array} Text units with provider, PDF and section metadata
+     */
+    collectUnits(providerKey, rawData, sectionFilter) {
+        const units = [];
+        const pdfs = Array.isArray(rawData?.pdfs) ? rawData.pdfs : [];
+
+        pdfs.forEach((pdf, pdfIndex) => {
+            const base = {
+                provider: providerKey,
+                providerName: this.config.providers[providerKey].name,
+                pdf: (pdf.cennikName || pdf.pdfType || 'Unknown Document').trim(),
+                pdfUrl: pdf.pdfUrl || null,
+                pdfIndex: pdfIndex
+            };
+            const sections = this.dataService.getPdfSections(pdf);
+
+            if (sections.length > 0) {
+                sections.forEach(([key, section]) => {
+                    if (!section.rawText || !this.matchesSection(key, sectionFilter)) {
+                        return;
+                    }
+                    units.push({
+                        ...base,
+                        section: key,
+                        sectionTitle: this.dataService.getSectionTitle(providerKey, key),
+                        text: section.rawText.trim()
+                    });
+                });
+            } else if (!sectionFilter && pdf.rawText) {
+                units.push({ ...base, section: null, sectionTitle: null, text: pdf.rawText.trim() });
+            }
+        });
+
+        return units;
+    }
+
+    /**
+     * Find word-start occurrences of each term in folded text
+     * @param {string} folded - Folded text
+     * @param {Array<string>} terms - Folded terms
+     * @returns {Array} Hits sorted by position: { term, start, end } (folded offsets)
+     */
+    findTermHits(folded, terms) {
+        const hits = [];
+
+        terms.forEach(term => {
+            let index = folded.indexOf(term);
+            while (index !== -1) {
+                const previous = index > 0 ? folded[index - 1] : '';
+                if (!previous || !/[\p{L}\p{N}]/u.test(previous)) {
+                    hits.push({ term, start: index, end: index + term.length });
+                }
+                index = folded.indexOf(term, index + 1);
+            }
+        });
+
+        return hits.sort((a, b) => a.start - b.start);
+    }
+
+    /**
+     * Group hits into snippet windows that contain every term
+     * @param {Array} hits - Sorted term hits
+     * @param {Array<string>} terms - Folded terms
+     * @returns {Array} Match spans { start, end, hitCount } (folded offsets)
+     */
+    groupHits(hits, terms) {
+        const spans = [];
+        let i = 0;
+
+        while (i < hits.length) {
+            const windowHits = [];
+            let j = i;
+            while (j < hits.length && hits[j].start - hits[i].start <= this.snippetWindow) {
+                windowHits.push(hits[j]);
+                j++;
+            }
+
+            const matchedTerms = new Set(windowHits.map(hit => hit.term));
+            if (matchedTerms.size === terms.length) {
+                spans.push({
+                    start: windowHits[0].start,
+                    end: Math.max(...windowHits.map(hit => hit.end)),
+                    hitCount: windowHits.length
+                });
+                i = j;
+            } else {
+                i++;
+            }
+        }
+
+        return spans;
+    }
+
+    /**
+     * Score a match span; contiguous phrase matches and tight spans rank first
+     */
+    scoreSpan(folded, span, phrase, terms) {
+        const spanText = folded.slice(span.start, span.end).replace(/[^\p{L}\p{N}]+/gu, ' ');
+        let score = terms.length * 10 + span.hitCount;
+
+        if (terms.length > 1 && spanText.includes(phrase)) {
+            score += 50;
+        }
+        score += Math.max(0, 20 - Math.floor((span.end - span.start) / 10));
+
+        return score;
+    }
+
+    /**
+     * Search all stored datasets
+     * @param {string} query - Search query
+     * @param {Object} options - { provider, section, limit }
+     * @returns {Promise<Object>} Ranked results with snippets and character offsets
+     */
+    async search(query, options = {}) {
+        const terms = tokenize(query);
+        const phrase = terms.join(' ');
+        const limit = Math.max(1, Math.min(parseInt(options.limit) || this.defaultLimit, this.maxLimit));
+        const providerKeys = this.dataService.resolveProviderKeys(options.provider);
+        const results = [];
+        const errors = [];
+
+        if (terms.length === 0) {
+            return { query, terms, totalResults: 0, results: [] };
+        }
+
+        for (const providerKey of providerKeys) {
+            let entry;
+            try {
+                entry = await this.dataService.getCachedEntry(providerKey);
+            } catch (error) {
+                console.error(`Failed to search ${providerKey}:`, error.message);
+                errors.push({ provider: providerKey, error: error.message });
+                continue;
+            }
+
+            this.collectUnits(providerKey, entry.raw, options.section).forEach(unit => {
+                const { folded, offsets } = foldWithOffsets(unit.text);
+                const hits = this.findTermHits(folded, terms);
+
+                this.groupHits(hits, terms).forEach(span => {
+                    const start = offsets[span.start];
+                    const end = offsets[span.end - 1] + 1;
+                    const snippetStart = Math.max(0, start - this.snippetContext);
+                    const snippetEnd = Math.min(unit.text.length, end + this.snippetContext);
+
+                    results.push({
+                        provider: unit.provider,
+                        providerName: unit.providerName,
+                        pdf: unit.pdf,
+                        pdfUrl: unit.pdfUrl,
+                        pdfIndex: unit.pdfIndex,
+                        section: unit.section,
+                        sectionTitle: unit.sectionTitle,
+                        score: this.scoreSpan(folded, span, phrase, terms),
+                        start: start,
+                        end: end,
+                        snippet: unit.text.slice(snippetStart, snippetEnd),
+                        snippetStart: snippetStart
+                    });
+                });
+            });
+        }
+
+        results.sort((a, b) => b.score - a.score || a.provider.localeCompare(b.provider) || a.start - b.start);
+
+        const response = {
+            query,
+            terms,
+            filters: {
+                provider: options.provider || null,
+                section: options.section || null
+            },
+            totalResults: results.length,
+            results: results.slice(0, limit)
+        };
+
+        if (errors.length > 0) {
+            response.errors = errors;
+        }
+
+        return response;
+    }
+}
+
+module.exports = SearchService;
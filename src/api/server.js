@@ -3,6 +3,8 @@ const path = require('path');
 const fs = require('fs').promises;
 
 const ApiRoutes = require('./routes');
+const ProviderRegistry = require('../providers/provider-registry');
+const { getStorageDir } = require('../utils/core/paths');
 
 /**
  * REST API Server for telecom data
@@ -23,6 +25,7 @@ class ApiServer {
             const configPath = path.join(__dirname, '../config/api-config.json');
             const configData = await fs.readFile(configPath, 'utf8');
             this.config = JSON.parse(configData);
+            this.config.providers = this.buildProviders(this.config.providers || {});
             console.log('✅ API configuration loaded');
         } catch (error) {
             console.error('❌ Failed to load API configuration:', error.message);
@@ -30,6 +33,25 @@ class ApiServer {
         }
     }
 
+    /**
+     * Build the provider list served by the API from the provider registry
+     * Entries under "providers" in api-config.json override name, filePath or aliases of a provider
+     * @param {Object} overrides - "providers" block of api-config.json
+     * @returns {Object} Provider key -> { name, filePath, aliases }
+     */
+    buildProviders(overrides) {
+        const providers = {};
+        new ProviderRegistry().getAll().forEach(provider => {
+            providers[provider.key] = {
+                name: provider.name,
+                filePath: path.join(getStorageDir(provider.key), `${provider.key}.json`),
+                aliases: provider.aliases,
+                ...(overrides[provider.key] || {})
+            };
+        });
+        return providers;
+    }
+
     /**
      * Setup Express middleware
      */
@@ -108,12 +130,20 @@ class ApiServer {
                 console.log('📡 Available endpoints:');
                 console.log('   GET  /health          - Health check');
                 console.log('   GET  /all             - All providers data');
-                console.log('   GET  /o2              - O2 Slovakia data');
-                console.log('   GET  /telekom         - Slovak Telekom data');
-                console.log('   GET  /orange          - Orange Slovakia data');
-                console.log('   GET  /fourka          - 4ka Slovakia data');
-                console.log('   GET  /4ka              - 4ka Slovakia data (alias)');
-                console.log('   GET  /tesco           - Tesco Mobile data');
+                console.log('   GET  /search?q=...    - Full-text search across providers');
+                console.log('   GET  /compare         - Plans side by side (?category=&minPrice=&maxPrice=)');
+                console.log('   GET  /changes         - Change ledger after a cursor (?since=&limit=)');
+                Object.entries(this.config.providers).forEach(([providerKey, provider]) => {
+                    [providerKey, ...(provider.aliases || [])].forEach((routeName, index) => {
+                        console.log(`   GET  ${`/${routeName}`.padEnd(17)}- ${provider.name} data${index > 0 ? ' (alias)' : ''}`);
+                    });
+                });
+                console.log('   GET  /:provider/sections      - Section list for a provider');
+                console.log('   GET  /:provider/sections/:key - Single section text');
+                console.log('   GET  /:provider/plans         - Structured plans from plan tables');
+                console.log('   GET  /:provider/history       - Dataset version history');
+                console.log('   GET  /:provider/versions/:id  - Stored dataset version');
+                console.log('   GET  /:provider/diff          - Diff two stored versions (?from=&to=)');
                 console.log('   GET  /cache/status    - Cache status');
                 console.log('   POST /cache/clear     - Clear cache');
             });
@@ -1,5 +1,6 @@
 const BaseCrawler = require('./base-crawler');
 const cheerio = require('cheerio');
+const { copyEnrichedData } = require('../utils/pdf/pdf-enricher');
 
 class FourKaCrawler extends BaseCrawler {
     constructor(config) {
@@ -15,16 +16,19 @@ class FourKaCrawler extends BaseCrawler {
         
         const pdfLinks = [];
         
-        try {
-            console.log('🔍 Clicking on "Cenníky" tab...');
-            await this.page.click('#cenniky-tab');
-            await this.page.waitForTimeout(1000); // Short wait for tab to load
-        } catch (error) {
-            console.log('⚠️  Could not click Cenníky tab, continuing anyway...');
+        // Over HTTP there is no page to click; the tab's links are already in the static HTML
+        if (this.page) {
+            try {
+                console.log('🔍 Clicking on "Cenníky" tab...');
+                await this.page.click('#cenniky-tab');
+                await this.page.waitForTimeout(1000); // Short wait for tab to load
+            } catch (error) {
+                console.log('⚠️  Could not click Cenníky tab, continuing anyway...');
+            }
         }
         
         // Get the static HTML content (no accordion clicking needed!)
-        const content = await this.page.content();
+        const content = await this.getPageContent();
         const $ = cheerio.load(content);
         
         const allPdfElements = $('a[href$=".pdf"]').map((i, el) => {
@@ -425,7 +429,7 @@ class FourKaCrawler extends BaseCrawler {
     async extractMetadata() {
         console.log('🔍 Extracting 4ka metadata...');
         
-        const content = await this.page.content();
+        const content = await this.getPageContent();
         const $ = cheerio.load(content);
         
         // Try to find last update date in various locations
@@ -486,10 +490,7 @@ class FourKaCrawler extends BaseCrawler {
                 metadata = options.reuseCrawlResult.metadata || {};
             } else {
                 console.log('🌐 Performing fresh crawl (no results to reuse)...');
-                await this.initialize();
-                await this.navigateToPricingPage();
-                
-                pdfLinks = await this.extractPdfLinks();
+                pdfLinks = await this.loadPdfLinks();
                 metadata = await this.extractMetadata();
             }
             
@@ -624,6 +625,7 @@ class FourKaCrawler extends BaseCrawler {
                     console.log(`   - Has extractionInfo: ${!!pdfData.extractionInfo}`);
                     console.log(`   - Raw text length: ${pdfData.rawText.length} characters`);
                     
+                    copyEnrichedData(extractedData, pdfData);
                     allPdfData.push(pdfData);
                     console.log(`✅ Successfully processed ${pdfLink.pdfType}`);
                     
@@ -706,7 +708,7 @@ class FourKaCrawler extends BaseCrawler {
                 throw error;
             }
         } finally {
-            if (this.browser) {
+            if (this.context) {
                 await this.cleanup();
             }
         }
@@ -1,6 +1,10 @@
-const puppeteer = require('puppeteer');
+const axios = require('axios');
 const cheerio = require('cheerio');
+const BrowserPool = require('../utils/web/browser-pool');
 const DynamicWaiter = require('../utils/web/dynamic-waiter');
+const { beforeRequest } = require('../utils/web/politeness');
+const { getNetworkProfile, getAxiosOptions } = require('../utils/web/network-profile');
+const effectiveDates = require('../utils/data/effective-date-extractor');
 
 /**
  * Base crawler class for monitoring telecom provider websites
@@ -9,38 +13,38 @@ const DynamicWaiter = require('../utils/web/dynamic-waiter');
 class BaseCrawler {
     constructor(providerName, config) {
         this.providerName = providerName;
+        this.providerKey = null; // Set by the provider registry; selects the provider's network profile
         this.config = config;
-        this.browser = null;
+        this.context = null;
         this.page = null;
+        this.html = null; // Pricing page HTML when it was fetched over plain HTTP (crawlMode "http")
         this.errorMonitor = null; // Will be set by crawler manager
+        this.browserPool = null; // Shared pool set by crawler manager; a crawler used on its own creates its own
+        this.ownsBrowserPool = false;
         this.dynamicWaiter = new DynamicWaiter();
     }
 
     /**
-     * Initialize browser and page
+     * Open an incognito browser context and page from the browser pool
      */
     async initialize() {
         try {
-            this.browser = await puppeteer.launch({
-                headless: "new",
-                args: [
-                    '--no-sandbox',
-                    '--disable-setuid-sandbox',
-                    '--disable-dev-shm-usage',
-                    '--disable-accelerated-2d-canvas',
-                    '--no-first-run',
-                    '--no-zygote',
-                    '--disable-gpu'
-                ]
-            });
+            if (!this.browserPool) {
+                this.browserPool = new BrowserPool();
+                this.ownsBrowserPool = true;
+            }
             
-            this.page = await this.browser.newPage();
-            await this.page.setUserAgent('Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36');
-            await this.page.setViewport({ width: 1920, height: 1080 });
+            const { context, page } = await this.browserPool.acquire(this.providerName, {
+                network: this.getNetworkProfile(),
+                url: this.config.crawlUrl
+            });
+            this.context = context;
+            this.page = page;
             
             console.log(`✅ Browser initialized for ${this.providerName}`);
         } catch (error) {
             console.error(`❌ Failed to initialize browser for ${this.providerName}:`, error.message);
+            await this.releaseOwnBrowserPool();
             throw error;
         }
     }
@@ -51,9 +55,10 @@ class BaseCrawler {
     async navigateToPricingPage() {
         try {
             console.log(`🌐 Navigating to ${this.config.crawlUrl}...`);
+            await beforeRequest(this.config.crawlUrl, this.providerKey);
             await this.page.goto(this.config.crawlUrl, { 
                 waitUntil: 'networkidle2',
-                timeout: 30000 
+                timeout: this.getNetworkProfile().timeouts.navigation
             });
             
             // Use dynamic waiting instead of hardcoded timeout
@@ -72,13 +77,77 @@ class BaseCrawler {
         }
     }
 
+    /**
+     * Load the pricing page and extract its PDF links
+     * With crawlMode "http" the page is fetched without a browser and parsed as static HTML;
+     * the browser is only started when that finds no links (or the fetch fails).
+     * @returns {Promise<Array>} PDF links
+     */
+    async loadPdfLinks() {
+        this.html = null;
+
+        if (this.config.crawlMode === 'http') {
+            try {
+                this.html = await this.fetchPricingPage();
+                const pdfLinks = await this.extractPdfLinks();
+                if (pdfLinks.length > 0) {
+                    console.log(`⚡ ${this.providerName}: PDF links found in static HTML, browser not needed`);
+                    return pdfLinks;
+                }
+                console.log(`🔄 ${this.providerName}: no PDF links in static HTML, falling back to browser`);
+            } catch (error) {
+                if (error.code === 'ROBOTS_DISALLOWED') {
+                    throw error;
+                }
+                console.warn(`⚠️  ${this.providerName}: HTTP crawl failed (${error.message}), falling back to browser`);
+            }
+            this.html = null;
+        }
+
+        await this.initialize();
+        await this.navigateToPricingPage();
+        return this.extractPdfLinks();
+    }
+
+    /**
+     * Fetch the pricing page HTML over plain HTTP
+     * @returns {Promise<string>} Page HTML
+     */
+    async fetchPricingPage() {
+        console.log(`🌐 Fetching ${this.config.crawlUrl} over HTTP...`);
+        await beforeRequest(this.config.crawlUrl, this.providerKey);
+        const response = await axios.get(this.config.crawlUrl, {
+            ...getAxiosOptions(this.getNetworkProfile(), this.config.crawlUrl, 'navigation', {
+                'Accept': 'text/html,application/xhtml+xml;q=0.9,*/*;q=0.8'
+            }),
+            responseType: 'text'
+        });
+        return response.data;
+    }
+
+    /**
+     * Get the network profile (proxy, headers, cookies, timeouts, CAs) of this crawler's provider
+     * @returns {Object} Network profile
+     */
+    getNetworkProfile() {
+        return getNetworkProfile(this.providerKey);
+    }
+
+    /**
+     * Get the HTML of the pricing page, from the HTTP fetch or the browser page
+     * @returns {Promise<string>} Page HTML
+     */
+    async getPageContent() {
+        return this.html !== null ? this.html : this.page.content();
+    }
+
     /**
      * Extract PDF links from the current page using search text
      * Override this method in provider-specific crawlers
      */
     async extractPdfLinks() {
         try {
-            const content = await this.page.content();
+            const content = await this.getPageContent();
             const $ = cheerio.load(content);
             
             const pdfLinks = [];
@@ -228,7 +297,7 @@ class BaseCrawler {
      */
     async extractMetadata() {
         try {
-            const content = await this.page.content();
+            const content = await this.getPageContent();
             const $ = cheerio.load(content);
             
             let publishDate = null;
@@ -311,7 +380,8 @@ class BaseCrawler {
                 }
             }
             
-            return null;
+            // Month names ("platný od 1. októbra 2025")
+            return effectiveDates.parseSlovakDate(linkText);
         } catch (error) {
             console.warn(`⚠️  Failed to extract date from link text "${linkText}":`, error.message);
             return null;
@@ -340,35 +410,7 @@ class BaseCrawler {
      * Extract date from PDF filename
      */
     extractDateFromFilename(filename) {
-        if (!filename) return null;
-        
-        // Look for common date patterns in filename
-        const datePatterns = [
-            /(\d{4})[-_](\d{1,2})[-_](\d{1,2})/,  // YYYY-MM-DD or YYYY_MM_DD
-            /(\d{1,2})[-_](\d{1,2})[-_](\d{4})/,  // DD-MM-YYYY or DD_MM_YYYY
-            /(\d{4})(\d{2})(\d{2})/              // YYYYMMDD
-        ];
-        
-        for (const pattern of datePatterns) {
-            const match = filename.match(pattern);
-            if (match) {
-                try {
-                    let year, month, day;
-                    if (match[1].length === 4) {
-                        [year, month, day] = match.slice(1, 4);
-                    } else {
-                        [day, month, year] = match.slice(1, 4);
-                    }
-                    
-                    const date = new Date(year, month - 1, day);
-                    return isNaN(date.getTime()) ? null : date.toISOString().split('T')[0];
-                } catch (error) {
-                    continue;
-                }
-            }
-        }
-        
-        return null;
+        return effectiveDates.extractDateFromFilename(filename);
     }
 
     /**
@@ -394,10 +436,7 @@ class BaseCrawler {
             } else {
                 // Fallback to normal crawling if no results to reuse
                 console.log(`🌐 Performing fresh crawl (no results to reuse)...`);
-                await this.initialize();
-                await this.navigateToPricingPage();
-                
-                pdfLinks = await this.extractPdfLinks();
+                pdfLinks = await this.loadPdfLinks();
                 metadata = await this.extractMetadata();
             }
             
@@ -430,14 +469,14 @@ class BaseCrawler {
                 throw error;
             }
         } finally {
-            if (this.browser) {
+            if (this.context) {
                 await this.cleanup();
             }
         }
     }
 
     /**
-     * Clean up browser resources
+     * Clean up browser resources (the context goes back to the pool; an own pool is closed)
      */
     async cleanup() {
         try {
@@ -445,15 +484,27 @@ class BaseCrawler {
                 await this.page.close();
                 this.page = null;
             }
-            if (this.browser) {
-                await this.browser.close();
-                this.browser = null;
+            if (this.context) {
+                await this.browserPool.release(this.context);
+                this.context = null;
             }
+            await this.releaseOwnBrowserPool();
             console.log(`🧹 Cleaned up browser resources for ${this.providerName}`);
         } catch (error) {
             console.warn(`⚠️  Error during cleanup for ${this.providerName}:`, error.message);
         }
     }
+
+    /**
+     * Close the browser pool if this crawler created it
+     */
+    async releaseOwnBrowserPool() {
+        if (this.ownsBrowserPool) {
+            await this.browserPool.close();
+            this.browserPool = null;
+            this.ownsBrowserPool = false;
+        }
+    }
 }
 
 module.exports = BaseCrawler;
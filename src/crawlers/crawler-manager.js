@@ -1,100 +1,60 @@
-const O2Crawler = require('./o2-crawler');
-const TelekomCrawler = require('./telekom-crawler');
-const OrangeCrawler = require('./orange-crawler');
-const TescoCrawler = require('./tesco-crawler');
-const FourKaCrawler = require('./4ka-crawler');
-const RadCrawler = require('./rad-crawler');
-const OkayfonCrawler = require('./okayfon-crawler');
-const JuroCrawler = require('./juro-crawler');
-const FunfonCrawler = require('./funfon-crawler');
+const ProviderRegistry = require('../providers/provider-registry');
 const ChangeDetector = require('../utils/data/change-detector');
 const DataStorage = require('../storage/data-storage');
+const BrowserPool = require('../utils/web/browser-pool');
+const { getConcurrencySettings, mapSettled } = require('../utils/core/concurrency');
+const RetryPolicy = require('../utils/core/retry-policy');
+const CircuitBreaker = require('../utils/core/circuit-breaker');
+const { getTempDir } = require('../utils/core/paths');
 const fs = require('fs');
 const path = require('path');
 
 /**
  * Crawler Manager
  * Orchestrates all provider crawlers and manages parallel execution
+ * All crawlers share one browser from the browser pool, each in its own incognito context.
+ * At most "concurrency.providers" providers are crawled at once; a failing provider never stops the others.
+ * Transient crawl failures are retried per the provider's retry policy. A provider whose runs keep
+ * failing trips its circuit breaker and is skipped (reported in trippedProviders) until the cooldown passes.
  */
 class CrawlerManager {
     constructor() {
         this.crawlers = new Map();
         this.results = [];
         this.errors = [];
+        this.trippedProviders = [];
         this.changeDetector = new ChangeDetector();
         this.changeDetectionEnabled = true;
+        this.browserPool = new BrowserPool();
+        this.retryPolicy = new RetryPolicy();
+        this.circuitBreaker = new CircuitBreaker();
     }
 
     /**
-     * Initialize crawlers based on configuration
+     * Initialize a crawler for every registered provider with a crawlUrl in the configuration
      * @param {Object} config - Configuration object with provider settings
      */
     initializeCrawlers(config) {
         try {
             console.log('🚀 Initializing crawlers...');
             
-            if (config.providers.o2 && config.providers.o2.crawlUrl) {
-                const o2Crawler = new O2Crawler(config.providers.o2);
-                o2Crawler.errorMonitor = this.errorMonitor;
-                this.crawlers.set('o2', o2Crawler);
-                console.log('✅ O2 crawler initialized');
-            }
-            
-            if (config.providers.telekom && config.providers.telekom.crawlUrl) {
-                const telekomCrawler = new TelekomCrawler(config.providers.telekom);
-                telekomCrawler.errorMonitor = this.errorMonitor;
-                this.crawlers.set('telekom', telekomCrawler);
-                console.log('✅ Telekom crawler initialized');
-            }
-            
-            if (config.providers.orange && config.providers.orange.crawlUrl) {
-                const orangeCrawler = new OrangeCrawler(config.providers.orange);
-                orangeCrawler.errorMonitor = this.errorMonitor;
-                this.crawlers.set('orange', orangeCrawler);
-                console.log('✅ Orange crawler initialized');
-            }
-            
-            if (config.providers.tesco && config.providers.tesco.crawlUrl) {
-                const tescoCrawler = new TescoCrawler(config.providers.tesco);
-                tescoCrawler.errorMonitor = this.errorMonitor;
-                this.crawlers.set('tesco', tescoCrawler);
-                console.log('✅ Tesco Mobile crawler initialized');
-            }
-            
-            if (config.providers.fourka && config.providers.fourka.crawlUrl) {
-                const fourkaCrawler = new FourKaCrawler(config.providers.fourka);
-                fourkaCrawler.errorMonitor = this.errorMonitor;
-                this.crawlers.set('fourka', fourkaCrawler);
-                console.log('✅ 4ka crawler initialized');
-            }
-            
-            if (config.providers.rad && config.providers.rad.crawlUrl) {
-                const radCrawler = new RadCrawler(config.providers.rad);
-                radCrawler.errorMonitor = this.errorMonitor;
-                this.crawlers.set('rad', radCrawler);
-                console.log('✅ RAD crawler initialized');
-            }
-            
-            if (config.providers.okayfon && config.providers.okayfon.crawlUrl) {
-                const okayfonCrawler = new OkayfonCrawler(config.providers.okayfon);
-                okayfonCrawler.errorMonitor = this.errorMonitor;
-                this.crawlers.set('okayfon', okayfonCrawler);
-                console.log('✅ Okay fón crawler initialized');
-            }
-            
-            if (config.providers.juro && config.providers.juro.crawlUrl) {
-                const juroCrawler = new JuroCrawler(config.providers.juro);
-                juroCrawler.errorMonitor = this.errorMonitor;
-                this.crawlers.set('juro', juroCrawler);
-                console.log('✅ Juro crawler initialized');
-            }
-            
-            if (config.providers.funfon && config.providers.funfon.crawlUrl) {
-                const funfonCrawler = new FunfonCrawler(config.providers.funfon);
-                funfonCrawler.errorMonitor = this.errorMonitor;
-                this.crawlers.set('funfon', funfonCrawler);
-                console.log('✅ Funfon crawler initialized');
+            const registry = new ProviderRegistry(config);
+            for (const provider of registry.getAll()) {
+                const providerConfig = config.providers?.[provider.key];
+                if (!providerConfig || !providerConfig.crawlUrl) {
+                    continue;
+                }
+
+                const crawler = registry.createCrawler(provider.key);
+                crawler.errorMonitor = this.errorMonitor;
+                crawler.browserPool = this.browserPool;
+                this.crawlers.set(provider.key, crawler);
+                console.log(`✅ ${provider.label} crawler initialized`);
             }
+
+            Object.keys(config.providers || {})
+                .filter(key => config.providers[key]?.crawlUrl && !this.crawlers.has(key))
+                .forEach(key => console.warn(`⚠️  No crawler for ${key}: add a provider module in src/providers/ or a "crawler" block to its configuration`));
             
             console.log(`🎯 Total crawlers initialized: ${this.crawlers.size}`);
         } catch (error) {
@@ -131,6 +91,7 @@ class CrawlerManager {
                     for (const p of changeResults.unchangedProviders) {
                         if (p && p.provider) {
                             await dataStorage.updateLastChecked(p.provider, ts);
+                            await this.circuitBreaker.recordSuccess(p.provider);
                         }
                     }
                 } catch (touchErr) {
@@ -144,6 +105,7 @@ class CrawlerManager {
                     successfulCrawls: 0,
                     failedCrawls: 0,
                     skippedCrawls: changeResults.summary.unchangedProviders,
+                    trippedProviders: this.trippedProviders,
                     efficiencyGained: true
                 };
             }
@@ -151,8 +113,15 @@ class CrawlerManager {
             console.log(`\n🚀 Processing ${changeResults.providersWithChanges.length} providers with changes...`);
             const fullCrawlResults = await this.runFullCrawlForChangedProviders(changeResults.providersWithChanges, crawlResults);
             
-            // Update stored URLs for changed providers
-            await this.changeDetector.updateStoredUrls(changeResults.providersWithChanges);
+            // Update stored URLs only for changed providers whose full crawl succeeded, so a failed
+            // extraction is detected (and retried) again on the next run
+            const crawledProviders = new Set(fullCrawlResults.results.filter(result => result.success).map(result => result.provider));
+            const crawledChanges = changeResults.providersWithChanges.filter(p => crawledProviders.has(p.provider));
+            const failedChanges = changeResults.providersWithChanges.length - crawledChanges.length;
+            if (failedChanges > 0) {
+                console.log(`⏭️  Keeping stored URLs of ${failedChanges} provider(s) whose full crawl failed`);
+            }
+            await this.changeDetector.updateStoredUrls(crawledChanges);
 
             // Touch lastChecked for unchanged providers as well
             try {
@@ -161,6 +130,7 @@ class CrawlerManager {
                 for (const p of changeResults.unchangedProviders) {
                     if (p && p.provider) {
                         await dataStorage.updateLastChecked(p.provider, ts);
+                        await this.circuitBreaker.recordSuccess(p.provider);
                     }
                 }
             } catch (touchErr) {
@@ -175,6 +145,7 @@ class CrawlerManager {
                 successfulCrawls: fullCrawlResults.results.length,
                 failedCrawls: fullCrawlResults.errors.length,
                 skippedCrawls: changeResults.summary.unchangedProviders,
+                trippedProviders: this.trippedProviders,
                 efficiencyGained: true
             };
             
@@ -190,16 +161,10 @@ class CrawlerManager {
      */
     async runAllCrawlers() {
         try {
-            console.log(`\n🚀 Starting parallel crawl for ${this.crawlers.size} providers...`);
+            const { providers: limit } = getConcurrencySettings();
+            console.log(`\n🚀 Starting parallel crawl for ${this.crawlers.size} providers (${limit} at a time)...`);
             
-            const crawlPromises = [];
-            
-            for (const [providerName, crawler] of this.crawlers) {
-                const promise = this.runSingleCrawler(providerName, crawler);
-                crawlPromises.push(promise);
-            }
-            
-            const results = await Promise.allSettled(crawlPromises);
+            const results = await mapSettled([...this.crawlers], limit, ([providerName, crawler]) => this.runSingleCrawler(providerName, crawler));
             
             this.processCrawlResults(results);
             
@@ -210,6 +175,7 @@ class CrawlerManager {
             return {
                 results: this.results,
                 errors: this.errors,
+                trippedProviders: this.trippedProviders,
                 totalCrawlers: this.crawlers.size,
                 successfulCrawls: this.results.length,
                 failedCrawls: this.errors.length
@@ -234,6 +200,16 @@ class CrawlerManager {
                 throw new Error(`Provider '${providerName}' not found in initialized crawlers`);
             }
             
+            const breaker = await this.circuitBreaker.getStatus(providerName);
+            if (breaker.state === 'tripped') {
+                return {
+                    efficiencyGained: false,
+                    skippedCrawls: 1,
+                    results: [],
+                    trippedProviders: [this.createTrippedResult(breaker)]
+                };
+            }
+            
             // Run only the specific provider, not all providers
             const crawlResults = await this.runSingleProviderQuickCrawl(providerName);
             
@@ -254,6 +230,9 @@ class CrawlerManager {
                 try {
                     const dataStorage = new DataStorage();
                     await dataStorage.updateLastChecked(providerName, new Date().toISOString());
+                    if (changeResults.unchangedProviders.some(p => p && p.provider === providerName)) {
+                        await this.circuitBreaker.recordSuccess(providerName);
+                    }
                 } catch (touchErr) {
                     console.warn(`⚠️  Failed to update lastChecked for ${providerName}: ${touchErr.message}`);
                 }
@@ -317,25 +296,22 @@ class CrawlerManager {
      */
     async runQuickMetadataCrawl() {
         try {
-            console.log(`\n🔍 Running quick metadata crawl for change detection...`);
+            const { providers: limit } = getConcurrencySettings();
+            console.log(`\n🔍 Running quick metadata crawl for change detection (${limit} providers at a time)...`);
             
-            const crawlPromises = [];
-            
-            // Create promises for each crawler (metadata only)
-            for (const [providerName, crawler] of this.crawlers) {
-                const promise = this.runQuickMetadataCrawlForProvider(providerName, crawler);
-                crawlPromises.push(promise);
-            }
-            
-            const results = await Promise.allSettled(crawlPromises);
+            // Metadata only, no PDFs downloaded
+            const results = await mapSettled([...this.crawlers], limit, ([providerName, crawler]) => this.runQuickMetadataCrawlForProvider(providerName, crawler));
             
             const crawlResults = [];
             const errors = [];
+            this.trippedProviders = [];
             
             for (const result of results) {
                 if (result.status === 'fulfilled') {
                     if (result.value.success) {
                         crawlResults.push(result.value);
+                    } else if (result.value.tripped) {
+                        this.trippedProviders.push(result.value);
                     } else {
                         errors.push(result.value);
                     }
@@ -349,7 +325,7 @@ class CrawlerManager {
                 }
             }
             
-            console.log(`📊 Quick metadata crawl completed: ${crawlResults.length} successful, ${errors.length} failed`);
+            console.log(`📊 Quick metadata crawl completed: ${crawlResults.length} successful, ${errors.length} failed, ${this.trippedProviders.length} skipped (circuit breaker tripped)`);
             return crawlResults;
             
         } catch (error) {
@@ -365,18 +341,23 @@ class CrawlerManager {
      * @returns {Promise<Object>} Crawl result with metadata only
      */
     async runQuickMetadataCrawlForProvider(providerName, crawler) {
+        const breaker = await this.circuitBreaker.getStatus(providerName);
+        if (breaker.state === 'tripped') {
+            return this.createTrippedResult(breaker);
+        }
+        
         try {
             console.log(`\n🔍 Running quick metadata crawl for ${providerName}...`);
             const startTime = Date.now();
             
-            await crawler.initialize();
-            await crawler.navigateToPricingPage();
-            
-            let pdfLinks = await crawler.extractPdfLinks();
-            
-            if (pdfLinks.length === 0) {
-                throw new Error(`No PDF links found for ${providerName}`);
-            }
+            // The browser context is released between attempts, so each retry starts from a fresh page
+            const pdfLinks = await this.retryPolicy.run(providerName, 'quick metadata crawl', async () => {
+                const links = await crawler.loadPdfLinks();
+                if (links.length === 0) {
+                    throw new Error(`No PDF links found for ${providerName}`);
+                }
+                return links;
+            }, () => crawler.cleanup());
             
             const primaryPdf = pdfLinks[0];
             
@@ -419,12 +400,15 @@ class CrawlerManager {
             
         } catch (error) {
             console.error(`❌ ${providerName} quick metadata crawl failed:`, error.message);
+            const breakerStatus = await this.circuitBreaker.recordFailure(providerName, error.message);
             
             return {
                 success: false,
                 provider: providerName,
                 error: error.message,
                 stack: error.stack,
+                attempts: error.attempts || 1,
+                breaker: breakerStatus.state,
                 timestamp: new Date().toISOString()
             };
         } finally {
@@ -432,6 +416,24 @@ class CrawlerManager {
         }
     }
 
+    /**
+     * Build the result of a provider skipped because its circuit breaker is tripped
+     * @param {Object} status - Circuit breaker status
+     * @returns {Object} Failed crawl result flagged with tripped: true
+     */
+    createTrippedResult(status) {
+        console.warn(`⛔ ${status.provider}: circuit breaker tripped (${status.consecutiveFailures} failed runs in a row), skipped until ${status.retryAfter}`);
+        return {
+            success: false,
+            tripped: true,
+            provider: status.provider,
+            consecutiveFailures: status.consecutiveFailures,
+            error: `Circuit breaker tripped after ${status.consecutiveFailures} failed runs in a row (last error: ${status.lastError}), skipped until ${status.retryAfter}`,
+            retryAfter: status.retryAfter,
+            timestamp: new Date().toISOString()
+        };
+    }
+
     /**
      * Run full crawl for providers with changes
      * @param {Array} providersWithChanges - Array of providers with changes
@@ -440,9 +442,10 @@ class CrawlerManager {
      */
     async runFullCrawlForChangedProviders(providersWithChanges, crawlResults = []) {
         try {
-            console.log(`\n🚀 Running full crawl for ${providersWithChanges.length} providers with changes...`);
+            const { providers: limit } = getConcurrencySettings();
+            console.log(`\n🚀 Running full crawl for ${providersWithChanges.length} providers with changes (${limit} at a time)...`);
             
-            const crawlPromises = [];
+            const crawlJobs = [];
             
             for (const providerData of providersWithChanges) {
                 const providerName = providerData.provider;
@@ -466,14 +469,13 @@ class CrawlerManager {
                         console.log(`📄 Full processing for ${providerName}: All PDFs`);
                     }
                     
-                    const promise = this.runSingleCrawler(providerName, crawler, options);
-                    crawlPromises.push(promise);
+                    crawlJobs.push({ providerName, crawler, options });
                 } else {
                     console.warn(`⚠️  Crawler not found for ${providerName}`);
                 }
             }
             
-            const results = await Promise.allSettled(crawlPromises);
+            const results = await mapSettled(crawlJobs, limit, job => this.runSingleCrawler(job.providerName, job.crawler, job.options));
             
             const fullResults = [];
             const fullErrors = [];
@@ -529,13 +531,25 @@ class CrawlerManager {
      * @returns {Promise<Object>} Crawl result
      */
     async runSingleCrawler(providerName, crawler, options = {}) {
+        const breaker = await this.circuitBreaker.getStatus(providerName);
+        if (breaker.state === 'tripped') {
+            return this.createTrippedResult(breaker);
+        }
+        
         try {
             console.log(`\n🌐 Starting crawl for ${providerName}...`);
             const startTime = Date.now();
             
             let result;
             try {
-                result = await crawler.crawl(options);
+                result = await this.retryPolicy.run(providerName, 'crawl', async () => {
+                    const crawlResult = await crawler.crawl(options);
+                    // Some crawlers report a failed crawl in the result instead of throwing
+                    if (crawlResult && crawlResult.error && !crawlResult.pdfs) {
+                        throw new Error(crawlResult.error);
+                    }
+                    return crawlResult;
+                });
             } catch (crawlError) {
                 // Check for HTTP errors using error monitor if available
                 if (this.errorMonitor) {
@@ -600,6 +614,7 @@ class CrawlerManager {
             
             const duration = Date.now() - startTime;
             console.log(`✅ ${providerName} crawl completed in ${duration}ms`);
+            await this.circuitBreaker.recordSuccess(providerName);
             
             // Record successful crawl in error monitor
             if (this.errorMonitor && result) {
@@ -629,6 +644,7 @@ class CrawlerManager {
             
         } catch (error) {
             console.error(`❌ ${providerName} crawl failed:`, error.message);
+            const breakerStatus = await this.circuitBreaker.recordFailure(providerName, error.message);
             
             // Record error in error monitor if available
             if (this.errorMonitor) {
@@ -651,6 +667,8 @@ class CrawlerManager {
                 provider: providerName,
                 error: error.message,
                 stack: error.stack,
+                attempts: error.attempts || 1,
+                breaker: breakerStatus.state,
                 timestamp: new Date().toISOString(),
                 statusCode: error.statusCode || null
             };
@@ -664,11 +682,14 @@ class CrawlerManager {
     processCrawlResults(results) {
         this.results = [];
         this.errors = [];
+        this.trippedProviders = [];
         
         for (const result of results) {
             if (result.status === 'fulfilled') {
                 if (result.value.success) {
                     this.results.push(result.value);
+                } else if (result.value.tripped) {
+                    this.trippedProviders.push(result.value);
                 } else {
                     this.errors.push(result.value);
                 }
@@ -774,10 +795,11 @@ class CrawlerManager {
 
     /**
      * Clean up temp files in the temp directory
+     * Temp files are working copies; the original PDFs stay in the PDF archive (storage/archive/)
      */
     async cleanupTempFiles() {
         try {
-            const tempDir = path.join(__dirname, '..', '..', 'temp');
+            const tempDir = getTempDir();
             
             if (fs.existsSync(tempDir)) {
                 const files = fs.readdirSync(tempDir);
@@ -819,12 +841,15 @@ class CrawlerManager {
                 }
             }
             
+            await this.browserPool.close();
+            
             // Clean up any remaining temp files
             await this.cleanupTempFiles();
             
             this.crawlers.clear();
             this.results = [];
             this.errors = [];
+            this.trippedProviders = [];
             
             console.log('✅ All crawlers cleaned up');
         } catch (error) {
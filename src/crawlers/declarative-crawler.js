@@ -0,0 +1,392 @@
+const BaseCrawler = require('./base-crawler');
+const cheerio = require('cheerio');
+const DataStorage = require('../storage/data-storage');
+const { foldText } = require('../utils/data/text-folding');
+const effectiveDates = require('../utils/data/effective-date-extractor');
+const { beforeRequest } = require('../utils/web/politeness');
+const { copyEnrichedData } = require('../utils/pdf/pdf-enricher');
+
+/**
+ * Declarative crawler
+ * Crawler defined entirely by the "crawler" block of a provider in scraper-config.json,
+ * so a provider whose page only needs clicks and selectors gets no class of its own:
+ * - steps: page actions run after crawlUrl is loaded (goto, click, clickAll, waitForSelector, wait)
+ * - links: which anchors are PDF links, where their name and surrounding text come from, keyword filters
+ * - targets: named PDFs picked from those links by keywords (the latest dated link wins); without
+ *   targets every matching link is processed
+ * - scraper: PDF scraper in src/scrapers used for extraction ("juro" → juro-pdf-scraper.js)
+ *
+ * Keywords are matched on folded text (no diacritics, lowercase): every "include" keyword must
+ * appear, no "exclude" keyword may.
+ */
+class DeclarativeCrawler extends BaseCrawler {
+    constructor(providerKey, config) {
+        super(config.name || providerKey, config);
+        this.providerKey = providerKey;
+        this.crawlerConfig = config.crawler || {};
+        this.dataStorage = new DataStorage();
+        this.linkDefaults = {
+            selector: 'a[href]',
+            hrefPattern: '\\.pdf($|\\?)|uuid=',
+            contextSelector: null,
+            nameSelector: null,
+            include: [],
+            exclude: []
+        };
+    }
+
+    /**
+     * Load crawlUrl, then run the configured page steps
+     */
+    async navigateToPricingPage() {
+        await super.navigateToPricingPage();
+        await this.runSteps();
+    }
+
+    /**
+     * Run the configured page steps in order
+     * A failing step aborts the crawl unless it is marked "optional"
+     */
+    async runSteps() {
+        const steps = this.crawlerConfig.steps || [];
+        for (const [index, step] of steps.entries()) {
+            try {
+                await this.runStep(step);
+            } catch (error) {
+                if (step.optional) {
+                    console.log(`⚠️  Optional step ${index + 1} (${step.action}) failed for ${this.providerName}: ${error.message}, continuing...`);
+                    continue;
+                }
+                throw new Error(`Crawler step ${index + 1} (${step.action}) failed: ${error.message}`);
+            }
+        }
+    }
+
+    /**
+     * Run one page step
+     * @param {Object} step - { action, selector, url, ms, timeout, waitMs, optional }
+     */
+    async runStep(step) {
+        switch (step.action) {
+            case 'goto': {
+                const url = new URL(step.url, this.config.crawlUrl).href;
+                console.log(`🌐 Navigating to ${url}...`);
+                await beforeRequest(url, this.providerKey);
+                await this.page.goto(url, { waitUntil: 'networkidle2', timeout: step.timeout || this.getNetworkProfile().timeouts.navigation });
+                break;
+            }
+            case 'click':
+                await this.page.waitForSelector(step.selector, { timeout: step.timeout || 5000 });
+                await this.page.click(step.selector);
+                console.log(`🖱️  Clicked ${step.selector}`);
+                break;
+            case 'clickAll': {
+                // Accordions: expand every matching element
+                const clicked = await this.page.$$eval(step.selector, elements => {
+                    elements.forEach(element => element.click());
+                    return elements.length;
+                });
+                console.log(`🖱️  Clicked ${clicked} element(s) matching ${step.selector}`);
+                break;
+            }
+            case 'waitForSelector':
+                await this.page.waitForSelector(step.selector, { timeout: step.timeout || 10000 });
+                break;
+            case 'wait':
+                await this.sleep(step.ms || 1000);
+                break;
+            default:
+                throw new Error(`Unknown action '${step.action}'`);
+        }
+
+        if (step.waitMs) {
+            await this.sleep(step.waitMs);
+        }
+    }
+
+    /**
+     * Wait for a number of milliseconds
+     * @param {number} ms - Milliseconds
+     */
+    sleep(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+
+    /**
+     * Check a text against include / exclude keywords
+     * @param {string} text - Text to check
+     * @param {Array<string>} include - Keywords that must all appear
+     * @param {Array<string>} exclude - Keywords that must not appear
+     * @returns {boolean} True when the text matches
+     */
+    matchesKeywords(text, include = [], exclude = []) {
+        const folded = foldText(text);
+        return include.every(keyword => folded.includes(foldText(keyword)))
+            && !exclude.some(keyword => folded.includes(foldText(keyword)));
+    }
+
+    /**
+     * Collect PDF links matching the "links" rules from the current page
+     * @param {Object} $ - Cheerio instance
+     * @returns {Array} Candidates { url, text, name, context }
+     */
+    collectLinks($) {
+        const rules = { ...this.linkDefaults, ...(this.crawlerConfig.links || {}) };
+        const hrefPattern = new RegExp(rules.hrefPattern, 'i');
+        const seen = new Set();
+        const candidates = [];
+
+        $(rules.selector).each((index, element) => {
+            const href = $(element).attr('href');
+            if (!href || !hrefPattern.test(href)) {
+                return;
+            }
+
+            const url = new URL(href, this.config.crawlUrl).href;
+            if (seen.has(url)) {
+                return;
+            }
+
+            const text = $(element).text().replace(/\s+/g, ' ').trim();
+            const container = rules.contextSelector ? $(element).closest(rules.contextSelector) : $(element).parent();
+            const name = (rules.nameSelector ? container.find(rules.nameSelector).first().text() : '').replace(/\s+/g, ' ').trim() || text;
+            const context = `${name} ${container.text()}`.replace(/\s+/g, ' ').trim();
+
+            if (!this.matchesKeywords(`${url} ${context}`, rules.include, rules.exclude)) {
+                return;
+            }
+
+            seen.add(url);
+            candidates.push({ url, text, name, context });
+        });
+
+        return candidates;
+    }
+
+    /**
+     * Pick one link per configured target; when several links match, the latest date in their text wins
+     * @param {Array} candidates - Collected links
+     * @returns {Array} PDF links { url, text, pdfType, category }
+     */
+    selectTargets(candidates) {
+        const pdfLinks = [];
+
+        for (const target of this.crawlerConfig.targets) {
+            const matches = candidates
+                .filter(candidate => this.matchesKeywords(candidate.context, target.include, target.exclude))
+                .map(candidate => ({ ...candidate, date: effectiveDates.parseSlovakDate(candidate.context) }));
+
+            if (matches.length === 0) {
+                console.log(`❌ No PDF found for ${target.name}`);
+                continue;
+            }
+
+            const best = matches.reduce((latest, candidate) => (
+                candidate.date && (!latest.date || candidate.date > latest.date) ? candidate : latest
+            ));
+            console.log(`✅ ${target.name}: ${best.url}${best.date ? ` (${best.date})` : ''}`);
+
+            pdfLinks.push({
+                url: best.url,
+                text: best.text || best.name,
+                pdfType: target.name,
+                category: target.category || null
+            });
+        }
+
+        return pdfLinks;
+    }
+
+    /**
+     * Extract PDF links as configured ("links", then "targets" when present)
+     * @returns {Promise<Array>} PDF links { url, text, pdfType, category }
+     */
+    async extractPdfLinks() {
+        try {
+            const content = await this.getPageContent();
+            const $ = cheerio.load(content);
+
+            const candidates = this.collectLinks($);
+            const pdfLinks = Array.isArray(this.crawlerConfig.targets)
+                ? this.selectTargets(candidates)
+                : candidates.map(candidate => ({
+                    url: candidate.url,
+                    text: candidate.text,
+                    pdfType: candidate.name || 'PDF',
+                    category: null
+                }));
+
+            console.log(`📄 Found ${pdfLinks.length} PDF links for ${this.providerName}`);
+            return pdfLinks;
+        } catch (error) {
+            console.error(`❌ Failed to extract PDF links for ${this.providerName}:`, error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Load the configured PDF scraper class
+     * @returns {Function} Scraper class
+     */
+    getScraperClass() {
+        const name = this.crawlerConfig.scraper;
+        if (!name || !/^[\w-]+$/.test(name)) {
+            throw new Error(`No valid "scraper" configured for ${this.providerKey}`);
+        }
+        try {
+            return require(`../scrapers/${name}-pdf-scraper`);
+        } catch (error) {
+            throw new Error(`Unknown PDF scraper '${name}' for ${this.providerKey}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Build a dataset record from a scraper result
+     * PDFs extracted into sections keep them under data.*; others store summary/extractionInfo at the top level
+     * @param {Object} pdfLink - PDF link
+     * @param {Object} extracted - scrapePdf result (skipStorage mode)
+     * @returns {Object} PDF record
+     */
+    buildPdfRecord(pdfLink, extracted) {
+        const sections = extracted.data?.sections || {};
+        const sectionTexts = Object.values(sections)
+            .filter(section => section && section.rawText)
+            .map(section => section.rawText);
+        const rawText = extracted.rawText
+            || (typeof sections.fullContent === 'string' ? sections.fullContent : sectionTexts.join('\n\n').trim());
+        const extractionInfo = extracted.extractionInfo || extracted.data?.extractionInfo;
+
+        const record = {
+            cennikName: extracted.cennikName || pdfLink.pdfType,
+            pdfUrl: pdfLink.url,
+            pdfType: pdfLink.pdfType,
+            rawText: rawText || ''
+        };
+        if (pdfLink.category) {
+            record.category = pdfLink.category;
+        }
+        if (sectionTexts.length > 0) {
+            record.data = { sections, summary: extracted.summary, extractionInfo };
+        } else {
+            record.summary = extracted.summary;
+            record.extractionInfo = extractionInfo;
+        }
+        record.validation = extracted.metadata?.validation;
+        copyEnrichedData(extracted, record);
+
+        if (!record.rawText.trim()) {
+            console.error(`❌ No content extracted from ${pdfLink.pdfType}. This may indicate a download failure or extraction error.`);
+            record.error = 'No content extracted - possible download failure or extraction error';
+        }
+        return record;
+    }
+
+    /**
+     * Main crawl method: find the PDF links (or reuse them from change detection) and extract each PDF
+     * @param {Object} options - Options for crawling
+     * @param {Object} options.reuseCrawlResult - Quick crawl result to reuse (avoids double crawling)
+     * @param {Array} options.changedPdfUrls - Only extract these PDFs, keep the others from the stored dataset
+     */
+    async crawl(options = {}) {
+        try {
+            console.log(`🚀 Starting consolidated crawl for ${this.providerName}...`);
+
+            const reuse = options.reuseCrawlResult || {};
+            let pdfLinks = reuse.pdfLinks || reuse.allPdfLinks || null;
+            if (pdfLinks) {
+                console.log(`📄 Reusing ${pdfLinks.length} PDF links from previous crawl`);
+            } else {
+                console.log(`🌐 Performing fresh crawl (no results to reuse)...`);
+                pdfLinks = await this.loadPdfLinks();
+            }
+
+            if (pdfLinks.length === 0) {
+                throw new Error(`No PDF links found for ${this.providerName}`);
+            }
+
+            const changedPdfUrls = Array.isArray(options.changedPdfUrls) && options.changedPdfUrls.length > 0
+                ? options.changedPdfUrls
+                : null;
+            const existing = changedPdfUrls ? await this.dataStorage.loadDataset(this.providerKey) : null;
+            const selective = !!(existing && Array.isArray(existing.pdfs));
+
+            const ScraperClass = this.getScraperClass();
+            const scraper = new ScraperClass(this.errorMonitor);
+            const allPdfData = [];
+
+            for (const [index, pdfLink] of pdfLinks.entries()) {
+                const kept = selective && !changedPdfUrls.includes(pdfLink.url)
+                    ? existing.pdfs.find(pdf => pdf.pdfUrl === pdfLink.url)
+                    : null;
+                if (kept) {
+                    console.log(`⏭️  Unchanged, kept from stored dataset: ${pdfLink.pdfType}`);
+                    allPdfData.push(kept);
+                    continue;
+                }
+
+                console.log(`📄 Processing PDF ${index + 1}/${pdfLinks.length}: ${pdfLink.pdfType}`);
+                console.log(`🔗 URL: ${pdfLink.url}`);
+
+                try {
+                    const extractedData = await scraper.scrapePdf(pdfLink.url, pdfLink.pdfType, null, true, pdfLink.category || null);
+                    if (!extractedData || extractedData.success === false) {
+                        throw new Error(extractedData?.error || 'Extraction failed');
+                    }
+                    allPdfData.push(this.buildPdfRecord(pdfLink, extractedData));
+                    console.log(`✅ Successfully processed ${pdfLink.pdfType}`);
+                } catch (error) {
+                    console.error(`❌ Error processing ${pdfLink.pdfType}:`, error.message);
+                    allPdfData.push({
+                        cennikName: pdfLink.pdfType,
+                        pdfUrl: pdfLink.url,
+                        pdfType: pdfLink.pdfType,
+                        rawText: '',
+                        error: error.message
+                    });
+                }
+            }
+
+            const consolidatedResult = {
+                provider: this.providerName,
+                crawlDate: new Date().toISOString(),
+                lastChecked: new Date().toISOString(),
+                totalPdfs: allPdfData.length,
+                successfulPdfs: allPdfData.filter(pdf => !pdf.error).length,
+                failedPdfs: allPdfData.filter(pdf => pdf.error).length,
+                pdfs: allPdfData,
+                lastUpdate: selective ? {
+                    updatedPdfs: changedPdfUrls.length,
+                    updatedPdfUrls: changedPdfUrls,
+                    updateType: 'selective'
+                } : {
+                    updatedPdfs: allPdfData.length,
+                    updatedPdfUrls: pdfLinks.map(link => link.url),
+                    updateType: 'full'
+                },
+                metadata: {}
+            };
+
+            console.log(`📊 Consolidated Results:`);
+            console.log(`   Total PDFs: ${consolidatedResult.totalPdfs}`);
+            console.log(`   Successful: ${consolidatedResult.successfulPdfs}`);
+            console.log(`   Failed: ${consolidatedResult.failedPdfs}`);
+
+            return consolidatedResult;
+
+        } catch (error) {
+            if (this.errorMonitor) {
+                const errorResult = this.errorMonitor.handleError(error, 'declarative-crawl', this.providerName);
+                throw errorResult.error;
+            } else {
+                console.error(`❌ [${this.providerName}] declarative-crawl: ${error.message}`);
+                throw error;
+            }
+        } finally {
+            if (this.context) {
+                await this.cleanup();
+            }
+        }
+    }
+}
+
+module.exports = DeclarativeCrawler;
@@ -1,5 +1,7 @@
 const BaseCrawler = require('./base-crawler');
 const cheerio = require('cheerio');
+const { beforeRequest } = require('../utils/web/politeness');
+const { copyEnrichedData } = require('../utils/pdf/pdf-enricher');
 
 /**
  * Funfon Slovakia specific crawler
@@ -16,9 +18,10 @@ class FunfonCrawler extends BaseCrawler {
     async navigateToPricingPage() {
         try {
             console.log(`🌐 Navigating to ${this.config.crawlUrl}...`);
+            await beforeRequest(this.config.crawlUrl, this.providerKey);
             await this.page.goto(this.config.crawlUrl, { 
                 waitUntil: 'networkidle2',
-                timeout: 30000 
+                timeout: this.getNetworkProfile().timeouts.navigation
             });
             
             // Wait for page to be ready
@@ -78,7 +81,7 @@ class FunfonCrawler extends BaseCrawler {
      */
     async extractPdfLinks() {
         try {
-            const content = await this.page.content();
+            const content = await this.getPageContent();
             const $ = cheerio.load(content);
             
             const pdfLinks = [];
@@ -207,10 +210,7 @@ class FunfonCrawler extends BaseCrawler {
                 console.log(`📄 Reusing ${pdfLinks.length} PDF links from previous crawl`);
             } else {
                 console.log(`🌐 Performing fresh crawl (no results to reuse)...`);
-                await this.initialize();
-                await this.navigateToPricingPage();
-                
-                pdfLinks = await this.extractPdfLinks();
+                pdfLinks = await this.loadPdfLinks();
                 metadata = await this.extractMetadata();
             }
             
@@ -281,6 +281,7 @@ class FunfonCrawler extends BaseCrawler {
                     pdfData.error = 'No content extracted - possible download failure or extraction error';
                 }
                 
+                copyEnrichedData(extractedData, pdfData);
                 allPdfData.push(pdfData);
                 console.log(`✅ Successfully processed Funfon Cenník služieb`);
                 
@@ -330,7 +331,7 @@ class FunfonCrawler extends BaseCrawler {
                 throw error;
             }
         } finally {
-            if (this.browser) {
+            if (this.context) {
                 await this.cleanup();
             }
         }
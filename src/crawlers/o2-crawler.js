@@ -1,5 +1,6 @@
 const BaseCrawler = require('./base-crawler');
 const cheerio = require('cheerio');
+const { copyEnrichedData } = require('../utils/pdf/pdf-enricher');
 
 /**
  * O2 Slovakia specific crawler
@@ -16,7 +17,7 @@ class O2Crawler extends BaseCrawler {
      */
     async extractPdfLinks() {
         try {
-            const content = await this.page.content();
+            const content = await this.getPageContent();
             const $ = cheerio.load(content);
             
             const pdfLinks = [];
@@ -124,10 +125,7 @@ class O2Crawler extends BaseCrawler {
                 console.log(`📄 Reusing ${pdfLinks.length} PDF links from previous crawl`);
             } else {
                 console.log(`🌐 Performing fresh crawl (no results to reuse)...`);
-                await this.initialize();
-                await this.navigateToPricingPage();
-                
-                pdfLinks = await this.extractPdfLinks();
+                pdfLinks = await this.loadPdfLinks();
                 metadata = await this.extractMetadata();
             }
             
@@ -182,6 +180,7 @@ class O2Crawler extends BaseCrawler {
                     pdfData.error = 'No content extracted - possible download failure or extraction error';
                 }
                 
+                copyEnrichedData(extractedData, pdfData);
                 allPdfData.push(pdfData);
                 console.log(`✅ Successfully processed O2 Cenník služieb`);
                 
@@ -234,7 +233,7 @@ class O2Crawler extends BaseCrawler {
                 throw error;
             }
         } finally {
-            if (this.browser) {
+            if (this.context) {
                 await this.cleanup();
             }
         }
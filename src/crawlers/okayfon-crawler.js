@@ -1,6 +1,7 @@
 const BaseCrawler = require('./base-crawler');
 const cheerio = require('cheerio');
 const OkayfonPdfScraper = require('../scrapers/okayfon-pdf-scraper');
+const { copyEnrichedData } = require('../utils/pdf/pdf-enricher');
 
 /**
  * Okay fón Slovakia specific crawler
@@ -17,7 +18,7 @@ class OkayfonCrawler extends BaseCrawler {
      */
     async extractPdfLinks() {
         try {
-            const content = await this.page.content();
+            const content = await this.getPageContent();
             const $ = cheerio.load(content);
             
             const pdfLinks = [];
@@ -295,6 +296,7 @@ class OkayfonCrawler extends BaseCrawler {
                         validation: extractedData.metadata?.validation
                     };
                     
+                    copyEnrichedData(extractedData, pdfData);
                     results.push(pdfData);
                     console.log(`✅ Successfully processed ${pdfLink.pdfType}`);
                     
@@ -343,10 +345,7 @@ class OkayfonCrawler extends BaseCrawler {
     async crawl(options = { onlyMetadata: false }) {
         console.log(`🌐 Starting crawl for ${this.providerName}...`);
         try {
-            await this.initialize();
-            await this.navigateToPricingPage();
-            
-            const pdfLinks = await this.extractPdfLinks();
+            const pdfLinks = await this.loadPdfLinks();
             const metadata = await this.extractMetadata();
             
             if (options.onlyMetadata) {
@@ -380,6 +379,7 @@ class OkayfonCrawler extends BaseCrawler {
                     extractionInfo: extractedData.extractionInfo,
                     validation: extractedData.metadata?.validation
                 };
+                copyEnrichedData(extractedData, pdfData);
                 results.push(pdfData);
             } else {
                 console.warn(`⚠️  No PDF links found for ${this.providerName}.`);
@@ -415,9 +415,8 @@ class OkayfonCrawler extends BaseCrawler {
                 error: error.message
             };
         } finally {
-            if (this.browser) {
-                await this.browser.close();
-                console.log(`🧹 Cleaned up browser resources for ${this.providerName}`);
+            if (this.context) {
+                await this.cleanup();
             }
         }
     }
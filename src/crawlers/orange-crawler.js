@@ -1,6 +1,7 @@
 const BaseCrawler = require('./base-crawler');
 const cheerio = require('cheerio');
 const OrangeJsonMerger = require('../utils/data/mergers/orange-json-merger');
+const { copyEnrichedData } = require('../utils/pdf/pdf-enricher');
 
 /**
  * Orange Slovakia specific crawler
@@ -18,7 +19,7 @@ class OrangeCrawler extends BaseCrawler {
      */
     async extractPdfLinks() {
         try {
-            const content = await this.page.content();
+            const content = await this.getPageContent();
             const $ = cheerio.load(content);
             
             const pdfLinks = [];
@@ -265,10 +266,7 @@ class OrangeCrawler extends BaseCrawler {
                 console.log(`📄 Reusing ${pdfLinks.length} PDF links from previous crawl`);
             } else {
                 console.log(`🌐 Performing fresh crawl (no results to reuse)...`);
-                await this.initialize();
-                await this.navigateToPricingPage();
-                
-                pdfLinks = await this.extractPdfLinks();
+                pdfLinks = await this.loadPdfLinks();
                 metadata = await this.extractMetadata();
             }
             
@@ -328,6 +326,7 @@ class OrangeCrawler extends BaseCrawler {
                     console.log(`   - Has extractionInfo: ${!!pdfData.extractionInfo}`);
                     console.log(`   - Raw text length: ${pdfData.rawText.length} characters`);
                     
+                    copyEnrichedData(extractedData, pdfData);
                     allPdfData.push(pdfData);
                     console.log(`✅ Successfully processed ${pdfLink.pdfType}`);
                     
@@ -425,7 +424,7 @@ class OrangeCrawler extends BaseCrawler {
                 throw error;
             }
         } finally {
-            if (this.browser) {
+            if (this.context) {
                 await this.cleanup();
             }
         }
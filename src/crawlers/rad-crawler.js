@@ -2,6 +2,7 @@ const BaseCrawler = require('./base-crawler');
 const cheerio = require('cheerio');
 const RadPdfScraper = require('../scrapers/rad-pdf-scraper');
 const DataStorage = require('../storage/data-storage');
+const { copyEnrichedData } = require('../utils/pdf/pdf-enricher');
 
 /**
  * RAD Slovakia specific crawler
@@ -19,7 +20,7 @@ class RadCrawler extends BaseCrawler {
      */
     async extractPdfLinks() {
         try {
-            const content = await this.page.content();
+            const content = await this.getPageContent();
             const $ = cheerio.load(content);
             
             const pdfLinks = [];
@@ -189,10 +190,7 @@ class RadCrawler extends BaseCrawler {
                 console.log(`📄 Reusing ${pdfLinks.length} PDF links from previous crawl`);
             } else {
                 console.log(`🌐 Performing fresh crawl (no results to reuse)...`);
-                await this.initialize();
-                await this.navigateToPricingPage();
-                
-                pdfLinks = await this.extractPdfLinks();
+                pdfLinks = await this.loadPdfLinks();
                 metadata = await this.extractMetadata();
             }
             
@@ -255,6 +253,7 @@ class RadCrawler extends BaseCrawler {
                     pdfData.error = 'No content extracted - possible download failure or extraction error';
                 }
                 
+                copyEnrichedData(extractedData, pdfData);
                 allPdfData.push(pdfData);
                 console.log(`✅ Successfully processed RAD Cenník služieb`);
                 
@@ -307,7 +306,7 @@ class RadCrawler extends BaseCrawler {
                 throw error;
             }
         } finally {
-            if (this.browser) {
+            if (this.context) {
                 await this.cleanup();
             }
         }
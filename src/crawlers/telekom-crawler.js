@@ -1,5 +1,6 @@
 const BaseCrawler = require('./base-crawler');
 const cheerio = require('cheerio');
+const { copyEnrichedData } = require('../utils/pdf/pdf-enricher');
 
 /**
  * Telekom Slovakia specific crawler
@@ -16,7 +17,7 @@ class TelekomCrawler extends BaseCrawler {
      */
     async extractPdfLinks() {
         try {
-            const content = await this.page.content();
+            const content = await this.getPageContent();
             const $ = cheerio.load(content);
             
             const pdfLinks = [];
@@ -129,10 +130,7 @@ class TelekomCrawler extends BaseCrawler {
             } else {
                 // Fallback to normal crawling if no results to reuse
                 console.log(`🌐 Performing fresh crawl (no results to reuse)...`);
-                await this.initialize();
-                await this.navigateToPricingPage();
-                
-                pdfLinks = await this.extractPdfLinks();
+                pdfLinks = await this.loadPdfLinks();
                 metadata = await this.extractMetadata();
             }
             
@@ -197,6 +195,7 @@ class TelekomCrawler extends BaseCrawler {
                 console.log(`   - Has data.extractionInfo: ${!!pdfData.data?.extractionInfo}`);
                 console.log(`   - Raw text length: ${pdfData.rawText.length} characters`);
                 
+                copyEnrichedData(extractedData, pdfData);
                 allPdfData.push(pdfData);
                 console.log(`✅ Successfully processed Telekom Cenník služieb`);
                 
@@ -244,7 +243,7 @@ class TelekomCrawler extends BaseCrawler {
                 throw error;
             }
         } finally {
-            if (this.browser) {
+            if (this.context) {
                 await this.cleanup();
             }
         }
@@ -1,6 +1,7 @@
 const BaseCrawler = require('./base-crawler');
 const cheerio = require('cheerio');
 const TescoJsonMerger = require('../utils/data/mergers/tesco-json-merger');
+const { copyEnrichedData } = require('../utils/pdf/pdf-enricher');
 
 /**
  * Tesco Mobile Slovakia specific crawler
@@ -18,7 +19,7 @@ class TescoCrawler extends BaseCrawler {
      */
     async extractPdfLinks() {
         try {
-            const content = await this.page.content();
+            const content = await this.getPageContent();
             const $ = cheerio.load(content);
             
             const pdfLinks = [];
@@ -231,10 +232,7 @@ class TescoCrawler extends BaseCrawler {
                 console.log(`📄 Reusing ${pdfLinks.length} PDF links from previous crawl`);
             } else {
                 console.log(`🌐 Performing fresh crawl (no results to reuse)...`);
-                await this.initialize();
-                await this.navigateToPricingPage();
-                
-                pdfLinks = await this.extractPdfLinks();
+                pdfLinks = await this.loadPdfLinks();
                 metadata = await this.extractMetadata();
             }
             
@@ -300,6 +298,7 @@ class TescoCrawler extends BaseCrawler {
                     console.log(`   - Has extractionInfo: ${!!pdfData.extractionInfo}`);
                     console.log(`   - Raw text length: ${pdfData.rawText.length} characters`);
                     
+                    copyEnrichedData(extractedData, pdfData);
                     allPdfData.push(pdfData);
                     console.log(`✅ Successfully processed ${pdfLink.pdfType}`);
                     
@@ -385,7 +384,7 @@ class TescoCrawler extends BaseCrawler {
                 throw error;
             }
         } finally {
-            if (this.browser) {
+            if (this.context) {
                 await this.cleanup();
             }
         }
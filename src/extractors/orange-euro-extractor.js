@@ -1,4 +1,5 @@
-const pdf = require('pdf.js-extract');
+const pdf = require('../utils/pdf/pdf-extract');
+const { containsPrice } = require('../utils/data/value-normalizer');
 
 /**
  * Orange Euro Symbol Based Extractor
@@ -149,9 +150,12 @@ class OrangeEuroExtractor {
             }
         }
 
+        if (containsPrice(line)) {
+            return true;
+        }
+
         // Check for pricing-related patterns
         const pricingPatterns = [
-            /\d+[,.]?\d*\s*€/,  // Numbers with €
             /EUR|euro/i,        // Euro currency
             /cena|price|cost/i, // Price keywords
             /\d+\s*(min|hod|mesiac|rok)/i, // Time periods with numbers
@@ -0,0 +1,284 @@
+const valueNormalizer = require('../../utils/data/value-normalizer');
+
+/**
+ * Base Tariff Extractor
+ * Turns plan tables in section rawText into structured plan objects.
+ * PDF text extraction flattens tables into "row label  value  value ..." runs, so each
+ * table is described by its caption, the header that lists plan names (one per column)
+ * and row definitions with a label pattern and a value pattern. Each row takes the first
+ * N values after its label, where N is the number of plans. Cell values are parsed by
+ * the shared value normalizer.
+ * Subclasses implement getTableDefinitions() with provider-specific tables.
+ */
+class BaseTariffExtractor {
+    /**
+     * Constructor - subclasses should call super() with their provider name
+     * @param {string} providerName - Provider name (e.g., 'telekom')
+     */
+    constructor(providerName) {
+        if (new.target === BaseTariffExtractor) {
+            throw new Error('BaseTariffExtractor is abstract and cannot be instantiated directly');
+        }
+        this.providerName = providerName;
+    }
+
+    /**
+     * Get table definitions for this provider
+     * @returns {Array} Table definitions { name, category, pricesIncludeVat (optional), caption, header, rows }
+     */
+    getTableDefinitions() {
+        throw new Error('getTableDefinitions must be implemented by subclass');
+    }
+
+    /**
+     * Split header text into plan names; override when names contain spaces
+     * @param {string} headerText - Text between the header start and the first row label
+     * @returns {Array<string>} Plan names
+     */
+    parsePlanNames(headerText) {
+        return headerText.split(/\s+/).filter(name => name.length > 0);
+    }
+
+    /**
+     * Parse a euro amount ("16,4 €" -> { type: 'price', amount: 16.4, currency: 'EUR', vatIncluded, text, ... })
+     * @param {string} text - Value text
+     * @param {boolean|null} vatIncluded - Whether the table quotes prices with VAT ("bez DPH" in the cell wins)
+     * @returns {Object|null} Price or null when no amount found
+     */
+    parsePrice(text, vatIncluded = true) {
+        return valueNormalizer.parsePrice(text, { vatIncluded });
+    }
+
+    /**
+     * Decide whether a table quotes its prices with VAT
+     * Uses pricesIncludeVat when the definition sets it, else a marker in the caption, header or
+     * footnotes ("Ceny sú uvedené s DPH"). Without a marker prices are taken as with VAT, as
+     * Slovak consumer price lists are quoted.
+     * @param {Object} table - Table definition
+     * @param {string} statementText - Caption, header and footnote text of the table
+     * @returns {boolean} True when prices include VAT
+     */
+    detectTableVat(table, statementText) {
+        if (typeof table.pricesIncludeVat === 'boolean') {
+            return table.pricesIncludeVat;
+        }
+        const stated = valueNormalizer.detectVat(statementText);
+        return stated !== null ? stated : true;
+    }
+
+    /**
+     * Parse an allowance ("2 GB", "200 minút", "200 SMS/MMS", "Nekonečné")
+     * @param {string} text - Value text
+     * @param {string} kind - Allowance kind from the row definition ('data', 'minutes', 'sms')
+     * @returns {Object} { type, value, unit, unlimited, text }
+     */
+    parseAllowance(text, kind = null) {
+        return valueNormalizer.parseQuantity(text, kind);
+    }
+
+    /**
+     * Parse a cell value according to the row type
+     * @param {Object} row - Row definition
+     * @param {string} text - Cell text
+     * @param {boolean|null} vatIncluded - Table-wide VAT flag for prices (null: decided after the table is read)
+     * @returns {Object|null} Parsed value
+     */
+    parseValue(row, text, vatIncluded = null) {
+        return row.type === 'price'
+            ? this.parsePrice(text, vatIncluded)
+            : this.parseAllowance(text, row.quantity || null);
+    }
+
+    /**
+     * Locate every row label of a table after its caption
+     * @param {string} text - Section text
+     * @param {Object} table - Table definition
+     * @param {number} fromIndex - Caption position
+     * @returns {Array} Located rows sorted by position { row, start, end, match, mark }
+     */
+    locateRows(text, table, fromIndex) {
+        const located = [];
+        const searchText = text.slice(fromIndex);
+
+        table.rows.forEach(row => {
+            const match = searchText.match(row.label);
+            if (!match) {
+                console.warn(`⚠️  ${this.providerName}: row "${row.field}" not found in "${table.name}"`);
+                return;
+            }
+            const start = fromIndex + match.index;
+            const end = start + match[0].length;
+            const markMatch = text.slice(end).match(/^\s*(\*+)(?=\s)/);
+            located.push({ row, start, end, match, mark: markMatch ? markMatch[1] : null });
+        });
+
+        return located.sort((a, b) => a.start - b.start);
+    }
+
+    /**
+     * Read the first N values of a row from the text between its label and the next row label
+     * @param {string} region - Text following the row label
+     * @param {Object} row - Row definition
+     * @param {number} count - Number of plan columns
+     * @returns {Array<string>|null} Cell texts, or null when the row has too few values
+     */
+    readRowValues(region, row, count) {
+        const values = region.match(new RegExp(row.value.source, 'giu')) || [];
+        if (values.length < count) {
+            return null;
+        }
+        return values.slice(0, count);
+    }
+
+    /**
+     * Extract footnote definitions ("* text", "** text") that follow the table rows
+     * @param {string} text - Text after the last table row
+     * @returns {Array} Footnotes { mark, text }
+     */
+    extractFootnotes(text) {
+        const footnotes = [];
+        const markPattern = /(?:^|\s)(\*{1,3})\s+(?=\p{Lu})/gu;
+        const marks = [...text.matchAll(markPattern)];
+
+        marks.forEach((mark, index) => {
+            const start = mark.index + mark[0].length;
+            let end = index + 1 < marks.length ? marks[index + 1].index : text.length;
+
+            // The last footnote ends where the next heading (two uppercase words after a sentence) begins
+            const heading = text.slice(start, end).match(/\.\s+(?=\p{Lu}{2,}\s+\p{Lu}{2,})/u);
+            if (heading) {
+                end = start + heading.index + 1;
+            }
+
+            if (!footnotes.some(footnote => footnote.mark === mark[1])) {
+                footnotes.push({ mark: mark[1], text: text.slice(start, end).replace(/\s+/g, ' ').trim() });
+            }
+        });
+
+        return footnotes;
+    }
+
+    /**
+     * Extract plans from one table definition
+     * @param {string} text - Section text
+     * @param {Object} table - Table definition
+     * @returns {Array} Plan objects (empty when the table is not present)
+     */
+    extractTable(text, table) {
+        const captionMatch = text.match(table.caption);
+        if (!captionMatch) {
+            return [];
+        }
+
+        const captionEnd = captionMatch.index + captionMatch[0].length;
+        const rows = this.locateRows(text, table, captionEnd);
+        if (rows.length === 0) {
+            return [];
+        }
+
+        const headerMatch = text.slice(captionEnd, rows[0].start).match(table.header);
+        const headerStart = headerMatch ? captionEnd + headerMatch.index + headerMatch[0].length : captionEnd;
+        const planNames = this.parsePlanNames(text.slice(headerStart, rows[0].start));
+        if (planNames.length === 0) {
+            console.warn(`⚠️  ${this.providerName}: no plan names found in "${table.name}"`);
+            return [];
+        }
+
+        const plans = planNames.map(name => {
+            const plan = { name: name };
+            table.rows.forEach(row => {
+                plan[row.field] = null;
+            });
+            plan.commitmentMonths = null;
+            plan.footnotes = [];
+            return plan;
+        });
+
+        let tableEnd = rows[rows.length - 1].end;
+        const fieldMarks = {};
+
+        rows.forEach((located, index) => {
+            const regionEnd = index + 1 < rows.length ? rows[index + 1].start : text.length;
+            const region = text.slice(located.end, regionEnd);
+            const values = this.readRowValues(region, located.row, plans.length);
+
+            if (!values) {
+                console.warn(`⚠️  ${this.providerName}: row "${located.row.field}" has fewer than ${plans.length} values`);
+                return;
+            }
+
+            values.forEach((value, column) => {
+                plans[column][located.row.field] = this.parseValue(located.row, value);
+            });
+
+            if (located.row.commitmentFromLabel && located.match[1]) {
+                plans.forEach(plan => {
+                    plan.commitmentMonths = parseInt(located.match[1], 10);
+                });
+            }
+            if (located.mark) {
+                fieldMarks[located.mark] = located.row.field;
+            }
+
+            const lastValue = values[values.length - 1];
+            tableEnd = Math.max(tableEnd, located.end + region.indexOf(lastValue) + lastValue.length);
+        });
+
+        const footnotes = this.extractFootnotes(text.slice(tableEnd)).map(footnote => ({
+            ...footnote,
+            field: fieldMarks[footnote.mark] || null
+        }));
+        plans.forEach(plan => {
+            plan.footnotes = footnotes;
+        });
+
+        // Cells without their own VAT marker take the table's
+        const statementText = [text.slice(captionMatch.index, rows[0].start), ...footnotes.map(footnote => footnote.text)].join(' ');
+        const vatIncluded = this.detectTableVat(table, statementText);
+        plans.forEach(plan => {
+            table.rows.filter(row => row.type === 'price').forEach(row => {
+                if (plan[row.field] && plan[row.field].vatIncluded === null) {
+                    plan[row.field].vatIncluded = vatIncluded;
+                }
+            });
+        });
+
+        return plans;
+    }
+
+    /**
+     * Extract plans from all sections and store them next to rawText
+     * @param {Object} sections - Sections keyed by config key ({ rawText })
+     * @returns {Object} { totalPlans, sections: [keys with plans] }
+     */
+    extractFromSections(sections) {
+        const result = { totalPlans: 0, sections: [] };
+
+        Object.entries(sections || {}).forEach(([key, section]) => {
+            if (!section || !section.rawText) {
+                return;
+            }
+
+            const plans = [];
+            this.getTableDefinitions().forEach(table => {
+                try {
+                    this.extractTable(section.rawText, table).forEach(plan => {
+                        plans.push({ table: table.name, category: table.category || null, ...plan });
+                    });
+                } catch (error) {
+                    console.warn(`⚠️  ${this.providerName}: failed to extract "${table.name}" from ${key}: ${error.message}`);
+                }
+            });
+
+            if (plans.length > 0) {
+                section.plans = plans;
+                result.totalPlans += plans.length;
+                result.sections.push(key);
+            }
+        });
+
+        return result;
+    }
+}
+
+module.exports = BaseTariffExtractor;
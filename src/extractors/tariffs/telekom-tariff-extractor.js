@@ -0,0 +1,67 @@
+const BaseTariffExtractor = require('./base-tariff-extractor');
+
+/**
+ * Telekom Tariff Extractor
+ * Structured plans from the "PROGRAMY SLUŽIEB TELEKOM PAUŠÁL" table
+ * (SPOJENIE, RELAX, KOMPLET, ... columns)
+ */
+class TelekomTariffExtractor extends BaseTariffExtractor {
+    constructor() {
+        super('telekom');
+    }
+
+    /**
+     * Get Telekom table definitions
+     * @returns {Array} Table definitions
+     */
+    getTableDefinitions() {
+        const allowance = unit => new RegExp(`\\d+(?:,\\d+)?\\s?${unit}|Nekonečné`);
+
+        return [
+            {
+                name: 'PROGRAMY SLUŽIEB TELEKOM PAUŠÁL',
+                category: 'mobile-plans',
+                caption: /PROGRAMY SLUŽIEB TELEKOM PAUŠÁL/,
+                header: /Tabuľka s informáciami o paušáloch/,
+                rows: [
+                    {
+                        field: 'minutes',
+                        type: 'allowance',
+                        quantity: 'minutes',
+                        label: /Volania do mobilných a pevných sietí SR/,
+                        value: allowance('minút')
+                    },
+                    {
+                        field: 'sms',
+                        type: 'allowance',
+                        quantity: 'sms',
+                        label: /SMS\/MMS do všetkých sietí SR a zo SR do EÚ a zóny 1/,
+                        value: allowance('SMS(?:\\/MMS)?')
+                    },
+                    {
+                        field: 'data',
+                        type: 'allowance',
+                        quantity: 'data',
+                        label: /Objem dát v SR, EÚ a zóne 1 maximálnou rýchlosťou/,
+                        value: allowance('[GM]B')
+                    },
+                    {
+                        field: 'monthlyFee',
+                        type: 'price',
+                        label: /Mesačný poplatok počas (\d+)-mesačnej viazanosti/,
+                        value: /\d+(?:,\d+)?\s?€/,
+                        commitmentFromLabel: true
+                    },
+                    {
+                        field: 'monthlyFeeWithoutCommitment',
+                        type: 'price',
+                        label: /Mesačný poplatok bez viazanosti/,
+                        value: /\d+(?:,\d+)?\s?€/
+                    }
+                ]
+            }
+        ];
+    }
+}
+
+module.exports = TelekomTariffExtractor;
@@ -1,9 +1,6 @@
 const { loadConfig } = require('./utils/core/config-loader');
 const DataStorage = require('./storage/data-storage');
-const O2PdfScraper = require('./scrapers/o2-pdf-scraper');
-const TelekomPdfScraper = require('./scrapers/telekom-pdf-scraper');
-const OrangePdfScraper = require('./scrapers/orange-pdf-scraper');
-const RadPdfScraper = require('./scrapers/rad-pdf-scraper');
+const ProviderRegistry = require('./providers/provider-registry');
 const ErrorMonitor = require('./utils/core/error-monitor');
 const EmailNotifier = require('./notifications/email-notifier');
 
@@ -20,639 +17,103 @@ class BrainScraper {
     }
 
     /**
-     * Run O2 PDF scraping for all O2 price lists
-     * @param {string} localPdfPath - Optional local PDF path for testing (Phase 2)
-     * @returns {Promise<Array>} Results from all O2 price lists
-     */
-    async runO2Scraper(localPdfPath = null, errorMonitor = null) {
-        try {
-            console.log(`=== 🚀 Starting O2 PDF scraping ===`);
-            
-            const config = loadConfig();
-            const o2Config = config.providers.o2;
-            
-            if (!o2Config) {
-                throw new Error('O2 configuration not found');
-            }
-            
-            if (localPdfPath) {
-                console.log(`📄 Using local PDF: ${localPdfPath}`);
-                const o2Scraper = new O2PdfScraper(errorMonitor);
-                const results = await o2Scraper.scrapePdf(o2Config.pdfUrl, o2Config.displayName, localPdfPath);
-                return [results];
-            }
-            
-            console.log('🔄 Using dynamic PDF discovery with change detection...');
-            const CrawlerManager = require('./crawlers/crawler-manager');
-            const crawlerManager = new CrawlerManager();
-            crawlerManager.errorMonitor = errorMonitor; // Pass error monitor to crawler manager
-            
-            crawlerManager.initializeCrawlers(config);
-            
-            const crawlResults = await crawlerManager.runProviderWithChangeDetection('o2');
-            
-            if (crawlResults.efficiencyGained && crawlResults.skippedCrawls > 0) {
-                console.log(`🎉 Efficiency gained! Skipped ${crawlResults.skippedCrawls} unchanged providers`);
-            }
-            
-            if (crawlResults.results.length === 0) {
-                console.log('🎉 No changes detected for O2! No PDF processing needed.');
-                return [];
-            }
-            
-            const o2Result = crawlResults.results.find(r => r.provider === 'o2');
-            if (!o2Result || !o2Result.result.pdfUrl) {
-                throw new Error(`O2 crawl failed: No PDF URL found`);
-            }
-            
-            // Now scrape the discovered PDF
-            const o2Scraper = new O2PdfScraper();
-            const results = await o2Scraper.scrapePdf(o2Result.result.pdfUrl, o2Config.displayName);
-            
-            console.log('=== 🚀 O2 PDF scraping complete ===');
-            return [results];
-            
-        } catch (error) {
-            console.error(`Error in O2 PDF scraping:`, error.message);
-            throw error;
-        }
-    }
-
-    /**
-     * Run Telekom PDF scraping for all Telekom price lists
-     * @param {string} localPdfPath - Optional local PDF path for testing
-     * @returns {Promise<Array>} Results from all Telekom price lists
-     */
-    async runTelekomScraper(localPdfPath = null, errorMonitor = null) {
-        try {
-            console.log(`=== 🚀 Starting Telekom PDF scraping ===`);
-            
-            const config = loadConfig();
-            const telekomConfig = config.providers.telekom;
-            
-            if (!telekomConfig) {
-                throw new Error('Telekom configuration not found');
-            }
-            
-            if (localPdfPath) {
-                console.log(`📄 Using local PDF: ${localPdfPath}`);
-                const telekomScraper = new TelekomPdfScraper(errorMonitor);
-                const results = await telekomScraper.scrapePdf(telekomConfig.pdfUrl, telekomConfig.displayName, localPdfPath);
-                return [results];
-            }
-            
-            console.log('🔄 Using dynamic PDF discovery with change detection...');
-            const CrawlerManager = require('./crawlers/crawler-manager');
-            const crawlerManager = new CrawlerManager();
-            crawlerManager.errorMonitor = errorMonitor; // Pass error monitor to crawler manager
-            
-            crawlerManager.initializeCrawlers(config);
-            
-            const crawlResults = await crawlerManager.runProviderWithChangeDetection('telekom');
-            
-            if (crawlResults.efficiencyGained && crawlResults.skippedCrawls > 0) {
-                console.log(`🎉 Efficiency gained! Skipped ${crawlResults.skippedCrawls} unchanged providers`);
-            }
-            
-            if (crawlResults.results.length === 0) {
-                console.log('🎉 No changes detected for Telekom! No PDF processing needed.');
-                return [];
-            }
-            
-            const telekomResult = crawlResults.results.find(r => r.provider === 'telekom');
-            if (!telekomResult || !telekomResult.result) {
-                throw new Error(`Telekom crawl failed: No crawl result found`);
-            }
-            
-            // Telekom crawler returns structure with pdfs array, not single pdfUrl
-            const telekomPdf = telekomResult.result.pdfs && telekomResult.result.pdfs[0];
-            if (!telekomPdf || !telekomPdf.pdfUrl) {
-                throw new Error(`Telekom crawl failed: No PDF URL found`);
-            }
-            
-            // Now scrape the discovered PDF
-            const telekomScraper = new TelekomPdfScraper();
-            const results = await telekomScraper.scrapePdf(telekomPdf.pdfUrl, telekomConfig.displayName);
-            
-            console.log('=== 🚀 Telekom PDF scraping complete ===');
-            return [results];
-            
-        } catch (error) {
-            console.error(`Error in Telekom PDF scraping:`, error.message);
-            throw error;
-        }
-    }
-
-    /**
-     * Run RAD PDF scraping for RAD Slovakia price list
-     * @param {string} localPdfPath - Optional local PDF path for testing
-     * @returns {Promise<Array>} Results from RAD price list
-     */
-    async runRadScraper(localPdfPath = null, errorMonitor = null) {
-        try {
-            console.log(`=== 🚀 Starting RAD PDF scraping ===`);
-            
-            const config = loadConfig();
-            const radConfig = config.providers.rad;
-            
-            if (!radConfig) {
-                throw new Error('RAD configuration not found');
-            }
-            
-            if (localPdfPath) {
-                console.log(`📄 Using local PDF: ${localPdfPath}`);
-                const radScraper = new RadPdfScraper(errorMonitor);
-                const results = await radScraper.scrapePdf(radConfig.pdfUrl, radConfig.displayName, localPdfPath);
-                return [results];
-            }
-            
-            console.log('🔄 Using dynamic PDF discovery with change detection...');
-            const CrawlerManager = require('./crawlers/crawler-manager');
-            const crawlerManager = new CrawlerManager();
-            crawlerManager.errorMonitor = errorMonitor; // Pass error monitor to crawler manager
-            
-            crawlerManager.initializeCrawlers(config);
-            
-            const crawlResults = await crawlerManager.runProviderWithChangeDetection('rad');
-            
-            if (crawlResults.efficiencyGained && crawlResults.skippedCrawls > 0) {
-                console.log(`🎉 Efficiency gained! Skipped ${crawlResults.skippedCrawls} unchanged providers`);
-            }
-            
-            if (crawlResults.results.length === 0) {
-                console.log('🎉 No changes detected for RAD! No PDF processing needed.');
-                return [];
-            }
-            
-            const radResult = crawlResults.results.find(r => r.provider === 'rad');
-            if (!radResult || !radResult.result) {
-                throw new Error(`RAD crawl failed: No crawl result found`);
-            }
-            
-            // RAD crawler returns structure with pdfs array, not single pdfUrl
-            const radPdf = radResult.result.pdfs && radResult.result.pdfs[0];
-            if (!radPdf || !radPdf.pdfUrl) {
-                throw new Error(`RAD crawl failed: No PDF URL found`);
-            }
-            
-            // Now scrape the discovered PDF
-            const radScraper = new RadPdfScraper(errorMonitor);
-            const results = await radScraper.scrapePdf(radPdf.pdfUrl, radConfig.displayName);
-            
-            console.log('=== 🚀 RAD PDF scraping complete ===');
-            return [results];
-            
-        } catch (error) {
-            console.error(`Error in RAD PDF scraping:`, error.message);
-            throw error;
-        }
-    }
-
-    /**
-     * Run Orange PDF scraping for all Orange price lists
-     * @param {string} localPdfPath - Optional local PDF path for testing
-     * @returns {Promise<Array>} Results from all Orange price lists
-     */
-    async runOrangeScraper(localPdfPath = null, errorMonitor = null) {
-        try {
-            console.log(`=== 🚀 Starting Orange PDF scraping ===`);
-            
-            const config = loadConfig();
-            const orangeConfig = config.providers.orange;
-            
-            if (!orangeConfig) {
-                throw new Error('Orange configuration not found');
-            }
-            
-            if (localPdfPath) {
-                console.log(`📄 Using local PDF: ${localPdfPath}`);
-                const orangeScraper = new OrangePdfScraper(errorMonitor);
-                const results = await orangeScraper.scrapePdf(orangeConfig.pdfUrl, orangeConfig.displayName, localPdfPath);
-                return [results];
-            }
-            
-            // For dynamic discovery, use single provider crawling
-            console.log('🔄 Using dynamic PDF discovery for Orange only...');
-            const CrawlerManager = require('./crawlers/crawler-manager');
-            const crawlerManager = new CrawlerManager();
-            crawlerManager.errorMonitor = errorMonitor; // Pass error monitor to crawler manager
-            
-            crawlerManager.initializeCrawlers(config);
-            
-            const orangeCrawler = crawlerManager.crawlers.get('orange');
-            if (!orangeCrawler) {
-                throw new Error('Orange crawler not initialized');
-            }
-            
-            console.log('🚀 Running Orange crawler directly...');
-            const orangeResult = await crawlerManager.runSingleCrawler('orange', orangeCrawler);
-            
-            if (!orangeResult || !orangeResult.result || !orangeResult.result.pdfs) {
-                throw new Error(`Orange consolidated crawl failed: No PDF data found`);
-            }
-            
-            const consolidatedResult = orangeResult.result;
-            
-            console.log(`📊 Orange Consolidated Results:`);
-            console.log(`   Total PDFs: ${consolidatedResult.totalPdfs}`);
-            console.log(`   Successful: ${consolidatedResult.successfulPdfs}`);
-            console.log(`   Failed: ${consolidatedResult.failedPdfs}`);
-            
-            const storageResult = await this.dataStorage.saveToDataset([consolidatedResult], null, 'orange');
-            console.log(`💾 Consolidated data saved to: ${storageResult.backupFile}`);
-            
-            return [consolidatedResult];
-            
-        } catch (error) {
-            console.error(`Error in Orange PDF scraping:`, error.message);
-            throw error;
-        }
-    }
-
-    /**
-     * Run Tesco Mobile PDF scraping for all Tesco Mobile price lists
-     * @param {string} localPdfPath - Optional local PDF path for testing
-     * @returns {Promise<Array>} Results from all Tesco Mobile price lists
-     */
-    async runTescoScraper(localPdfPath = null, errorMonitor = null) {
-        try {
-            console.log(`=== 🚀 Starting Tesco Mobile PDF scraping ===`);
-            
-            const config = loadConfig();
-            const tescoConfig = config.providers.tesco;
-            
-            if (!tescoConfig) {
-                throw new Error('Tesco Mobile configuration not found');
-            }
-            
-            if (localPdfPath) {
-                console.log(`📄 Using local PDF: ${localPdfPath}`);
-                const TescoPdfScraper = require('./scrapers/tesco-pdf-scraper');
-                const tescoScraper = new TescoPdfScraper(errorMonitor);
-                const results = await tescoScraper.scrapePdf(tescoConfig.pdfUrl, tescoConfig.displayName, localPdfPath);
-                return [results];
-            }
-            
-            // For dynamic discovery, use single provider crawling
-            console.log('🔄 Using dynamic PDF discovery for Tesco Mobile only...');
-            const CrawlerManager = require('./crawlers/crawler-manager');
-            const crawlerManager = new CrawlerManager();
-            crawlerManager.errorMonitor = errorMonitor; // Pass error monitor to crawler manager
-            
-            crawlerManager.initializeCrawlers(config);
-            
-            const tescoCrawler = crawlerManager.crawlers.get('tesco');
-            if (!tescoCrawler) {
-                throw new Error('Tesco Mobile crawler not initialized');
-            }
-            
-            console.log('🚀 Running Tesco Mobile crawler directly...');
-            const tescoResult = await crawlerManager.runSingleCrawler('tesco', tescoCrawler);
-            
-            if (!tescoResult || !tescoResult.result || !tescoResult.result.pdfs) {
-                throw new Error(`Tesco Mobile consolidated crawl failed: No PDF data found`);
-            }
-            
-            const consolidatedResult = tescoResult.result;
-            
-            console.log(`📊 Tesco Mobile Consolidated Results:`);
-            console.log(`   Total PDFs: ${consolidatedResult.totalPdfs}`);
-            console.log(`   Successful: ${consolidatedResult.successfulPdfs}`);
-            console.log(`   Failed: ${consolidatedResult.failedPdfs}`);
-            
-            // Display individual PDF results
-            consolidatedResult.pdfs.forEach((pdf, index) => {
-                if (pdf.error) {
-                    console.log(`❌ PDF ${index + 1} (${pdf.pdfType}): ${pdf.error}`);
-                } else {
-                    console.log(`✅ PDF ${index + 1} (${pdf.pdfType}): ${pdf.summary?.totalCharacters || 0} characters extracted`);
-                }
-            });
-            
-            return [consolidatedResult];
-            
-        } catch (error) {
-            console.error(`Error in Tesco Mobile PDF scraping:`, error.message);
-            throw error;
-        }
-    }
-
-    /**
-     * Run 4ka PDF scraping for all 4ka price lists
+     * Run one provider: crawl it with change detection (the crawler extracts and stores its PDFs),
+     * or extract a local PDF with the provider's scraper
+     * @param {string} providerName - Provider key or alias (see ProviderRegistry)
      * @param {string} localPdfPath - Optional local PDF path for testing
      * @param {Object} errorMonitor - ErrorMonitor instance for tracking warnings
-     * @returns {Promise<Array>} Results from all 4ka price lists
+     * @returns {Promise<Array>} Consolidated crawl result, the stored PDFs when nothing changed, or the local PDF result
      */
-    async runFourKaScraper(localPdfPath = null, errorMonitor = null) {
-        try {
-            console.log(`=== 🚀 Starting 4ka PDF scraping ===`);
-            
-            const config = loadConfig();
-            const fourkaConfig = config.providers.fourka;
-            
-            if (!fourkaConfig) {
-                throw new Error('4ka configuration not found');
-            }
-            
-            if (localPdfPath) {
-                console.log(`📄 Using local PDF: ${localPdfPath}`);
-                const FourKaPdfScraper = require('./scrapers/4ka-pdf-scraper');
-                const fourkaScraper = new FourKaPdfScraper();
-                const results = await fourkaScraper.scrapePdf(fourkaConfig.pdfUrl, fourkaConfig.displayName, localPdfPath);
-                return [results];
-            }
-            
-            console.log('🔄 Using dynamic PDF discovery with change detection...');
-            const CrawlerManager = require('./crawlers/crawler-manager');
-            const crawlerManager = new CrawlerManager();
-            crawlerManager.errorMonitor = errorMonitor; // Pass error monitor to crawler manager
-            
-            crawlerManager.initializeCrawlers(config);
-            
-            const crawlResults = await crawlerManager.runProviderWithChangeDetection('fourka');
-            
-            if (crawlResults.efficiencyGained && crawlResults.skippedCrawls > 0) {
-                console.log(`🎉 Efficiency gained! Skipped ${crawlResults.skippedCrawls} unchanged providers`);
-            }
-            
-            // If no changes detected, return existing data
-            if (crawlResults.efficiencyGained && crawlResults.results.length === 0) {
-                console.log('📄 No changes detected, returning existing data...');
-                const fs = require('fs');
-                const path = require('path');
-                const existingDataPath = path.join(__dirname, '..', 'storage', 'datasets', 'fourka', 'fourka.json');
-                
-                if (fs.existsSync(existingDataPath)) {
-                    const existingData = JSON.parse(fs.readFileSync(existingDataPath, 'utf8'));
-                    // Return individual PDFs from existing data, not the full dataset
-                    return existingData.pdfs || [];
-                } else {
-                    throw new Error('No changes detected and no existing data found');
-                }
-            }
-            
-            const fourkaResult = crawlResults.results.find(r => r.provider === 'fourka');
-            if (!fourkaResult || !fourkaResult.result) {
-                throw new Error(`4ka crawl failed: No crawl result found`);
-            }
-            
-            // 4ka crawler returns structure with pdfs array, not single pdfUrl
-            const fourkaPdfs = fourkaResult.result.pdfs && fourkaResult.result.pdfs;
-            if (!fourkaPdfs || fourkaPdfs.length === 0) {
-                throw new Error(`4ka crawl failed: No PDF URLs found`);
-            }
-            
-            // Now scrape the discovered PDFs
-            const FourKaPdfScraper = require('./scrapers/4ka-pdf-scraper');
-            const fourkaScraper = new FourKaPdfScraper();
-            const results = await fourkaScraper.scrapePdf(fourkaPdfs[0].pdfUrl, fourkaConfig.displayName);
-            
-            return [results];
-            
-        } catch (error) {
-            console.error(`Error in 4ka PDF scraping:`, error.message);
-            throw error;
-        }
-    }
+    async runProviderScraper(providerName, localPdfPath = null, errorMonitor = null) {
+        const config = loadConfig();
+        const registry = new ProviderRegistry(config);
+        const provider = registry.require(providerName);
+        let crawlerManager = null;
 
-    /**
-     * Run Okay fón PDF scraping for all Okay fón price lists
-     * @param {string} localPdfPath - Optional local PDF path for testing
-     * @returns {Promise<Array>} Results from all Okay fón price lists
-     */
-    async runOkayfonScraper(localPdfPath = null, errorMonitor = null) {
         try {
-            console.log(`=== 🚀 Starting Okay fón PDF scraping ===`);
-            
-            const config = loadConfig();
-            const okayfonConfig = config.providers.okayfon;
+            console.log(`=== 🚀 Starting ${provider.label} PDF scraping ===`);
             
-            if (!okayfonConfig) {
-                throw new Error('Okay fón configuration not found');
+            const providerConfig = config.providers[provider.key];
+            if (!providerConfig) {
+                throw new Error(`${provider.label} configuration not found`);
             }
             
             if (localPdfPath) {
                 console.log(`📄 Using local PDF: ${localPdfPath}`);
-                const OkayfonPdfScraper = require('./scrapers/okayfon-pdf-scraper');
-                const okayfonScraper = new OkayfonPdfScraper();
-                const results = await okayfonScraper.scrapePdf(okayfonConfig.pdfUrl, okayfonConfig.displayName, localPdfPath);
+                const ScraperClass = registry.getScraperClass(provider.key);
+                const providerScraper = new ScraperClass(errorMonitor);
+                const results = await providerScraper.scrapePdf(providerConfig.pdfUrl, providerConfig.displayName, localPdfPath);
                 return [results];
             }
             
-            console.log('🔄 Using dynamic PDF discovery with change detection...');
             const CrawlerManager = require('./crawlers/crawler-manager');
-            const crawlerManager = new CrawlerManager();
+            crawlerManager = new CrawlerManager();
             crawlerManager.errorMonitor = errorMonitor; // Pass error monitor to crawler manager
             
             crawlerManager.initializeCrawlers(config);
             
-            const crawlResults = await crawlerManager.runProviderWithChangeDetection('okayfon');
-            
-            if (crawlResults.efficiencyGained && crawlResults.skippedCrawls > 0) {
-                console.log(`🎉 Efficiency gained! Skipped ${crawlResults.skippedCrawls} unchanged providers`);
-            }
-            
-            // If no changes detected, return existing data
-            if (crawlResults.efficiencyGained && crawlResults.results.length === 0) {
-                console.log('📄 No changes detected, returning existing data...');
-                const fs = require('fs');
-                const path = require('path');
-                const existingDataPath = path.join(__dirname, '..', 'storage', 'datasets', 'okayfon', 'okayfon.json');
-                
-                if (fs.existsSync(existingDataPath)) {
-                    const existingData = JSON.parse(fs.readFileSync(existingDataPath, 'utf8'));
-                    // Return individual PDFs from existing data, not the full dataset
-                    return existingData.pdfs || [];
-                } else {
-                    throw new Error('No changes detected and no existing data found');
+            if (provider.forceCrawl) {
+                // Providers with selective merging re-extract every PDF when run on their own
+                const crawler = crawlerManager.crawlers.get(provider.key);
+                if (!crawler) {
+                    throw new Error(`${provider.label} crawler not initialized`);
                 }
-            }
-            
-            const okayfonResult = crawlResults.results.find(r => r.provider === 'okayfon');
-            if (!okayfonResult) {
-                throw new Error(`Okay fón crawl failed: No crawl result found`);
-            }
-            
-            // Okay fón crawler returns structure with pdfs array nested under result
-            const okayfonPdfs = okayfonResult.result.pdfs && okayfonResult.result.pdfs;
-            if (!okayfonPdfs || okayfonPdfs.length === 0) {
-                throw new Error(`Okay fón crawl failed: No PDF URLs found`);
-            }
-            
-            // Now scrape the discovered PDFs
-            const OkayfonPdfScraper = require('./scrapers/okayfon-pdf-scraper');
-            const okayfonScraper = new OkayfonPdfScraper();
-            const results = await okayfonScraper.scrapePdf(okayfonPdfs[0].pdfUrl, okayfonConfig.displayName);
-            
-            return [results];
-            
-        } catch (error) {
-            console.error(`Error in Okay fón PDF scraping:`, error.message);
-            throw error;
-        }
-    }
-
-
-    /**
-     * Run Juro PDF scraping for Juro price lists
-     * @param {string} localPdfPath - Optional local PDF path for testing
-     * @returns {Promise<Array>} Results from Juro price lists
-     */
-    async runJuroScraper(localPdfPath = null, errorMonitor = null) {
-        try {
-            console.log(`=== 🚀 Starting Juro PDF scraping ===`);
-            
-            const config = loadConfig();
-            const juroConfig = config.providers.juro;
-            
-            if (!juroConfig) {
-                throw new Error('Juro configuration not found');
-            }
-            
-            if (localPdfPath) {
-                console.log(`📄 Using local PDF: ${localPdfPath}`);
-                const JuroPdfScraper = require('./scrapers/juro-pdf-scraper');
-                const juroScraper = new JuroPdfScraper();
-                const results = await juroScraper.scrapePdf(juroConfig.pdfUrl, juroConfig.displayName, localPdfPath);
-                return [results];
-            }
-            
-            console.log('🔄 Using dynamic PDF discovery with change detection...');
-            const CrawlerManager = require('./crawlers/crawler-manager');
-            const crawlerManager = new CrawlerManager();
-            crawlerManager.errorMonitor = errorMonitor; // Pass error monitor to crawler manager
-            
-            crawlerManager.initializeCrawlers(config);
-            
-            const crawlResults = await crawlerManager.runProviderWithChangeDetection('juro');
-            
-            if (crawlResults.efficiencyGained && crawlResults.skippedCrawls > 0) {
-                console.log(`🎉 Efficiency gained! Skipped ${crawlResults.skippedCrawls} unchanged providers`);
-            }
-            
-            // If no changes detected, return existing data
-            if (crawlResults.efficiencyGained && crawlResults.results.length === 0) {
-                console.log('📄 No changes detected, returning existing data...');
-                const fs = require('fs');
-                const path = require('path');
-                const existingDataPath = path.join(__dirname, '..', 'storage', 'datasets', 'juro', 'juro.json');
                 
-                if (fs.existsSync(existingDataPath)) {
-                    const existingData = JSON.parse(fs.readFileSync(existingDataPath, 'utf8'));
-                    // Return individual PDFs from existing data, not the full dataset
-                    return existingData.pdfs || [];
-                } else {
-                    throw new Error('No changes detected and no existing data found');
-                }
-            }
-            
-            const juroResult = crawlResults.results.find(r => r.provider === 'juro');
-            if (!juroResult) {
-                throw new Error(`Juro crawl failed: No crawl result found`);
-            }
-            
-            // Juro crawler returns structure with pdfs array nested under result
-            const juroPdfs = juroResult.result.pdfs && juroResult.result.pdfs;
-            if (!juroPdfs || juroPdfs.length === 0) {
-                throw new Error(`Juro crawl failed: No PDF URLs found`);
-            }
-            
-            // The crawler already processed the PDF, so we can return the consolidated result
-            return [juroResult.result];
-            
-        } catch (error) {
-            console.error(`Error in Juro PDF scraping:`, error.message);
-            throw error;
-        }
-    }
-
-    /**
-     * Run Funfon PDF scraping
-     * @param {string} localPdfPath - Optional local PDF path for testing
-     * @returns {Promise<Array>} Results from Funfon scraping
-     */
-    async runFunfonScraper(localPdfPath = null, errorMonitor = null) {
-        try {
-            console.log(`=== 🚀 Starting Funfon PDF scraping ===`);
-            
-            const config = loadConfig();
-            const funfonConfig = config.providers.funfon;
-            
-            if (!funfonConfig) {
-                // If no config, create a default one for testing
-                console.log('⚠️  Funfon configuration not found, using defaults for testing');
-            }
-            
-            const displayName = funfonConfig?.displayName || 'Funfon Cenník služieb';
-            const pdfUrl = funfonConfig?.pdfUrl || 'LOCAL_TEST';
-            
-            if (localPdfPath) {
-                console.log(`📄 Using local PDF: ${localPdfPath}`);
-                const FunfonPdfScraper = require('./scrapers/funfon-pdf-scraper');
-                const funfonScraper = new FunfonPdfScraper(errorMonitor);
-                const results = await funfonScraper.scrapePdf(pdfUrl, displayName, localPdfPath);
-                return [results];
-            }
-            
-            console.log('🔄 Using dynamic PDF discovery with change detection...');
-            const CrawlerManager = require('./crawlers/crawler-manager');
-            const crawlerManager = new CrawlerManager();
-            crawlerManager.errorMonitor = errorMonitor; // Pass error monitor to crawler manager
-            
-            crawlerManager.initializeCrawlers(config);
-            
-            const crawlResults = await crawlerManager.runProviderWithChangeDetection('funfon');
+                console.log(`🚀 Running ${provider.label} crawler directly...`);
+                const crawlResult = await crawlerManager.runSingleCrawler(provider.key, crawler);
+                if (crawlResult && crawlResult.tripped) {
+                    throw new Error(crawlResult.error);
+                }
+                if (!crawlResult || !crawlResult.result || !crawlResult.result.pdfs) {
+                    throw new Error(`${provider.label} consolidated crawl failed: No PDF data found`);
+                }
+                return [crawlResult.result];
+            }
             
-            if (crawlResults.efficiencyGained && crawlResults.skippedCrawls > 0) {
-                console.log(`🎉 Efficiency gained! Skipped ${crawlResults.skippedCrawls} unchanged providers`);
+            console.log('🔄 Using dynamic PDF discovery with change detection...');
+            const crawlResults = await crawlerManager.runProviderWithChangeDetection(provider.key);
+            if (crawlResults.trippedProviders && crawlResults.trippedProviders.length > 0) {
+                throw new Error(crawlResults.trippedProviders[0].error);
             }
             
             // If no changes detected, return existing data
             if (crawlResults.efficiencyGained && crawlResults.results.length === 0) {
                 console.log('📄 No changes detected, returning existing data...');
-                const fs = require('fs');
-                const path = require('path');
-                const existingDataPath = path.join(__dirname, '..', 'storage', 'datasets', 'funfon', 'funfon.json');
-                
-                if (fs.existsSync(existingDataPath)) {
-                    const existingData = JSON.parse(fs.readFileSync(existingDataPath, 'utf8'));
-                    // Return individual PDFs from existing data, not the full dataset
-                    return existingData.pdfs || [];
-                } else {
+                const existingData = await this.dataStorage.loadDataset(provider.key);
+                if (!existingData) {
                     throw new Error('No changes detected and no existing data found');
                 }
+                // Return individual PDFs from existing data, not the full dataset
+                return existingData.pdfs || [existingData];
             }
             
-            const funfonResult = crawlResults.results.find(r => r.provider === 'funfon');
-            if (!funfonResult) {
-                throw new Error(`Funfon crawl failed: No crawl result found`);
-            }
-            
-            // Funfon crawler returns structure with pdfs array nested under result
-            const funfonPdfs = funfonResult.result.pdfs && funfonResult.result.pdfs;
-            if (!funfonPdfs || funfonPdfs.length === 0) {
-                throw new Error(`Funfon crawl failed: No PDF URLs found`);
+            const providerResult = crawlResults.results.find(r => r.provider === provider.key);
+            if (!providerResult || !providerResult.result) {
+                throw new Error(`${provider.label} crawl failed: No crawl result found`);
             }
             
-            // Now scrape the discovered PDFs
-            const FunfonPdfScraper = require('./scrapers/funfon-pdf-scraper');
-            const funfonScraper = new FunfonPdfScraper(errorMonitor);
-            const results = await funfonScraper.scrapePdf(funfonPdfs[0].pdfUrl, funfonConfig.displayName);
-            
-            return [results];
+            // The crawler already extracted and stored the PDFs
+            return [providerResult.result];
             
         } catch (error) {
-            console.error(`Error in Funfon PDF scraping:`, error.message);
+            console.error(`Error in ${provider.label} PDF scraping:`, error.message);
             throw error;
+        } finally {
+            if (crawlerManager) {
+                await crawlerManager.cleanup();
+            }
         }
     }
-
 }
 
 /**
  * Show help information
  */
 function showHelp() {
+    const providerLines = new ProviderRegistry().getAll()
+        .map(provider => `  ${provider.key.padEnd(31)} - ${provider.name}${provider.aliases.length > 0 ? ` (alias: ${provider.aliases.join(', ')})` : ''}`)
+        .join('\n');
+
     console.log(`
 🚀 BrAIn PDF Scraper System
 Multi-source PDF extraction for telco and banking sectors
@@ -662,15 +123,10 @@ node src/main.js --help           - Show this help
 node src/main.js --sections       - Show configurable sections
 node src/main.js --changes        - Show change detection status
 node src/main.js --all            - Run all providers with change detection
-node src/main.js o2               - Run O2 Slovakia scraper
-node src/main.js telekom          - Run Telekom Slovakia scraper
-node src/main.js orange           - Run Orange Slovakia scraper
-node src/main.js tesco            - Run Tesco Mobile Slovakia scraper
-node src/main.js fourka           - Run 4ka Slovakia scraper
-node src/main.js rad              - Run RAD Slovakia scraper
-node src/main.js okayfon          - Run Okay fón Slovakia scraper
-node src/main.js juro             - Run Juro Slovakia scraper
-node src/main.js funfon <pdf>     - Run Funfon Slovakia scraper (requires PDF path)
+node src/main.js --diff <provider> [from] [to] - Diff two stored dataset versions (default: previous vs latest)
+node src/main.js --reprocess <provider> [--since DATE] - Re-extract archived PDFs with the current extractors (versions saved since DATE and the current dataset)
+node src/main.js <provider> [pdf] - Run one provider (optionally on a local PDF)
+${providerLines}
 
 📖 Documentation:
 - SYSTEM_OVERVIEW.md - Complete system documentation
@@ -688,10 +144,133 @@ node src/main.js juro             # Run Juro scraper
 node src/main.js funfon pdf.pdf   # Run Funfon scraper with local PDF
 node src/main.js --all            # Run all providers with change detection
 node src/main.js --changes        # Show change detection status
+node src/main.js --diff telekom   # Compare latest Telekom version with the previous one
+node src/main.js --reprocess orange --since 2025-10-01  # Regenerate Orange versions saved since 1 Oct 2025
 node src/main.js --sections      # Show configurable sections
     `);
 }
 
+/**
+ * Print the PDFs of a provider run
+ * @param {string} label - Provider label
+ * @param {Array} results - runProviderScraper result (one consolidated result, or PDF records)
+ */
+function printProviderResults(label, results) {
+    console.log(`\n=== 🚀 ${label} Scraping Results ===`);
+    const consolidated = results.length === 1 && results[0] && Array.isArray(results[0].pdfs) ? results[0] : null;
+    if (consolidated) {
+        console.log(`📊 Summary: ${consolidated.totalPdfs} total PDFs, ${consolidated.successfulPdfs} successful, ${consolidated.failedPdfs} failed`);
+    }
+
+    const pdfs = consolidated ? consolidated.pdfs : results;
+    if (pdfs.length === 0) {
+        console.log('ℹ️  No PDFs processed');
+    }
+    pdfs.forEach(pdf => {
+        const summary = pdf.summary || pdf.data?.summary;
+        if (pdf.error || pdf.success === false) {
+            console.log(`❌ ${pdf.cennikName || 'Unknown'}: ${pdf.error || 'Unknown error'}`);
+        } else if (summary) {
+            console.log(`✅ ${pdf.cennikName}: ${summary.totalSections} sections, ${summary.successfulExtractions} successful extractions, ${summary.totalCharacters} characters`);
+        } else {
+            console.log(`✅ ${pdf.cennikName}: Successfully processed`);
+        }
+    });
+}
+
+/**
+ * Print a section-by-section dataset diff
+ * @param {Object} diff - SectionDiffer.diffDatasets result
+ */
+function printSectionDiff(diff) {
+    const { summary } = diff;
+    console.log(`\n📊 Sections: ${summary.sectionsChanged} changed, ${summary.sectionsAdded} added, ${summary.sectionsRemoved} removed, ${summary.sectionsUnchanged} unchanged`);
+    console.log(`📊 Passages: ${summary.passagesChanged} changed, ${summary.passagesAdded} added, ${summary.passagesRemoved} removed`);
+
+    if (!summary.hasChanges) {
+        console.log('\n✅ No content changes between these versions');
+    }
+
+    const preview = text => text.length > 200 ? `${text.substring(0, 200)}...` : text;
+    diff.sections.forEach(section => {
+        console.log(`\n📄 ${section.pdf} → ${section.key} [${section.status}]`);
+        section.changes.forEach(change => {
+            if (change.context) {
+                console.log(`   … ${preview(change.context)}`);
+            }
+            if (change.before !== null) {
+                console.log(`   - ${preview(change.before)}`);
+            }
+            if (change.after !== null) {
+                console.log(`   + ${preview(change.after)}`);
+            }
+        });
+    });
+}
+
+/**
+ * Mail the immediate changes not alerted yet, whichever run recorded them
+ * The alert cursor only moves after a successful send, so changes from a failed send, a run
+ * without email configuration or a single provider run go out with the next alert.
+ * @param {EmailNotifier|null} emailNotifier - Email notifier
+ * @param {Object} runSummary - Run summary fields for the alert (empty for a single provider run)
+ */
+async function sendPendingChangeAlerts(emailNotifier, runSummary = {}) {
+    const ChangeLedger = require('./utils/data/change-ledger');
+    const ChangeClassifier = require('./utils/data/change-classifier');
+    const changeLedger = new ChangeLedger();
+
+    const pending = await changeLedger.getPendingAlerts();
+    if (pending.entries.length === 0) {
+        return;
+    }
+    if (!emailNotifier || !emailNotifier.transporter) {
+        console.log(`⚠️  Email notifications not configured - ${pending.entries.length} change alert(s) kept for the next run`);
+        return;
+    }
+
+    const classifier = new ChangeClassifier();
+    const changes = pending.entries.slice().sort((a, b) => classifier.compareSeverity(b.severity, a.severity));
+    if (await emailNotifier.sendChangeAlert({ ...runSummary, changes })) {
+        await changeLedger.markAlertsSent(pending.cursor);
+        console.log(`✅ Change alert email sent (${changes.length} change(s))`);
+    } else {
+        console.error(`❌ Change alert email not sent - ${changes.length} change(s) kept for the next run`);
+    }
+}
+
+/**
+ * Mail the change digest when the configured interval has passed since the last one
+ * (or since the oldest pending change, before the first digest)
+ * @param {EmailNotifier|null} emailNotifier - Email notifier
+ */
+async function sendChangeDigestIfDue(emailNotifier) {
+    const ChangeLedger = require('./utils/data/change-ledger');
+    const ChangeClassifier = require('./utils/data/change-classifier');
+    const changeLedger = new ChangeLedger();
+
+    const pending = await changeLedger.getPendingDigest();
+    if (pending.entries.length === 0) {
+        return;
+    }
+
+    const intervalMs = new ChangeClassifier().getSettings().digestIntervalHours * 60 * 60 * 1000;
+    const dueAt = new Date(new Date(pending.lastDigestAt || pending.entries[0].detectedAt).getTime() + intervalMs);
+    if (Date.now() < dueAt.getTime()) {
+        console.log(`🗓️  ${pending.entries.length} minor change(s) waiting for the digest due ${dueAt.toISOString()}`);
+        return;
+    }
+    if (!emailNotifier || !emailNotifier.transporter) {
+        console.log(`⚠️  Email notifications not configured - ${pending.entries.length} change(s) in the digest not sent`);
+        return;
+    }
+
+    if (await emailNotifier.sendChangeDigest(pending.entries)) {
+        await changeLedger.markDigestSent(pending.cursor);
+        console.log(`✅ Change digest email sent (${pending.entries.length} change(s))`);
+    }
+}
+
 /**
  * Setup global error handlers
  */
@@ -771,39 +350,29 @@ async function main() {
             }
             
             if (scraperName === '--sections') {
-                // Show configurable sections
-                const O2SectionExtractor = require('./extractors/o2-section-extractor');
-                const TelekomSectionExtractor = require('./extractors/telekom-section-extractor');
-                const OrangeSectionExtractor = require('./extractors/orange-section-extractor');
+                // Show configurable sections of every registered provider
+                const registry = new ProviderRegistry(config);
                 
                 console.log('\n=== Configurable Sections ===');
                 console.log('Sections are defined in src/config/scraper-config.json');
                 console.log('You can modify the "providers" object to change which sections are extracted.\n');
                 
-                console.log('\n📱 O2 Sections:');
-                const o2Extractor = new O2SectionExtractor();
-                const o2Sections = o2Extractor.getSectionConfiguration();
-                o2Sections.forEach((section, index) => {
-                    console.log(`  ${index + 1}. ${section.title} (key: ${section.key})`);
-                });
-                
-                console.log('\n📱 Telekom Sections:');
-                const telekomExtractor = new TelekomSectionExtractor();
-                const telekomSections = telekomExtractor.getSectionConfiguration();
-                telekomSections.forEach((section, index) => {
-                    console.log(`  ${index + 1}. ${section.title} (key: ${section.key})`);
-                });
-                
-                console.log('\n📱 Orange Sections:');
-                const orangeExtractor = new OrangeSectionExtractor();
-                const orangeSections = orangeExtractor.getSectionConfiguration();
-                orangeSections.forEach((section, index) => {
-                    console.log(`  ${index + 1}. ${section.title} (key: ${section.key})`);
+                registry.getAll().forEach(provider => {
+                    const providerConfig = registry.getProviderConfig(provider.key) || {};
+                    const sections = Object.entries(providerConfig.sections || {});
+                    console.log(`\n📱 ${provider.label} Sections (providers.${provider.key}.sections):`);
+                    if (sections.length === 0) {
+                        console.log(`  No sections configured (extraction method: ${providerConfig.extractionMethod || 'not configured'})`);
+                        return;
+                    }
+                    sections.forEach(([key, title], index) => {
+                        console.log(`  ${index + 1}. ${title} (key: ${key})`);
+                    });
                 });
                 
                 console.log('\nTo modify sections:');
                 console.log('1. Edit src/config/scraper-config.json');
-                console.log('2. Update the "providers.o2.sections", "providers.telekom.sections", or "providers.orange.sections" objects');
+                console.log('2. Update the "providers.<key>.sections" object of the provider');
                 console.log('3. Run the scraper again');
                 process.exit(0);
             }
@@ -840,6 +409,63 @@ async function main() {
                 process.exit(0);
             }
             
+            if (scraperName === '--diff') {
+                // Show section-by-section diff between two stored dataset versions
+                const SectionDiffer = require('./utils/data/section-differ');
+                const fromId = args[2] || null;
+                const toId = args[3] || null;
+
+                if (!args[1]) {
+                    console.error('❌ Usage: node src/main.js --diff <provider> [fromVersion] [toVersion]');
+                    process.exit(1);
+                }
+                // History is stored under the provider key, so aliases such as "4ka" are resolved first
+                const provider = new ProviderRegistry(config).require(args[1]).key;
+
+                const differ = new SectionDiffer();
+                const diff = await differ.diffVersions(provider, fromId, toId);
+
+                console.log(`\n=== 🔍 ${provider} Dataset Diff ===`);
+                console.log(`   From: ${diff.from.versionId} (saved ${diff.from.savedAt})`);
+                console.log(`   To:   ${diff.to.versionId} (saved ${diff.to.savedAt})`);
+                printSectionDiff(diff);
+                process.exit(0);
+            }
+            
+            if (scraperName === '--reprocess') {
+                // Re-run the current extractors over archived (or local) PDFs of a stored dataset
+                const DatasetReprocessor = require('./storage/dataset-reprocessor');
+                const provider = args[1];
+                const sinceIndex = args.indexOf('--since');
+                const since = sinceIndex !== -1 ? args[sinceIndex + 1] : null;
+
+                if (!provider || provider.startsWith('--') || (sinceIndex !== -1 && !since)) {
+                    console.error('❌ Usage: node src/main.js --reprocess <provider> [--since YYYY-MM-DD]');
+                    process.exit(1);
+                }
+
+                console.log(`\n=== 🔁 Reprocessing ${provider}${since ? ` (versions saved since ${since})` : ''} ===`);
+                const reprocessor = new DatasetReprocessor(errorMonitor);
+                const result = await reprocessor.reprocess(provider, { since });
+
+                const versionFailures = result.versions.reduce((count, version) => count + version.failed.length, 0);
+                console.log(`\n📚 Versions: ${result.versions.filter(version => version.updated).length} of ${result.versions.length} regenerated`);
+                result.versions.forEach(version => {
+                    console.log(`   ${version.updated ? '🔁' : '⏭️ '} ${version.versionId}: ${version.reprocessed.length} reprocessed, ${version.skipped.length} skipped, ${version.failed.length} failed`);
+                });
+
+                console.log(`\n📊 Current dataset PDFs: ${result.reprocessed.length} reprocessed, ${result.skipped.length} skipped, ${result.failed.length} failed`);
+                result.skipped.forEach(entry => console.log(`   ⏭️  ${entry.pdf}: ${entry.reason}`));
+                result.failed.forEach(entry => console.log(`   ❌ ${entry.pdf}: ${entry.error}`));
+
+                if (result.saved) {
+                    console.log(`💾 Dataset saved${result.versionId ? ` (version ${result.versionId})` : ''}`);
+                    console.log(`\n=== 🔍 ${provider}: previous output vs reprocessed ===`);
+                    printSectionDiff(result.diff);
+                }
+                process.exit(result.failed.length > 0 || versionFailures > 0 ? 1 : 0);
+            }
+            
             if (scraperName === '--all') {
                 console.log('\n=== 🚀 Running All Providers with Change Detection ===');
                 const CrawlerManager = require('./crawlers/crawler-manager');
@@ -849,6 +475,7 @@ async function main() {
                 const config = loadConfig();
                 crawlerManager.initializeCrawlers(config);
                 
+                const runStartedAt = new Date().toISOString();
                 const crawlResults = await crawlerManager.runAllCrawlersWithChangeDetection();
                 
                 console.log('\n=== 📊 Change Detection Results ===');
@@ -891,6 +518,56 @@ async function main() {
                     });
                 }
                 
+                if (crawlResults.trippedProviders && crawlResults.trippedProviders.length > 0) {
+                    console.log('\n⛔ Skipped (circuit breaker tripped):');
+                    crawlResults.trippedProviders.forEach(status => {
+                        console.log(`   ⛔ ${status.provider}: ${status.consecutiveFailures} failed runs in a row, retried after ${status.retryAfter}`);
+                    });
+                }
+                
+                // Price changes are recorded with each new dataset version saved during this run
+                const PriceChangeDetector = require('./utils/data/price-change-detector');
+                const priceChanges = await new PriceChangeDetector().collectRecordedChanges(Object.keys(config.providers), runStartedAt);
+                
+                if (priceChanges.length > 0) {
+                    console.log(`\n💶 Price changes (${priceChanges.length}):`);
+                    priceChanges.forEach(change => {
+                        console.log(`   ${change.provider} [${change.section}]: ${change.description}`);
+                    });
+                }
+                
+                // Changes recorded in the ledger during this run carry a severity: the significant
+                // ones are mailed now (with any earlier ones not alerted yet), the rest wait for the digest
+                const changeDetector = crawlerManager.changeDetector;
+                const runChanges = (await changeDetector.changeLedger.readRun(changeDetector.runId))
+                    .sort((a, b) => changeDetector.changeClassifier.compareSeverity(b.severity, a.severity));
+                
+                if (runChanges.length > 0) {
+                    console.log(`\n📒 Changes recorded (${runChanges.length}):`);
+                    runChanges.forEach(change => {
+                        console.log(`   ${change.provider}: ${change.severity} (${change.changeType}) → ${change.urgency === 'immediate' ? 'alert' : 'digest'}`);
+                    });
+                }
+                
+                try {
+                    await sendPendingChangeAlerts(emailNotifier, {
+                        totalProviders: crawlResults.totalCrawlers,
+                        successfulCrawls: crawlResults.successfulCrawls,
+                        failedCrawls: crawlResults.failedCrawls,
+                        providersWithChanges: crawlResults.results.length,
+                        unchangedProviders: crawlResults.skippedCrawls,
+                        priceChanges: priceChanges
+                    });
+                } catch (alertError) {
+                    console.error('❌ Failed to send change alert email:', alertError.message);
+                }
+                
+                try {
+                    await sendChangeDigestIfDue(emailNotifier);
+                } catch (digestError) {
+                    console.error('❌ Failed to send change digest:', digestError.message);
+                }
+                
                 await crawlerManager.cleanup();
                 
                 // Record successful monitoring session if no errors
@@ -961,258 +638,18 @@ async function main() {
                 }
             }
         
-        if (scraperName === 'o2' || !scraperName) {
-            const localPdfPath = args[1]; // Optional: path to local PDF
-            if (localPdfPath) {
-                console.log(`📄 Using local PDF: ${localPdfPath}`);
-            }
-            const results = await scraper.runO2Scraper(localPdfPath, errorMonitor);
-            
-            // Display ErrorMonitor summary 
-            if (errorMonitor) {
-                const errorSummary = errorMonitor.end();
-                console.log(`\n📊 Monitoring session ended: ${errorSummary.totalErrors} errors, ${errorSummary.totalWarnings} warnings, ${errorSummary.totalSuccesses} successes`);
-            }
-            
-            console.log('\n=== 🚀 O2 Scraping Results ===');
-            results.forEach(result => {
-                if (result.success) {
-                    console.log(`✅ ${result.cennikName}: ${result.totalSections} sections, ${result.successfulExtractions} successful extractions, ${result.totalCharacters} characters`);
-                } else {
-                    console.log(`❌ ${result.cennikName}: ${result.error}`);
-                }
-            });
-            process.exit(0);
-        }
-        
-        if (scraperName === 'telekom') {
-            const localPdfPath = args[1]; // Optional: path to local PDF
-            if (localPdfPath) {
-                console.log(`📄 Using local PDF: ${localPdfPath}`);
-            }
-            const results = await scraper.runTelekomScraper(localPdfPath, errorMonitor);
-            
-            // Display ErrorMonitor summary 
-            if (errorMonitor) {
-                const errorSummary = errorMonitor.end();
-                console.log(`\n📊 Monitoring session ended: ${errorSummary.totalErrors} errors, ${errorSummary.totalWarnings} warnings, ${errorSummary.totalSuccesses} successes`);
-            }
-            
-            console.log('\n=== 🚀 Telekom Scraping Results ===');
-            results.forEach(result => {
-                if (result.success) {
-                    console.log(`✅ ${result.cennikName}: ${result.totalSections} sections, ${result.successfulExtractions} successful extractions, ${result.totalCharacters} characters`);
-                } else {
-                    console.log(`❌ ${result.cennikName}: ${result.error}`);
-                }
-            });
-            process.exit(0);
-        }
-        
-        if (scraperName === 'orange') {
-            const localPdfPath = args[1]; // Optional: path to local PDF
-            if (localPdfPath) {
-                console.log(`📄 Using local PDF: ${localPdfPath}`);
-            }
-            const results = await scraper.runOrangeScraper(localPdfPath, errorMonitor);
-            
-            // Display ErrorMonitor summary 
-            if (errorMonitor) {
-                const errorSummary = errorMonitor.end();
-                console.log(`\n📊 Monitoring session ended: ${errorSummary.totalErrors} errors, ${errorSummary.totalWarnings} warnings, ${errorSummary.totalSuccesses} successes`);
-            }
-            
-            console.log('\n=== 🚀 Orange Scraping Results ===');
-            if (results[0] && results[0].pdfs) {
-                const consolidated = results[0];
-                console.log(`📊 Summary: ${consolidated.totalPdfs} total PDFs, ${consolidated.successfulPdfs} successful, ${consolidated.failedPdfs} failed`);
-                
-                consolidated.pdfs.forEach(pdf => {
-                    if (pdf.error) {
-                        console.log(`❌ ${pdf.cennikName}: ${pdf.error}`);
-                    } else if (pdf.summary) {
-                        console.log(`✅ ${pdf.cennikName}: ${pdf.summary.totalSections} sections, ${pdf.summary.successfulExtractions} successful extractions, ${pdf.summary.totalCharacters} characters`);
-                    } else {
-                        console.log(`✅ ${pdf.cennikName}: Successfully processed`);
-                    }
-                });
-            } else {
-                console.log('❌ No consolidated results found');
-            }
-            process.exit(0);
-        }
-        
-        if (scraperName === 'rad') {
-            const localPdfPath = args[1]; // Optional: path to local PDF
-            if (localPdfPath) {
-                console.log(`📄 Using local PDF: ${localPdfPath}`);
-            }
-            const results = await scraper.runRadScraper(localPdfPath, errorMonitor);
-            
-            // Display ErrorMonitor summary 
-            if (errorMonitor) {
-                const errorSummary = errorMonitor.end();
-                console.log(`\n📊 Monitoring session ended: ${errorSummary.totalErrors} errors, ${errorSummary.totalWarnings} warnings, ${errorSummary.totalSuccesses} successes`);
-            }
-            
-            console.log('\n=== 🚀 RAD Scraping Results ===');
-            results.forEach(result => {
-                if (result.success) {
-                    console.log(`✅ ${result.cennikName}: ${result.totalSections} sections, ${result.successfulExtractions} successful extractions, ${result.totalCharacters} characters`);
-                } else {
-                    console.log(`❌ ${result.cennikName}: ${result.error}`);
-                }
-            });
-            process.exit(0);
-        }
-        
-        if (scraperName === 'tesco') {
-            const localPdfPath = args[1]; // Optional: path to local PDF
-            if (localPdfPath) {
-                console.log(`📄 Using local PDF: ${localPdfPath}`);
-            }
-            const results = await scraper.runTescoScraper(localPdfPath, errorMonitor);
-            
-            // Display ErrorMonitor summary 
-            if (errorMonitor) {
-                const errorSummary = errorMonitor.end();
-                console.log(`\n📊 Monitoring session ended: ${errorSummary.totalErrors} errors, ${errorSummary.totalWarnings} warnings, ${errorSummary.totalSuccesses} successes`);
-            }
-            
-            console.log('\n=== 🚀 Tesco Mobile Consolidated Results ===');
-            if (results[0] && results[0].pdfs) {
-                const consolidated = results[0];
-                console.log(`📊 Summary: ${consolidated.totalPdfs} total PDFs, ${consolidated.successfulPdfs} successful, ${consolidated.failedPdfs} failed`);
-                
-                consolidated.pdfs.forEach(pdf => {
-                    if (pdf.error) {
-                        console.log(`❌ ${pdf.cennikName}: ${pdf.error}`);
-                    } else if (pdf.summary) {
-                        console.log(`✅ ${pdf.cennikName}: ${pdf.summary.totalSections} sections, ${pdf.summary.successfulExtractions} successful extractions, ${pdf.summary.totalCharacters} characters`);
-                    } else {
-                        console.log(`✅ ${pdf.cennikName}: Successfully processed`);
-                    }
-                });
-            } else {
-                console.log('❌ No consolidated results found');
-            }
-            process.exit(0);
-        }
-        
-        if (scraperName === 'fourka') {
-            const localPdfPath = args[1]; // Optional: path to local PDF
-            if (localPdfPath) {
-                console.log(`📄 Using local PDF: ${localPdfPath}`);
-            }
-            const results = await scraper.runFourKaScraper(localPdfPath, errorMonitor);
-            
-            // Display ErrorMonitor summary
-            if (errorMonitor) {
-                const errorSummary = errorMonitor.end();
-                console.log(`\n📊 Monitoring session ended: ${errorSummary.totalErrors} errors, ${errorSummary.totalWarnings} warnings, ${errorSummary.totalSuccesses} successes`);
-            }
-            
-            console.log('\n=== 🚀 4ka Consolidated Results ===');
-            if (results[0] && results[0].pdfs) {
-                const consolidated = results[0];
-                console.log(`📊 Summary: ${consolidated.totalPdfs} total PDFs, ${consolidated.successfulPdfs} successful, ${consolidated.failedPdfs} failed`);
-                
-                consolidated.pdfs.forEach(pdf => {
-                    if (pdf.error) {
-                        console.log(`❌ ${pdf.cennikName}: ${pdf.error}`);
-                    } else if (pdf.summary) {
-                        console.log(`✅ ${pdf.cennikName}: ${pdf.summary.totalSections} sections, ${pdf.summary.successfulExtractions} successful extractions, ${pdf.summary.totalCharacters} characters`);
-                    } else {
-                        console.log(`✅ ${pdf.cennikName}: Successfully processed`);
-                    }
-                });
-            } else {
-                console.log('❌ No consolidated results found');
-            }
-            process.exit(0);
-        }
-        
-        if (scraperName === 'okayfon') {
-            const localPdfPath = args[1]; // Optional: path to local PDF
-            if (localPdfPath) {
-                console.log(`📄 Using local PDF: ${localPdfPath}`);
-            }
-            const results = await scraper.runOkayfonScraper(localPdfPath, errorMonitor);
-            
-            // Display ErrorMonitor summary
-            if (errorMonitor) {
-                const errorSummary = errorMonitor.end();
-                console.log(`\n📊 Monitoring session ended: ${errorSummary.totalErrors} errors, ${errorSummary.totalWarnings} warnings, ${errorSummary.totalSuccesses} successes`);
-            }
-            
-            console.log('\n=== 🚀 Okay fón Scraping Results ===');
-            results.forEach(result => {
-                if (result.success || result.cennikName) {
-                    const summary = result.summary || result.data?.summary;
-                    if (summary) {
-                        console.log(`✅ ${result.cennikName}: ${summary.totalSections} sections, ${summary.successfulExtractions} successful extractions, ${summary.totalCharacters} characters`);
-                    } else {
-                        console.log(`✅ ${result.cennikName}: Data loaded from storage`);
-                    }
-                } else {
-                    console.log(`❌ ${result.cennikName || 'Unknown'}: ${result.error || 'Unknown error'}`);
-                }
-            });
-            process.exit(0);
-        }
-        
-        if (scraperName === 'juro') {
+        // Single provider run (O2 when no argument is given)
+        const providerRegistry = new ProviderRegistry(config);
+        const provider = providerRegistry.get(scraperName || 'o2');
+        if (provider) {
             const localPdfPath = args[1]; // Optional: path to local PDF
-            if (localPdfPath) {
-                console.log(`📄 Using local PDF: ${localPdfPath}`);
-            }
-            const results = await scraper.runJuroScraper(localPdfPath, errorMonitor);
-            
-            // Display ErrorMonitor summary
-            if (errorMonitor) {
-                const errorSummary = errorMonitor.end();
-                console.log(`\n📊 Monitoring session ended: ${errorSummary.totalErrors} errors, ${errorSummary.totalWarnings} warnings, ${errorSummary.totalSuccesses} successes`);
-            }
+            const results = await scraper.runProviderScraper(provider.key, localPdfPath, errorMonitor);
             
-            console.log('\n=== 🚀 Juro Scraping Results ===');
-            if (results[0] && results[0].pdfs) {
-                // Consolidated result format
-                const consolidated = results[0];
-                console.log(`📊 Summary: ${consolidated.totalPdfs} total PDFs, ${consolidated.successfulPdfs} successful, ${consolidated.failedPdfs} failed`);
-                
-                consolidated.pdfs.forEach(pdf => {
-                    if (pdf.error) {
-                        console.log(`❌ ${pdf.cennikName}: ${pdf.error}`);
-                    } else if (pdf.summary) {
-                        console.log(`✅ ${pdf.cennikName}: ${pdf.summary.totalSections} sections, ${pdf.summary.successfulExtractions} successful extractions, ${pdf.summary.totalCharacters} characters`);
-                    } else {
-                        console.log(`✅ ${pdf.cennikName}: Successfully processed`);
-                    }
-                });
-            } else {
-                // Direct result format
-                results.forEach(result => {
-                    if (result.success || result.cennikName) {
-                        const summary = result.summary || result.data?.summary;
-                        if (summary) {
-                            console.log(`✅ ${result.cennikName}: ${summary.totalSections} sections, ${summary.successfulExtractions} successful extractions, ${summary.totalCharacters} characters`);
-                        } else {
-                            console.log(`✅ ${result.cennikName}: Data loaded from storage`);
-                        }
-                    } else {
-                        console.log(`❌ ${result.cennikName || 'Unknown'}: ${result.error || 'Unknown error'}`);
-                    }
-                });
-            }
-            process.exit(0);
-        }
-        
-        if (scraperName === 'funfon') {
-            const localPdfPath = args[1]; // Optional: path to local PDF for testing
-            if (localPdfPath) {
-                console.log(`📄 Using local PDF: ${localPdfPath}`);
+            try {
+                await sendPendingChangeAlerts(emailNotifier);
+            } catch (alertError) {
+                console.error('❌ Failed to send change alert email:', alertError.message);
             }
-            const results = await scraper.runFunfonScraper(localPdfPath, errorMonitor);
             
             // Display ErrorMonitor summary
             if (errorMonitor) {
@@ -1220,46 +657,12 @@ async function main() {
                 console.log(`\n📊 Monitoring session ended: ${errorSummary.totalErrors} errors, ${errorSummary.totalWarnings} warnings, ${errorSummary.totalSuccesses} successes`);
             }
             
-            console.log('\n=== 🚀 Funfon Scraping Results ===');
-            results.forEach(result => {
-                if (result.success || result.cennikName) {
-                    const summary = result.summary || result.data?.summary;
-                    if (summary) {
-                        console.log(`✅ ${result.cennikName}: ${summary.totalSections} sections, ${summary.successfulExtractions} successful extractions, ${summary.totalCharacters} characters`);
-                    } else {
-                        console.log(`✅ ${result.cennikName}: Data loaded from storage`);
-                    }
-                } else {
-                    console.log(`❌ ${result.cennikName || 'Unknown'}: ${result.error || 'Unknown error'}`);
-                }
-            });
-            process.exit(0);
-        }
-        
-        if (scraperName === 'rad') {
-            const localPdfPath = args[1]; // Optional: path to local PDF
-            if (localPdfPath) {
-                console.log(`📄 Using local PDF: ${localPdfPath}`);
-            }
-            const results = await scraper.runRadScraper(localPdfPath, errorMonitor);
-            console.log('\n=== 🚀 RAD Scraping Results ===');
-            results.forEach(result => {
-                if (result.success) {
-                    console.log(`✅ ${result.cennikName}: ${result.totalSections} sections, ${result.successfulExtractions} successful extractions, ${result.totalCharacters} characters`);
-                } else {
-                    console.log(`❌ ${result.cennikName}: ${result.error}`);
-                }
-            });
+            printProviderResults(provider.label, results);
             process.exit(0);
         }
         
-        if (scraperName) {
-            console.log(`❌ Scraper '${scraperName}' not supported. Available: o2, telekom, orange, tesco, fourka, rad, okayfon, juro, funfon`);
-            process.exit(1);
-        } else {
-            showHelp();
-            process.exit(0);
-        }
+        console.log(`❌ Scraper '${scraperName}' not supported. Available: ${providerRegistry.keys().join(', ')}`);
+        process.exit(1);
         
     } catch (error) {
         console.error('Error in main function:', error.message);
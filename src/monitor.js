@@ -2,9 +2,8 @@ const { loadConfig } = require('./utils/core/config-loader');
 const CrawlerManager = require('./crawlers/crawler-manager');
 const ChangeDetector = require('./utils/data/change-detector');
 const EmailNotifier = require('./notifications/email-notifier');
-const O2PdfScraper = require('./scrapers/o2-pdf-scraper');
-const TelekomPdfScraper = require('./scrapers/telekom-pdf-scraper');
-const OrangePdfScraper = require('./scrapers/orange-pdf-scraper');
+const ProviderRegistry = require('./providers/provider-registry');
+const { getConcurrencySettings, mapSettled } = require('./utils/core/concurrency');
 
 /**
  * Price Monitor
@@ -16,6 +15,7 @@ class PriceMonitor {
         this.crawlerManager = null;
         this.changeDetector = null;
         this.emailNotifier = null;
+        this.providerRegistry = null;
         this.results = {
             crawlResults: [],
             changeResults: null,
@@ -35,6 +35,8 @@ class PriceMonitor {
             this.config = loadConfig();
             console.log('✅ Configuration loaded');
             
+            this.providerRegistry = new ProviderRegistry(this.config);
+            
             this.crawlerManager = new CrawlerManager();
             this.changeDetector = new ChangeDetector();
             
@@ -65,6 +67,9 @@ class PriceMonitor {
             if (crawlResults.failedCrawls > 0) {
                 console.warn(`⚠️  ${crawlResults.failedCrawls} crawlers failed`);
             }
+            if (crawlResults.trippedProviders.length > 0) {
+                console.warn(`⛔ ${crawlResults.trippedProviders.length} providers skipped (circuit breaker tripped): ${crawlResults.trippedProviders.map(tripped => tripped.provider).join(', ')}`);
+            }
             
             console.log('\n🔍 Step 2: Detecting changes...');
             const changeResults = await this.changeDetector.detectAllChanges(crawlResults.results);
@@ -97,32 +102,25 @@ class PriceMonitor {
     }
 
     /**
-     * Extract data for providers with changes
+     * Extract data for providers with changes, at most "concurrency.providers" at once
      * @param {Array} providersWithChanges - Providers that have changes
-     * @returns {Promise<Array>} Extraction results
+     * @returns {Promise<Array>} Extraction results, in provider order
      */
     async extractDataForChanges(providersWithChanges) {
-        const extractionResults = [];
+        const { providers: limit } = getConcurrencySettings();
         
-        for (const providerData of providersWithChanges) {
+        const results = await mapSettled(providersWithChanges, limit, async (providerData) => {
             try {
                 const { provider, crawlResult } = providerData;
                 console.log(`📊 Extracting data for ${provider}...`);
                 
-                let scraper;
-                switch (provider.toLowerCase()) {
-                    case 'o2 slovakia':
-                        scraper = new O2PdfScraper();
-                        break;
-                    case 'telekom slovakia':
-                        scraper = new TelekomPdfScraper();
-                        break;
-                    case 'orange slovakia':
-                        scraper = new OrangePdfScraper();
-                        break;
-                    default:
-                        throw new Error(`Unknown provider: ${provider}`);
+                // Crawl results name providers by key or display name
+                const providerEntry = this.providerRegistry.get(provider);
+                if (!providerEntry) {
+                    throw new Error(`Unknown provider: ${provider}`);
                 }
+                const ScraperClass = this.providerRegistry.getScraperClass(providerEntry.key);
+                const scraper = new ScraperClass();
                 
                 const extractionResult = await scraper.scrapePdf(
                     crawlResult.pdfUrl,
@@ -130,31 +128,31 @@ class PriceMonitor {
                     null // No local PDF path
                 );
                 
-                extractionResults.push({
-                    provider,
-                    success: extractionResult.success,
-                    result: extractionResult,
-                    timestamp: new Date().toISOString()
-                });
-                
                 if (extractionResult.success) {
                     console.log(`✅ Data extracted for ${provider}`);
                 } else {
                     console.error(`❌ Data extraction failed for ${provider}: ${extractionResult.error}`);
                 }
                 
+                return {
+                    provider,
+                    success: extractionResult.success,
+                    result: extractionResult,
+                    timestamp: new Date().toISOString()
+                };
+                
             } catch (error) {
                 console.error(`❌ Failed to extract data for ${providerData.provider}:`, error.message);
-                extractionResults.push({
+                return {
                     provider: providerData.provider,
                     success: false,
                     error: error.message,
                     timestamp: new Date().toISOString()
-                });
+                };
             }
-        }
+        });
         
-        return extractionResults;
+        return results.map(result => result.value);
     }
 
     /**
@@ -245,7 +243,8 @@ class PriceMonitor {
             crawlResults: {
                 totalCrawlers: this.results.crawlResults?.totalCrawlers || 0,
                 successfulCrawls: this.results.crawlResults?.successfulCrawls || 0,
-                failedCrawls: this.results.crawlResults?.failedCrawls || 0
+                failedCrawls: this.results.crawlResults?.failedCrawls || 0,
+                trippedProviders: this.results.crawlResults?.trippedProviders?.length || 0
             },
             changeResults: {
                 providersWithChanges: this.results.changeResults?.summary?.providersWithChanges || 0,
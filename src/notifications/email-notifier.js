@@ -23,6 +23,21 @@
 
 const nodemailer = require('nodemailer');
 
+/**
+ * Escape text for HTML element content and quoted attribute values
+ * Values from crawled pages and PDFs (names, prices, URLs) end up in the email body.
+ * @param {*} value - Value to escape (null and undefined become '')
+ * @returns {string} Escaped text
+ */
+function escapeHtml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
 class EmailNotifier {
     constructor(config) {
         this.config = config;
@@ -293,6 +308,44 @@ class EmailNotifier {
         return await this.sendEmail(emailOptions);
     }
 
+    /**
+     * Send an alert for changes whose severity is notified immediately
+     * @param {Object} alertInfo - Run summary fields of sendSummaryNotification (optional: a single
+     *   provider run has none) plus changes (ledger entries)
+     * @returns {Promise<boolean>} True when the email was sent
+     */
+    async sendChangeAlert(alertInfo) {
+        const severities = [...new Set(alertInfo.changes.map(change => change.severity))];
+        const summary = alertInfo.totalProviders !== undefined ? this.formatSummaryContent(alertInfo) : '';
+        const emailOptions = {
+            subject: `[ALERT] Price Monitor - ${alertInfo.changes.length} change(s): ${severities.join(', ')}`,
+            provider: [...new Set(alertInfo.changes.map(change => change.provider))].join(', '),
+            type: 'summary',
+            title: 'Price List Change Alert',
+            content: summary + this.formatLedgerChangesContent(alertInfo.changes),
+            timestamp: new Date().toISOString()
+        };
+
+        return await this.sendEmail(emailOptions);
+    }
+
+    /**
+     * Send the periodic digest of lower-severity changes
+     * @param {Array} changes - Ledger entries waiting for the digest
+     */
+    async sendChangeDigest(changes) {
+        const emailOptions = {
+            subject: `Price Monitor Digest - ${changes.length} minor change(s)`,
+            provider: 'All Providers',
+            type: 'summary',
+            title: 'Price List Change Digest',
+            content: this.formatLedgerChangesContent(changes),
+            timestamp: new Date().toISOString()
+        };
+
+        return await this.sendEmail(emailOptions);
+    }
+
     formatSubject(template, provider) {
         return template.replace('{provider}', provider || 'Unknown');
     }
@@ -418,7 +471,7 @@ Timestamp: ${timestamp}
     }
 
     formatSummaryContent(summaryInfo) {
-        const { totalProviders, successfulCrawls, failedCrawls, providersWithChanges, unchangedProviders } = summaryInfo;
+        const { totalProviders, successfulCrawls, failedCrawls, providersWithChanges, unchangedProviders, priceChanges } = summaryInfo;
         
         return `
             <div class="content-section">
@@ -429,6 +482,77 @@ Timestamp: ${timestamp}
                 <p><strong>Providers with Changes:</strong> ${providersWithChanges}</p>
                 <p><strong>Unchanged Providers:</strong> ${unchangedProviders}</p>
             </div>
+            ${this.formatPriceChangesContent(priceChanges)}
+        `;
+    }
+
+    formatPriceChangesContent(priceChanges) {
+        if (!priceChanges || priceChanges.length === 0) {
+            return '';
+        }
+
+        const rows = priceChanges.map(change => {
+            const arrow = change.direction === 'increase' ? '🔺' : '🔻';
+            const percent = change.percentChange !== null && change.percentChange !== undefined
+                ? ` (${change.percentChange > 0 ? '+' : ''}${change.percentChange} %)`
+                : '';
+            return `
+                    <tr>
+                        <td>${escapeHtml(change.provider)}</td>
+                        <td>${escapeHtml(change.section)}</td>
+                        <td>${escapeHtml(change.label)}</td>
+                        <td>${arrow} ${escapeHtml(change.before.text)} → ${escapeHtml(change.after.text)}${escapeHtml(percent)}</td>
+                    </tr>`;
+        }).join('');
+
+        return `
+            <div class="content-section">
+                <h3>💶 Price Changes (${priceChanges.length})</h3>
+                <table cellpadding="4" style="border-collapse: collapse; font-size: 13px;">
+                    <tr><th align="left">Provider</th><th align="left">Section</th><th align="left">Item</th><th align="left">Change</th></tr>
+                    ${rows}
+                </table>
+            </div>
+        `;
+    }
+
+    formatLedgerChangesContent(changes) {
+        if (!changes || changes.length === 0) {
+            return '';
+        }
+
+        const rows = changes.map(change => {
+            const summary = change.changeSummary || {};
+            const details = [
+                summary.priceChanges ? `${summary.priceChanges} price(s)` : null,
+                summary.sectionsAdded ? `${summary.sectionsAdded} section(s) added` : null,
+                summary.sectionsRemoved ? `${summary.sectionsRemoved} section(s) removed` : null,
+                summary.sectionsChanged ? `${summary.sectionsChanged} section(s) changed` : null
+            ].filter(Boolean).join(', ');
+            const url = change.newUrl || change.oldUrl || '';
+            const fileName = url.split('?')[0].split('/').pop() || url;
+            // Only web URLs become links, so a crawled "javascript:" href stays plain text
+            const pdfCell = /^https?:\/\//i.test(url)
+                ? `<a href="${escapeHtml(url)}">${escapeHtml(fileName)}</a>`
+                : escapeHtml(fileName);
+            return `
+                    <tr>
+                        <td>${escapeHtml(change.provider)}</td>
+                        <td>${escapeHtml(change.severity || 'unclassified')}</td>
+                        <td>${escapeHtml(change.changeType)}</td>
+                        <td>${escapeHtml(details || '-')}</td>
+                        <td>${pdfCell}</td>
+                    </tr>`;
+        }).join('');
+
+        return `
+            <div class="content-section">
+                <h3>📒 Detected Changes (${changes.length})</h3>
+                <table cellpadding="4" style="border-collapse: collapse; font-size: 13px;">
+                    <tr><th align="left">Provider</th><th align="left">Severity</th><th align="left">Change</th><th align="left">Details</th><th align="left">PDF</th></tr>
+                    ${rows}
+                </table>
+            </div>
         `;
     }
 
@@ -0,0 +1,22 @@
+const VALIDATION_CONSTANTS = require('../utils/core/validation-constants');
+
+/**
+ * 4ka Slovakia
+ * Mixed extraction (sections or euro symbols per PDF); selective runs are merged by FourKaJsonMerger
+ */
+module.exports = {
+    key: 'fourka',
+    name: '4ka Slovakia',
+    label: '4ka',
+    aliases: ['4ka'],
+    loadCrawler: () => require('../crawlers/4ka-crawler'),
+    loadScraper: () => require('../scrapers/4ka-pdf-scraper'),
+    loadMerger: () => require('../utils/data/mergers/fourka-json-merger'),
+    validation: {
+        contentSections: ['fullContent', 'mobilnych_sluzieb', 'premiovych_cisel'],
+        contentLengths: [
+            { section: 'mobilnych_sluzieb', name: '4ka mobile services', minLength: VALIDATION_CONSTANTS.CONTENT_LENGTH.MIN_STANDARD },
+            { section: 'premiovych_cisel', name: '4ka premium numbers', minLength: VALIDATION_CONSTANTS.CONTENT_LENGTH.MIN_SHORT }
+        ]
+    }
+};
@@ -0,0 +1,16 @@
+/**
+ * Funfón Slovakia
+ * ToC-based extraction; the expected sections are the ones configured for funfon in scraper-config.json
+ */
+module.exports = {
+    key: 'funfon',
+    name: 'Funfón Slovakia',
+    label: 'Funfon',
+    aliases: [],
+    loadCrawler: () => require('../crawlers/funfon-crawler'),
+    loadScraper: () => require('../scrapers/funfon-pdf-scraper'),
+    loadMerger: null,
+    validation: {
+        expectedSectionsFromConfig: true
+    }
+};
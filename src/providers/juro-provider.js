@@ -0,0 +1,17 @@
+/**
+ * Juro Slovakia
+ * Euro-symbol-based extraction into fullContent, validated like Orange
+ * Crawled by DeclarativeCrawler from the "crawler" block of its scraper-config.json entry
+ */
+module.exports = {
+    key: 'juro',
+    name: 'Juro Slovakia',
+    label: 'Juro',
+    aliases: [],
+    loadCrawler: () => require('../crawlers/declarative-crawler'),
+    loadScraper: () => require('../scrapers/juro-pdf-scraper'),
+    loadMerger: null,
+    validation: {
+        fullContent: true
+    }
+};
@@ -0,0 +1,27 @@
+/**
+ * O2 Slovakia
+ * Section-based extraction: one price list split into the sections configured in scraper-config.json
+ */
+module.exports = {
+    key: 'o2',
+    name: 'O2 Slovakia',
+    label: 'O2',
+    aliases: [],
+    loadCrawler: () => require('../crawlers/o2-crawler'),
+    loadScraper: () => require('../scrapers/o2-pdf-scraper'),
+    loadMerger: null,
+    validation: {
+        expectedSections: [
+            'programs.volnost',
+            'programs.pausal',
+            'internetServices.vzduchom',
+            'internetServices.optikou',
+            'tvServices',
+            'programs.fer',
+            'dátovka',
+            'internationalCalls',
+            'roaming',
+            'payments'
+        ]
+    }
+};
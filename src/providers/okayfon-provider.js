@@ -0,0 +1,23 @@
+const VALIDATION_CONSTANTS = require('../utils/core/validation-constants');
+
+/**
+ * Okay fón Slovakia
+ * Euro-symbol-based extraction; the price list lives at a fixed URL, so changes are detected by content hash
+ */
+module.exports = {
+    key: 'okayfon',
+    name: 'Okayfon Slovakia',
+    label: 'Okay fón',
+    aliases: [],
+    loadCrawler: () => require('../crawlers/okayfon-crawler'),
+    loadScraper: () => require('../scrapers/okayfon-pdf-scraper'),
+    loadMerger: null,
+    // Change detection compares content hashes instead of URLs
+    stableUrl: true,
+    validation: {
+        contentSections: ['fullContent', 'datovych_balikov'],
+        contentLengths: [
+            { section: 'datovych_balikov', name: 'Okay fón data packages', minLength: VALIDATION_CONSTANTS.CONTENT_LENGTH.MIN_STANDARD }
+        ]
+    }
+};
@@ -0,0 +1,19 @@
+/**
+ * Orange Slovakia
+ * Several price lists (configured as targets) extracted by euro symbol into fullContent.
+ * Selective runs are merged into the stored dataset by OrangeJsonMerger.
+ */
+module.exports = {
+    key: 'orange',
+    name: 'Orange Slovakia',
+    label: 'Orange',
+    aliases: [],
+    loadCrawler: () => require('../crawlers/orange-crawler'),
+    loadScraper: () => require('../scrapers/orange-pdf-scraper'),
+    loadMerger: () => require('../utils/data/mergers/orange-json-merger'),
+    // Run from the CLI, every price list is crawled and extracted again
+    forceCrawl: true,
+    validation: {
+        fullContent: true
+    }
+};
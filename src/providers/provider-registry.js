@@ -0,0 +1,192 @@
+const fs = require('fs');
+const path = require('path');
+const { getConfigBlock } = require('../utils/core/config-loader');
+
+// Provider modules found in this directory, loaded once per process
+let providerModules = null;
+
+/**
+ * Load the provider modules (src/providers/*-provider.js)
+ * @returns {Array<Object>} Provider modules, by file name
+ */
+function discoverProviderModules() {
+    if (!providerModules) {
+        providerModules = fs.readdirSync(__dirname)
+            .filter(file => file.endsWith('-provider.js'))
+            .sort()
+            .map(file => ({ file, provider: require(path.join(__dirname, file)) }))
+            .filter(({ file, provider }) => {
+                if (!provider || !provider.key || typeof provider.loadCrawler !== 'function') {
+                    console.warn(`⚠️  Skipping provider module ${file}: it must export key and loadCrawler`);
+                    return false;
+                }
+                return true;
+            })
+            .map(({ provider }) => provider);
+    }
+    return providerModules;
+}
+
+/**
+ * Provider Registry
+ * Single list of providers for the CLI, crawler manager, monitor, validator, reprocessor and API.
+ * Each provider module in src/providers/ exports:
+ * - key, name (display name), label (short name for logs), aliases
+ * - loadCrawler, loadScraper, loadMerger: lazy requires of its classes (loadMerger may be null)
+ * - validation: provider-specific rules applied by DataValidator
+ * - forceCrawl (optional): the CLI runs the crawler directly instead of through change detection
+ * - stableUrl (optional): the PDF URL never changes, so change detection compares content hashes
+ *
+ * A provider defined only by a "crawler" block in scraper-config.json is registered from the
+ * configuration (DeclarativeCrawler plus the scraper it names). Providers are listed in the
+ * order of scraper-config.json, then the unconfigured ones.
+ */
+class ProviderRegistry {
+    constructor(config = null) {
+        this.config = config;
+    }
+
+    /**
+     * Get the scraper configuration
+     * @returns {Object} Configuration (the one passed in, else scraper-config.json)
+     */
+    getConfig() {
+        if (!this.config) {
+            this.config = { providers: getConfigBlock('providers') };
+        }
+        return this.config;
+    }
+
+    /**
+     * Get a provider's entry in scraper-config.json
+     * @param {string} key - Provider key
+     * @returns {Object|null} Provider configuration
+     */
+    getProviderConfig(key) {
+        return this.getConfig().providers?.[key] || null;
+    }
+
+    /**
+     * Describe a provider that only exists as a "crawler" block in the configuration
+     * @param {string} key - Provider key
+     * @param {Object} providerConfig - Provider configuration
+     * @returns {Object} Provider entry
+     */
+    describeConfiguredProvider(key, providerConfig) {
+        return {
+            key,
+            name: providerConfig.name || key,
+            label: providerConfig.name || key,
+            aliases: providerConfig.aliases || [],
+            loadCrawler: () => require('../crawlers/declarative-crawler'),
+            loadScraper: null,
+            loadMerger: null,
+            validation: null,
+            configured: true
+        };
+    }
+
+    /**
+     * List all providers
+     * @returns {Array<Object>} Provider entries
+     */
+    getAll() {
+        const modules = discoverProviderModules();
+        const providersConfig = this.getConfig().providers || {};
+        const configured = Object.entries(providersConfig)
+            .filter(([key, providerConfig]) => providerConfig?.crawler && !modules.some(provider => provider.key === key))
+            .map(([key, providerConfig]) => this.describeConfiguredProvider(key, providerConfig));
+
+        const order = Object.keys(providersConfig);
+        const rank = provider => (order.includes(provider.key) ? order.indexOf(provider.key) : order.length);
+        return [...modules, ...configured].sort((a, b) => rank(a) - rank(b));
+    }
+
+    /**
+     * List provider keys
+     * @returns {Array<string>} Provider keys
+     */
+    keys() {
+        return this.getAll().map(provider => provider.key);
+    }
+
+    /**
+     * Find a provider by key, alias or display name (case-insensitive)
+     * @param {string} name - Key, alias or display name
+     * @returns {Object|null} Provider entry
+     */
+    get(name) {
+        if (!name) {
+            return null;
+        }
+        const wanted = name.toLowerCase();
+        return this.getAll().find(provider => provider.key.toLowerCase() === wanted
+            || (provider.aliases || []).some(alias => alias.toLowerCase() === wanted)
+            || (provider.name || '').toLowerCase() === wanted) || null;
+    }
+
+    /**
+     * Get a provider or fail
+     * @param {string} name - Key, alias or display name
+     * @returns {Object} Provider entry
+     */
+    require(name) {
+        const provider = this.get(name);
+        if (!provider) {
+            throw new Error(`Unknown provider '${name}'. Available: ${this.keys().join(', ')}`);
+        }
+        return provider;
+    }
+
+    /**
+     * Create the crawler of a provider; a "crawler" block in its configuration selects DeclarativeCrawler
+     * @param {string} name - Key, alias or display name
+     * @returns {Object} Crawler instance
+     */
+    createCrawler(name) {
+        const provider = this.require(name);
+        const providerConfig = this.getProviderConfig(provider.key);
+        let crawler;
+        if (providerConfig?.crawler) {
+            const DeclarativeCrawler = require('../crawlers/declarative-crawler');
+            crawler = new DeclarativeCrawler(provider.key, providerConfig);
+        } else {
+            const CrawlerClass = provider.loadCrawler();
+            crawler = new CrawlerClass(providerConfig);
+        }
+        crawler.providerKey = provider.key;
+        return crawler;
+    }
+
+    /**
+     * Get the PDF scraper class of a provider; the "scraper" of a configured crawler takes precedence
+     * @param {string} name - Key, alias or display name
+     * @returns {Function} Scraper class
+     */
+    getScraperClass(name) {
+        const provider = this.require(name);
+        const scraper = this.getProviderConfig(provider.key)?.crawler?.scraper;
+        if (scraper) {
+            if (!/^[\w-]+$/.test(scraper)) {
+                throw new Error(`Invalid scraper '${scraper}' configured for ${provider.key}`);
+            }
+            return require(`../scrapers/${scraper}-pdf-scraper`);
+        }
+        if (!provider.loadScraper) {
+            throw new Error(`No PDF scraper for ${provider.key}`);
+        }
+        return provider.loadScraper();
+    }
+
+    /**
+     * Get the JSON merger class of a provider
+     * @param {string} name - Key, alias or display name
+     * @returns {Function|null} Merger class, or null when the provider has none
+     */
+    getMergerClass(name) {
+        const provider = this.require(name);
+        return provider.loadMerger ? provider.loadMerger() : null;
+    }
+}
+
+module.exports = ProviderRegistry;
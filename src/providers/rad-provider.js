@@ -0,0 +1,23 @@
+/**
+ * RAD Slovakia (Radosť)
+ * Section-based extraction of the single RAD price list
+ */
+module.exports = {
+    key: 'rad',
+    name: 'Radosť Slovakia',
+    label: 'RAD',
+    aliases: [],
+    loadCrawler: () => require('../crawlers/rad-crawler'),
+    loadScraper: () => require('../scrapers/rad-pdf-scraper'),
+    loadMerger: null,
+    validation: {
+        expectedSections: [
+            'radost',
+            'datove_sluzby',
+            'doplnkove_sluzby',
+            'ostatne_volania',
+            'roaming',
+            'sluzby_zabavy'
+        ]
+    }
+};
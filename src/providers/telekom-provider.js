@@ -0,0 +1,23 @@
+/**
+ * Slovak Telekom
+ * Section-based extraction of the Telekom price list
+ */
+module.exports = {
+    key: 'telekom',
+    name: 'Slovak Telekom',
+    label: 'Telekom',
+    aliases: [],
+    loadCrawler: () => require('../crawlers/telekom-crawler'),
+    loadScraper: () => require('../scrapers/telekom-pdf-scraper'),
+    loadMerger: null,
+    validation: {
+        expectedSections: [
+            'plans.telekom',
+            'internet.mobilny',
+            'internet.magio',
+            'plans.predplatenka',
+            'services.doplnkove',
+            'services.roaming'
+        ]
+    }
+};
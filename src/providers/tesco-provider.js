@@ -0,0 +1,24 @@
+const VALIDATION_CONSTANTS = require('../utils/core/validation-constants');
+
+/**
+ * Tesco Mobile Slovakia
+ * Euro-symbol-based extraction of the Tesco Mobile price lists, merged by TescoJsonMerger
+ */
+module.exports = {
+    key: 'tesco',
+    name: 'Tesco Mobile Slovakia',
+    label: 'Tesco Mobile',
+    aliases: [],
+    loadCrawler: () => require('../crawlers/tesco-crawler'),
+    loadScraper: () => require('../scrapers/tesco-pdf-scraper'),
+    loadMerger: () => require('../utils/data/mergers/tesco-json-merger'),
+    // Run from the CLI, every price list is crawled and extracted again
+    forceCrawl: true,
+    validation: {
+        contentSections: ['fullContent', 'topka', 'trio'],
+        contentLengths: [
+            { section: 'topka', name: 'Tesco Topka', minLength: VALIDATION_CONSTANTS.CONTENT_LENGTH.MIN_STANDARD },
+            { section: 'trio', name: 'Tesco Trio', minLength: VALIDATION_CONSTANTS.CONTENT_LENGTH.MIN_STANDARD }
+        ]
+    }
+};
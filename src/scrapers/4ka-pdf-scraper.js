@@ -1,4 +1,5 @@
 const PdfDownloader = require('../utils/pdf/pdf-downloader');
+const { enrichExtractedData } = require('../utils/pdf/pdf-enricher');
 const FourKaSectionExtractor = require('../extractors/4ka-section-extractor');
 const OrangeEuroExtractor = require('../extractors/orange-euro-extractor');
 const DataValidator = require('../utils/data/data-validator');
@@ -7,7 +8,7 @@ const path = require('path');
 
 class FourKaPdfScraper {
     constructor(errorMonitor = null) {
-        this.pdfDownloader = new PdfDownloader();
+        this.pdfDownloader = new PdfDownloader('fourka');
         this.sectionExtractor = new FourKaSectionExtractor();
         this.euroExtractor = new OrangeEuroExtractor();
         this.validator = new DataValidator();
@@ -142,6 +143,9 @@ class FourKaPdfScraper {
                 }
             };
 
+            // Typed section prices, plus whole-document data the provider opted into (tables)
+            await enrichExtractedData(enrichedData, localPdfPath_final, 'fourka');
+
             console.log(`\n🔍 Validating extracted 4ka data...`);
             const validationResult = await this.validator.validateExtractedData(enrichedData, 'fourka');
             console.log(`📊 Validation complete: ${validationResult.errors.length} errors, ${validationResult.warnings.length} warnings`);
@@ -1,4 +1,5 @@
 const PdfDownloader = require('../utils/pdf/pdf-downloader');
+const { enrichExtractedData } = require('../utils/pdf/pdf-enricher');
 const FunfonSectionExtractor = require('../extractors/funfon-section-extractor');
 const DataStorage = require('../storage/data-storage');
 const DataValidator = require('../utils/data/data-validator');
@@ -9,7 +10,7 @@ const DataValidator = require('../utils/data/data-validator');
  */
 class FunfonPdfScraper {
     constructor(errorMonitor = null) {
-        this.pdfDownloader = new PdfDownloader();
+        this.pdfDownloader = new PdfDownloader('funfon');
         this.sectionExtractor = new FunfonSectionExtractor();
         this.dataStorage = new DataStorage();
         this.dataValidator = new DataValidator();
@@ -125,6 +126,9 @@ class FunfonPdfScraper {
                 }
             };
 
+            // Typed section prices, plus whole-document data the provider opted into (tables)
+            await enrichExtractedData(enrichedData, pdfFilePath, 'funfon');
+
             console.log(`\n🔍 Validating extracted Funfon data...`);
             const validationResult = this.dataValidator.validateExtractedData(enrichedData, 'funfon');
             console.log(this.dataValidator.getValidationSummary(validationResult));
@@ -1,4 +1,5 @@
 const PdfDownloader = require('../utils/pdf/pdf-downloader');
+const { enrichExtractedData } = require('../utils/pdf/pdf-enricher');
 const OrangeEuroExtractor = require('../extractors/orange-euro-extractor');
 const DataStorage = require('../storage/data-storage');
 const DataValidator = require('../utils/data/data-validator');
@@ -9,7 +10,7 @@ const DataValidator = require('../utils/data/data-validator');
  */
 class JuroPdfScraper {
     constructor(errorMonitor = null) {
-        this.pdfDownloader = new PdfDownloader();
+        this.pdfDownloader = new PdfDownloader('juro');
         this.euroExtractor = new OrangeEuroExtractor(); // Reuse Orange's euro extractor
         this.dataStorage = new DataStorage();
         this.dataValidator = new DataValidator();
@@ -133,6 +134,9 @@ class JuroPdfScraper {
                 }
             };
 
+            // Typed section prices, plus whole-document data the provider opted into (tables)
+            await enrichExtractedData(enrichedData, pdfFilePath, 'juro');
+
             console.log(`\n🔍 Validating extracted Juro data...`);
             const validationResult = this.dataValidator.validateExtractedData(enrichedData, 'juro');
             console.log(this.dataValidator.getValidationSummary(validationResult));
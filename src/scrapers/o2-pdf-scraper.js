@@ -1,4 +1,5 @@
 const PdfDownloader = require('../utils/pdf/pdf-downloader');
+const { enrichExtractedData } = require('../utils/pdf/pdf-enricher');
 const SectionTextExtractor = require('../extractors/o2-section-extractor');
 const DataStorage = require('../storage/data-storage');
 const DataValidator = require('../utils/data/data-validator');
@@ -9,7 +10,7 @@ const DataValidator = require('../utils/data/data-validator');
  */
 class O2PdfScraper {
     constructor(errorMonitor = null) {
-        this.pdfDownloader = new PdfDownloader();
+        this.pdfDownloader = new PdfDownloader('o2');
         this.sectionExtractor = new SectionTextExtractor();
         this.dataStorage = new DataStorage();
         this.dataValidator = new DataValidator();
@@ -132,6 +133,9 @@ class O2PdfScraper {
                 }
             };
 
+            // Typed section prices, plus whole-document data the provider opted into (tables)
+            await enrichExtractedData(enrichedData, pdfFilePath, 'o2');
+
             console.log(`\n🔍 Validating extracted O2 data...`);
             const validationResult = this.dataValidator.validateExtractedData(enrichedData, 'o2');
             console.log(this.dataValidator.getValidationSummary(validationResult));
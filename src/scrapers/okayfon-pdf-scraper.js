@@ -1,4 +1,5 @@
 const PdfDownloader = require('../utils/pdf/pdf-downloader');
+const { enrichExtractedData } = require('../utils/pdf/pdf-enricher');
 const OrangeEuroExtractor = require('../extractors/orange-euro-extractor');
 const DataStorage = require('../storage/data-storage');
 const DataValidator = require('../utils/data/data-validator');
@@ -9,7 +10,7 @@ const DataValidator = require('../utils/data/data-validator');
  */
 class OkayfonPdfScraper {
     constructor(errorMonitor = null) {
-        this.pdfDownloader = new PdfDownloader();
+        this.pdfDownloader = new PdfDownloader('okayfon');
         this.euroExtractor = new OrangeEuroExtractor(); // Reuse Orange's euro extractor
         this.errorMonitor = errorMonitor;
         this.dataStorage = new DataStorage();
@@ -110,6 +111,9 @@ class OkayfonPdfScraper {
                 }
             };
 
+            // Typed section prices, plus whole-document data the provider opted into (tables)
+            await enrichExtractedData(enrichedData, pdfFilePath, 'okayfon');
+
             console.log(`\n🔍 Validating extracted Okay fón data...`);
             const validationResult = this.dataValidator.validateExtractedData(enrichedData, 'okayfon');
             console.log(this.dataValidator.getValidationSummary(validationResult));
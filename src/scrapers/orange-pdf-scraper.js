@@ -1,4 +1,5 @@
 const PdfDownloader = require('../utils/pdf/pdf-downloader');
+const { enrichExtractedData } = require('../utils/pdf/pdf-enricher');
 const OrangeSectionExtractor = require('../extractors/orange-section-extractor');
 const OrangeEuroExtractor = require('../extractors/orange-euro-extractor');
 const DataStorage = require('../storage/data-storage');
@@ -10,7 +11,7 @@ const DataValidator = require('../utils/data/data-validator');
  */
 class OrangePdfScraper {
     constructor(errorMonitor = null) {
-        this.pdfDownloader = new PdfDownloader();
+        this.pdfDownloader = new PdfDownloader('orange');
         this.sectionExtractor = new OrangeSectionExtractor();
         this.errorMonitor = errorMonitor;
         this.euroExtractor = new OrangeEuroExtractor();
@@ -125,6 +126,9 @@ class OrangePdfScraper {
                 }
             };
 
+            // Typed section prices, plus whole-document data the provider opted into (tables)
+            await enrichExtractedData(enrichedData, pdfFilePath, 'orange');
+
             console.log(`\n🔍 Validating extracted Orange data...`);
             const validationResult = this.dataValidator.validateExtractedData(enrichedData, 'orange');
             console.log(this.dataValidator.getValidationSummary(validationResult));
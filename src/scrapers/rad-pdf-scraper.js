@@ -1,4 +1,5 @@
 const PdfDownloader = require('../utils/pdf/pdf-downloader');
+const { enrichExtractedData } = require('../utils/pdf/pdf-enricher');
 const RadSectionExtractor = require('../extractors/rad-section-extractor');
 const DataStorage = require('../storage/data-storage');
 const DataValidator = require('../utils/data/data-validator');
@@ -9,7 +10,7 @@ const DataValidator = require('../utils/data/data-validator');
  */
 class RadPdfScraper {
     constructor(errorMonitor = null) {
-        this.pdfDownloader = new PdfDownloader();
+        this.pdfDownloader = new PdfDownloader('rad');
         this.sectionExtractor = new RadSectionExtractor();
         this.errorMonitor = errorMonitor;
         this.dataStorage = new DataStorage();
@@ -102,6 +103,9 @@ class RadPdfScraper {
                 }
             };
 
+            // Typed section prices, plus whole-document data the provider opted into (tables)
+            await enrichExtractedData(enrichedData, pdfFilePath, 'rad');
+
             console.log(`\n🔍 Validating extracted RAD data...`);
             const validationResult = this.dataValidator.validateExtractedData(enrichedData, 'rad');
             console.log(this.dataValidator.getValidationSummary(validationResult));
@@ -1,5 +1,7 @@
 const PdfDownloader = require('../utils/pdf/pdf-downloader');
+const { enrichExtractedData } = require('../utils/pdf/pdf-enricher');
 const TelekomSectionExtractor = require('../extractors/telekom-section-extractor');
+const TelekomTariffExtractor = require('../extractors/tariffs/telekom-tariff-extractor');
 const DataStorage = require('../storage/data-storage');
 const DataValidator = require('../utils/data/data-validator');
 
@@ -9,8 +11,9 @@ const DataValidator = require('../utils/data/data-validator');
  */
 class TelekomPdfScraper {
     constructor(errorMonitor = null) {
-        this.pdfDownloader = new PdfDownloader();
+        this.pdfDownloader = new PdfDownloader('telekom');
         this.sectionExtractor = new TelekomSectionExtractor();
+        this.tariffExtractor = new TelekomTariffExtractor();
         this.dataStorage = new DataStorage();
         this.dataValidator = new DataValidator();
         this.errorMonitor = errorMonitor;
@@ -62,6 +65,11 @@ class TelekomPdfScraper {
             const sections = extractionResult.sections || {};
             const extractionInfo = extractionResult.extractionInfo || {};
             
+            // Structured plans are stored next to rawText of the sections that contain plan tables
+            const tariffResult = this.tariffExtractor.extractFromSections(sections);
+            console.log(`   Structured plans: ${tariffResult.totalPlans} (sections: ${tariffResult.sections.join(', ') || 'none'})`);
+            summary.structuredPlans = tariffResult.totalPlans;
+            
             const enrichedData = {
                 cennikName: cennikName,
                 pdfUrl: localPdfPath ? `LOCAL: ${localPdfPath}` : pdfUrl,
@@ -83,6 +91,9 @@ class TelekomPdfScraper {
                 }
             };
 
+            // Typed section prices, plus whole-document data the provider opted into (tables)
+            await enrichExtractedData(enrichedData, pdfFilePath, 'telekom');
+
             console.log(`\n🔍 Validating extracted Telekom data...`);
             const validationResult = this.dataValidator.validateExtractedData(enrichedData, 'telekom');
             console.log(this.dataValidator.getValidationSummary(validationResult));
@@ -1,4 +1,5 @@
 const PdfDownloader = require('../utils/pdf/pdf-downloader');
+const { enrichExtractedData } = require('../utils/pdf/pdf-enricher');
 const TescoSectionExtractor = require('../extractors/tesco-section-extractor');
 const OrangeEuroExtractor = require('../extractors/orange-euro-extractor');
 const DataStorage = require('../storage/data-storage');
@@ -10,7 +11,7 @@ const DataValidator = require('../utils/data/data-validator');
  */
 class TescoPdfScraper {
     constructor(errorMonitor = null) {
-        this.pdfDownloader = new PdfDownloader();
+        this.pdfDownloader = new PdfDownloader('tesco');
         this.sectionExtractor = new TescoSectionExtractor();
         this.errorMonitor = errorMonitor;
         this.euroExtractor = new OrangeEuroExtractor();
@@ -121,6 +122,9 @@ class TescoPdfScraper {
                 }
             };
 
+            // Typed section prices, plus whole-document data the provider opted into (tables)
+            await enrichExtractedData(enrichedData, pdfFilePath, 'tesco');
+
             console.log(`\n🔍 Validating extracted Tesco Mobile data...`);
             const validationResult = this.dataValidator.validateExtractedData(enrichedData, 'tesco');
             console.log(this.dataValidator.getValidationSummary(validationResult));
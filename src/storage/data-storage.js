@@ -1,6 +1,8 @@
 const fs = require('fs').promises;
 const path = require('path');
 const { loadConfig } = require('../utils/core/config-loader');
+const DatasetHistory = require('./dataset-history');
+const { annotateEffectiveDates } = require('../utils/data/effective-date-extractor');
 
 /**
  * Data Storage Manager
@@ -8,10 +10,13 @@ const { loadConfig } = require('../utils/core/config-loader');
  * Follows the same pattern as JSON mergers:
  * - Always saves to {provider}.json (single source of truth)
  * - When debug=true, also saves numbered files (000000001.json, etc.)
+ * - Records a dataset version in storage/history/{provider}/ when content changed
+ * - Sets effectiveFrom on every PDF record from its "platný od" date
  */
 class DataStorage {
     constructor() {
         this.baseStorageDir = path.join(__dirname, '..', '..', 'storage', 'datasets');
+        this.datasetHistory = new DatasetHistory();
     }
 
     /**
@@ -19,9 +24,10 @@ class DataStorage {
      * @param {Array} data - Array of data objects to save
      * @param {string} backupFile - Optional backup file name
      * @param {string} provider - Provider name (o2, telekom, etc.)
+     * @param {Object} options - { source } recorded with the dataset version (default 'data-storage')
      * @returns {Promise<Object>} Save result information
      */
-    async saveToDataset(data, backupFile = null, provider = null) {
+    async saveToDataset(data, backupFile = null, provider = null, options = {}) {
         try {
             if (!provider) {
                 throw new Error('Provider name is required');
@@ -60,6 +66,8 @@ class DataStorage {
                 dataToSave = data;
             }
 
+            annotateEffectiveDates(dataToSave);
+
             // Save main file (single source of truth)
             await fs.writeFile(filePath, JSON.stringify(dataToSave, null, '\t'));
             console.log(`💾 Data saved to: ${fileName}`);
@@ -76,11 +84,19 @@ class DataStorage {
                 console.log(`🐛 Debug file created: ${debugFileName}`);
             }
 
+            let version = null;
+            try {
+                version = await this.datasetHistory.recordVersion(provider, dataToSave, { source: options.source || 'data-storage' });
+            } catch (historyError) {
+                console.warn(`⚠️  Failed to record dataset version for ${provider}: ${historyError.message}`);
+            }
+
             return {
                 filePath: fileName,
                 fullPath: filePath,
                 provider: provider,
                 debugFile: debugFileName,
+                versionId: version ? version.versionId : null,
                 totalPdfs: dataToSave.totalPdfs || (Array.isArray(data) ? data.length : 1),
                 successfulPdfs: dataToSave.successfulPdfs || (Array.isArray(data) ? data.filter(item => !item.error).length : 1),
                 failedPdfs: dataToSave.failedPdfs || (Array.isArray(data) ? data.filter(item => item.error).length : 0)
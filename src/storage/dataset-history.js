@@ -0,0 +1,358 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const { getConfigBlock } = require('../utils/core/config-loader');
+const { getHistoryDir } = require('../utils/core/paths');
+const PdfArchive = require('../utils/pdf/pdf-archive');
+
+// Datasets saved by this process, by provider: provider -> versionId of the saved content
+// (a new version, or the latest one when the content was unchanged).
+const recordedInRun = new Map();
+
+/**
+ * Dataset History
+ * Keeps versioned snapshots of each provider dataset under storage/history/{provider}/:
+ * - index.json lists version summaries (newest last)
+ * - {versionId}.json holds the version summary plus the full dataset
+ * A new version is only recorded when the extracted content differs from the latest one,
+ * together with the price changes found against the previous version.
+ */
+class DatasetHistory {
+    constructor() {
+        this.defaultRetention = {
+            enabled: true,
+            maxVersions: 50,
+            maxAgeDays: 365
+        };
+    }
+
+    /**
+     * Get retention policy from scraper-config.json ("history" block), falling back to defaults
+     * @returns {Object} { enabled, maxVersions, maxAgeDays }
+     */
+    getRetentionPolicy() {
+        return getConfigBlock('history', this.defaultRetention);
+    }
+
+    /**
+     * Get PDF records of a dataset (consolidated datasets have pdfs[], single-PDF saves are the record itself)
+     * @param {Object} dataset - Dataset as saved to {provider}.json
+     * @returns {Array} PDF records
+     */
+    getPdfRecords(dataset) {
+        if (!dataset) {
+            return [];
+        }
+        if (Array.isArray(dataset.pdfs)) {
+            return dataset.pdfs;
+        }
+        return dataset.pdfUrl || dataset.rawText ? [dataset] : [];
+    }
+
+    /**
+     * Calculate SHA-256 hash of a string
+     * @param {string} value - Value to hash
+     * @returns {string} Hex digest
+     */
+    hash(value) {
+        return crypto.createHash('sha256').update(value || '').digest('hex');
+    }
+
+    /**
+     * Calculate content hash of a dataset, ignoring timestamps that change on every run
+     * @param {Object} dataset - Dataset to hash
+     * @returns {string} Content hash
+     */
+    calculateContentHash(dataset) {
+        const content = this.getPdfRecords(dataset).map(pdf => ({
+            pdfUrl: pdf.pdfUrl || null,
+            cennikName: pdf.cennikName || null,
+            pdfType: pdf.pdfType || null,
+            rawText: pdf.rawText || '',
+            sections: pdf.data?.sections || pdf.sections || null,
+            error: pdf.error || null
+        }));
+        return this.hash(JSON.stringify(content));
+    }
+
+    /**
+     * Generate a sortable version ID from the save time and content hash
+     * @param {Date} date - Save time
+     * @param {string} contentHash - Dataset content hash
+     * @returns {string} Version ID (e.g., 20251031T125527834Z-3f9a1c)
+     */
+    generateVersionId(date, contentHash) {
+        const stamp = date.toISOString().replace(/[-:.]/g, '');
+        return `${stamp}-${contentHash.substring(0, 6)}`;
+    }
+
+    /**
+     * Load version index for a provider
+     * @param {string} provider - Provider name
+     * @returns {Promise<Array>} Version summaries, oldest first
+     */
+    async loadIndex(provider) {
+        try {
+            const data = await fs.readFile(path.join(getHistoryDir(provider), 'index.json'), 'utf8');
+            const index = JSON.parse(data);
+            return Array.isArray(index.versions) ? index.versions : [];
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.warn(`⚠️  Could not read history index for ${provider}: ${error.message}`);
+            }
+            return [];
+        }
+    }
+
+    /**
+     * Save version index with atomic write
+     * @param {string} provider - Provider name
+     * @param {Array} versions - Version summaries, oldest first
+     */
+    async saveIndex(provider, versions) {
+        const historyDir = getHistoryDir(provider);
+        const indexFile = path.join(historyDir, 'index.json');
+        const tempFile = indexFile + '.tmp';
+
+        await fs.writeFile(tempFile, JSON.stringify({ provider, versions }, null, '\t'), 'utf8');
+        await fs.rename(tempFile, indexFile);
+    }
+
+    /**
+     * Record a new dataset version if its content differs from the latest version
+     * @param {string} provider - Provider name (o2, telekom, etc.)
+     * @param {Object} dataset - Dataset as saved to {provider}.json
+     * @param {Object} options - { source } describing which save path produced it
+     * @returns {Promise<Object|null>} Version summary (existing one when unchanged), or null when disabled
+     */
+    async recordVersion(provider, dataset, options = {}) {
+        const policy = this.getRetentionPolicy();
+        if (!policy.enabled) {
+            return null;
+        }
+
+        const historyDir = getHistoryDir(provider);
+        await fs.mkdir(historyDir, { recursive: true });
+
+        const versions = await this.loadIndex(provider);
+        const contentHash = this.calculateContentHash(dataset);
+        const latest = versions[versions.length - 1];
+
+        if (latest && latest.contentHash === contentHash) {
+            console.log(`📚 ${provider}: content unchanged since version ${latest.versionId}, no new version recorded`);
+            recordedInRun.set(provider, latest.versionId);
+            return { ...latest, created: false };
+        }
+
+        const now = new Date();
+        const archiveIndex = await new PdfArchive().loadIndex();
+        const versionId = this.generateVersionId(now, contentHash);
+
+        const summary = {
+            versionId: versionId,
+            provider: provider,
+            crawlDate: dataset.crawlDate || dataset.scrapedAt || now.toISOString(),
+            savedAt: now.toISOString(),
+            source: options.source || 'unknown',
+            contentHash: contentHash,
+            previousVersionId: latest ? latest.versionId : null,
+            totalPdfs: this.getPdfRecords(dataset).length,
+            pdfs: this.getPdfRecords(dataset).map(pdf => {
+                // The MD5 of the archived file the text was extracted from (the change detector's
+                // stored hashes are only updated after the dataset is saved)
+                const archivedSha256 = (pdf.pdfUrl && archiveIndex.urls[pdf.pdfUrl]?.latest) || null;
+                const pdfHash = (archivedSha256 && archiveIndex.files[archivedSha256]?.md5) || null;
+                return {
+                    cennikName: pdf.cennikName || pdf.pdfType || null,
+                    pdfUrl: pdf.pdfUrl || null,
+                    pdfHash: pdfHash,
+                    pdfHashAlgorithm: pdfHash ? 'md5' : null,
+                    archivedSha256: archivedSha256,
+                    textHash: this.hash(pdf.rawText || ''),
+                    characters: (pdf.rawText || '').length,
+                    effectiveFrom: pdf.effectiveFrom || null,
+                    error: pdf.error || null
+                };
+            })
+        };
+
+        summary.priceChanges = latest ? await this.detectPriceChanges(provider, latest.versionId, dataset) : [];
+
+        await fs.writeFile(
+            path.join(historyDir, `${versionId}.json`),
+            JSON.stringify({ version: summary, dataset: dataset }, null, '\t')
+        );
+
+        versions.push(summary);
+        recordedInRun.set(provider, versionId);
+        const retained = await this.applyRetention(provider, versions, policy);
+        await this.saveIndex(provider, retained);
+
+        console.log(`📚 ${provider}: recorded dataset version ${versionId} (${retained.length} version(s) kept)`);
+        return { ...summary, created: true };
+    }
+
+    /**
+     * Replace the dataset of a stored version with a regenerated one (reprocessing)
+     * The version keeps its ID, save time and PDF hashes; the content hash, text hashes and price
+     * changes against its previous version are recalculated.
+     * @param {string} provider - Provider name
+     * @param {string} versionId - Version to replace
+     * @param {Object} dataset - Regenerated dataset
+     * @returns {Promise<Object|null>} Updated version summary, or null when the version is not in the index
+     */
+    async replaceVersion(provider, versionId, dataset) {
+        const versions = await this.loadIndex(provider);
+        const position = versions.findIndex(version => version.versionId === versionId);
+        if (position === -1) {
+            return null;
+        }
+
+        const recorded = versions[position];
+        const summary = {
+            ...recorded,
+            contentHash: this.calculateContentHash(dataset),
+            reprocessedAt: new Date().toISOString(),
+            totalPdfs: this.getPdfRecords(dataset).length,
+            pdfs: this.getPdfRecords(dataset).map(pdf => {
+                const previous = (recorded.pdfs || []).find(entry => entry.pdfUrl === (pdf.pdfUrl || null)) || {};
+                return {
+                    cennikName: pdf.cennikName || pdf.pdfType || null,
+                    pdfUrl: pdf.pdfUrl || null,
+                    pdfHash: previous.pdfHash || null,
+                    pdfHashAlgorithm: previous.pdfHashAlgorithm || null,
+                    archivedSha256: previous.archivedSha256 || null,
+                    textHash: this.hash(pdf.rawText || ''),
+                    characters: (pdf.rawText || '').length,
+                    effectiveFrom: pdf.effectiveFrom || null,
+                    error: pdf.error || null
+                };
+            })
+        };
+        summary.priceChanges = recorded.previousVersionId
+            ? await this.detectPriceChanges(provider, recorded.previousVersionId, dataset)
+            : [];
+
+        const versionFile = path.join(getHistoryDir(provider), `${versionId}.json`);
+        await fs.writeFile(versionFile + '.tmp', JSON.stringify({ version: summary, dataset: dataset }, null, '\t'));
+        await fs.rename(versionFile + '.tmp', versionFile);
+
+        versions[position] = summary;
+        await this.saveIndex(provider, versions);
+
+        console.log(`📚 ${provider}: regenerated dataset version ${versionId}`);
+        return summary;
+    }
+
+    /**
+     * Detect price changes between a stored version and the dataset being recorded
+     * @param {string} provider - Provider name
+     * @param {string} previousVersionId - Version to compare against
+     * @param {Object} dataset - New dataset
+     * @returns {Promise<Array>} Price changes (empty when detection fails)
+     */
+    async detectPriceChanges(provider, previousVersionId, dataset) {
+        try {
+            // Required lazily: the detector's section differ depends on this module
+            const PriceChangeDetector = require('../utils/data/price-change-detector');
+            const previous = await this.loadVersion(provider, previousVersionId);
+            if (!previous) {
+                return [];
+            }
+
+            const priceChanges = new PriceChangeDetector().detectChanges(previous.dataset, dataset);
+            if (priceChanges.length > 0) {
+                console.log(`💶 ${provider}: ${priceChanges.length} price change(s) since version ${previousVersionId}`);
+                priceChanges.slice(0, 5).forEach(change => console.log(`   ${change.description}`));
+            }
+            return priceChanges;
+        } catch (error) {
+            console.warn(`⚠️  Price change detection failed for ${provider}: ${error.message}`);
+            return [];
+        }
+    }
+
+    /**
+     * Apply retention rules; the latest version is always kept
+     * @param {string} provider - Provider name
+     * @param {Array} versions - Version summaries, oldest first
+     * @param {Object} policy - { maxVersions, maxAgeDays }
+     * @returns {Promise<Array>} Retained version summaries
+     */
+    async applyRetention(provider, versions, policy) {
+        const cutoff = policy.maxAgeDays ? Date.now() - policy.maxAgeDays * 24 * 60 * 60 * 1000 : null;
+        const maxVersions = policy.maxVersions && policy.maxVersions > 0 ? policy.maxVersions : versions.length;
+
+        const retained = versions.filter((version, index) => {
+            const isLatest = index === versions.length - 1;
+            if (isLatest) {
+                return true;
+            }
+            if (versions.length - index > maxVersions) {
+                return false;
+            }
+            return !cutoff || new Date(version.savedAt).getTime() >= cutoff;
+        });
+
+        const removed = versions.filter(version => !retained.includes(version));
+        for (const version of removed) {
+            try {
+                await fs.unlink(path.join(getHistoryDir(provider), `${version.versionId}.json`));
+            } catch (error) {
+                console.warn(`⚠️  Could not delete expired version ${version.versionId}: ${error.message}`);
+            }
+        }
+
+        if (removed.length > 0) {
+            console.log(`🧹 ${provider}: removed ${removed.length} expired version(s)`);
+        }
+
+        return retained;
+    }
+
+    /**
+     * Get the version a dataset saved by this process resolved to
+     * @param {string} provider - Provider name
+     * @returns {string|null} Version ID (new, or the latest one when unchanged), or null when nothing was saved in this run
+     */
+    getRecordedInRun(provider) {
+        return recordedInRun.get(provider) || null;
+    }
+
+    /**
+     * List versions for a provider, newest first
+     * @param {string} provider - Provider name
+     * @returns {Promise<Array>} Version summaries
+     */
+    async listVersions(provider) {
+        const versions = await this.loadIndex(provider);
+        return versions.slice().reverse();
+    }
+
+    /**
+     * Load a stored version
+     * @param {string} provider - Provider name
+     * @param {string} versionId - Version ID, or "latest"
+     * @returns {Promise<Object|null>} { version, dataset } or null if not found
+     */
+    async loadVersion(provider, versionId) {
+        const versions = await this.loadIndex(provider);
+        const summary = versionId === 'latest'
+            ? versions[versions.length - 1]
+            : versions.find(version => version.versionId === versionId);
+
+        if (!summary) {
+            return null;
+        }
+
+        try {
+            const data = await fs.readFile(path.join(getHistoryDir(provider), `${summary.versionId}.json`), 'utf8');
+            return JSON.parse(data);
+        } catch (error) {
+            console.error(`❌ Failed to load version ${summary.versionId} for ${provider}: ${error.message}`);
+            return null;
+        }
+    }
+}
+
+module.exports = DatasetHistory;
@@ -0,0 +1,311 @@
+const fs = require('fs');
+const DataStorage = require('./data-storage');
+const DatasetHistory = require('./dataset-history');
+const PdfArchive = require('../utils/pdf/pdf-archive');
+const SectionDiffer = require('../utils/data/section-differ');
+const ProviderRegistry = require('../providers/provider-registry');
+const { annotateEffectiveDates } = require('../utils/data/effective-date-extractor');
+
+/**
+ * Dataset Reprocessor
+ * Re-runs the current extractor over the PDFs stored datasets were built from, taken from the
+ * PDF archive (or the local file of "LOCAL: path" records), without crawling or downloading:
+ * - every dataset version saved since a date (all versions by default) is regenerated in place
+ *   from the archived copies it was built from, keeping its version ID
+ * - the current dataset is regenerated from the latest archived copies and saved like a normal
+ *   run (source 'reprocess'), then compared section by section with the previous output
+ */
+class DatasetReprocessor {
+    constructor(errorMonitor = null) {
+        this.errorMonitor = errorMonitor;
+        this.dataStorage = new DataStorage();
+        this.datasetHistory = new DatasetHistory();
+        this.archive = new PdfArchive();
+        this.sectionDiffer = new SectionDiffer();
+        this.providerRegistry = new ProviderRegistry();
+    }
+
+    /**
+     * Get provider keys that can be reprocessed
+     * @returns {Array<string>} Provider keys
+     */
+    getSupportedProviders() {
+        return this.providerRegistry.keys();
+    }
+
+    /**
+     * Find the source PDF of a record of the current dataset: the latest archived copy
+     * @param {Object} pdf - PDF record
+     * @returns {Promise<Object>} { filePath, origin: 'archive'|'local', sha256, seenAt } or { skipReason }
+     */
+    async resolveSource(pdf) {
+        const pdfUrl = pdf.pdfUrl || '';
+
+        if (pdfUrl.startsWith('LOCAL:')) {
+            const localPath = pdfUrl.replace(/^LOCAL:\s*/, '');
+            if (!fs.existsSync(localPath)) {
+                return { skipReason: `local file not found: ${localPath}` };
+            }
+            const seenAt = fs.statSync(localPath).mtime.toISOString();
+            return { filePath: localPath, origin: 'local', sha256: null, seenAt };
+        }
+
+        const latest = pdfUrl ? await this.archive.getLatest(pdfUrl) : null;
+        if (!latest) {
+            return { skipReason: 'not in the PDF archive' };
+        }
+
+        const version = (await this.archive.getVersions(pdfUrl)).find(v => v.sha256 === latest.sha256);
+        return { filePath: latest.filePath, origin: 'archive', sha256: latest.sha256, seenAt: version?.lastSeenAt || latest.fetchedAt };
+    }
+
+    /**
+     * Find the source PDF of a record of a stored version: the archived file recorded with the
+     * version, else the file the URL served when the version was saved
+     * @param {Object} pdf - PDF record
+     * @param {Object} version - Version summary { savedAt, pdfs: [{ pdfUrl, archivedSha256 }] }
+     * @returns {Promise<Object>} { filePath, origin: 'archive', sha256, seenAt } or { skipReason }
+     */
+    async resolveVersionSource(pdf, version) {
+        const pdfUrl = pdf.pdfUrl || '';
+        if (pdfUrl.startsWith('LOCAL:')) {
+            // The local file may have changed since the version was saved
+            return { skipReason: 'local files are not archived' };
+        }
+        if (!pdfUrl) {
+            return { skipReason: 'no PDF URL' };
+        }
+
+        const archived = await this.archive.getVersions(pdfUrl);
+        const recordedSha256 = (version.pdfs || []).find(entry => entry.pdfUrl === pdfUrl)?.archivedSha256;
+        const match = recordedSha256
+            ? archived.find(entry => entry.sha256 === recordedSha256) || { sha256: recordedSha256, filePath: this.archive.getFilePath(recordedSha256) }
+            : archived.filter(entry => entry.firstSeenAt && new Date(entry.firstSeenAt) <= new Date(version.savedAt)).pop();
+
+        if (!match || !(await this.archive.fileExists(match.filePath))) {
+            return { skipReason: `archived copy from ${version.savedAt} not found` };
+        }
+        return { filePath: match.filePath, origin: 'archive', sha256: match.sha256, seenAt: match.lastSeenAt || match.firstSeenAt || null };
+    }
+
+    /**
+     * Build the rawText of a record from a scraper result the way the crawlers do
+     * @param {Object} extracted - scrapePdf result (skipStorage mode)
+     * @returns {string} Raw text
+     */
+    buildRawText(extracted) {
+        if (extracted.rawText) {
+            return extracted.rawText;
+        }
+        const sections = extracted.data?.sections || {};
+        if (typeof sections.fullContent === 'string') {
+            return sections.fullContent;
+        }
+        return Object.values(sections)
+            .filter(section => section && section.rawText)
+            .map(section => section.rawText)
+            .join('\n\n')
+            .trim();
+    }
+
+    /**
+     * Replace the extracted content of a record, keeping its shape (data.* or top-level summary/extractionInfo)
+     * @param {Object} pdf - Stored PDF record
+     * @param {Object} extracted - scrapePdf result (skipStorage mode)
+     * @param {Object} source - Resolved source PDF
+     * @returns {Object} New record
+     */
+    applyExtraction(pdf, extracted, source) {
+        const record = { ...pdf, rawText: this.buildRawText(extracted) };
+        delete record.error;
+
+        if (pdf.data || !('summary' in pdf)) {
+            record.data = {
+                ...(pdf.data || {}),
+                sections: extracted.data?.sections || {},
+                summary: extracted.summary,
+                extractionInfo: extracted.extractionInfo || extracted.data?.extractionInfo
+            };
+            if (extracted.data?.tables) {
+                record.data.tables = extracted.data.tables;
+            }
+        } else {
+            record.summary = extracted.summary;
+            record.extractionInfo = extracted.extractionInfo || extracted.data?.extractionInfo;
+        }
+
+        if (extracted.metadata?.validation) {
+            record.validation = extracted.metadata.validation;
+        }
+        record.reprocessedAt = new Date().toISOString();
+        record.reprocessedFrom = source.sha256 ? `archive:${source.sha256}` : `local:${source.filePath}`;
+        return record;
+    }
+
+    /**
+     * Re-extract one PDF record
+     * @param {Object} scraper - Provider PDF scraper
+     * @param {Object} pdf - Stored PDF record
+     * @param {Object} source - Resolved source PDF
+     * @returns {Promise<Object>} New record
+     */
+    async reprocessPdf(scraper, pdf, source) {
+        // Scrapers only delete files they downloaded themselves, so the archived original is passed as is
+        const extracted = await scraper.scrapePdf(pdf.pdfUrl, pdf.cennikName || null, source.filePath, true, pdf.category || null);
+        if (!extracted || extracted.success === false) {
+            throw new Error(extracted?.error || 'Extraction failed');
+        }
+        return this.applyExtraction(pdf, extracted, source);
+    }
+
+    /**
+     * Re-extract every record of a dataset whose source PDF can be resolved
+     * @param {Object} scraper - Provider PDF scraper
+     * @param {Object} dataset - Stored dataset (consolidated or a single record)
+     * @param {Function} resolve - async pdf => source, or { skipReason }
+     * @returns {Promise<Object>} { dataset, reprocessed, skipped, failed }
+     */
+    async reprocessDataset(scraper, dataset, resolve) {
+        const isConsolidated = Array.isArray(dataset.pdfs);
+        const records = isConsolidated ? dataset.pdfs : [dataset];
+
+        const reprocessed = [];
+        const skipped = [];
+        const failed = [];
+        const newRecords = [];
+
+        for (const pdf of records) {
+            const title = (pdf.cennikName || pdf.pdfType || pdf.pdfUrl || 'Unknown Document').trim();
+            const source = await resolve(pdf);
+
+            if (source.skipReason) {
+                console.log(`⏭️  ${title}: ${source.skipReason}, kept as is`);
+                skipped.push({ pdf: title, pdfUrl: pdf.pdfUrl || null, reason: source.skipReason });
+                newRecords.push(pdf);
+                continue;
+            }
+
+            try {
+                console.log(`🔁 Reprocessing ${title} from ${source.origin} copy ${source.sha256 ? source.sha256.substring(0, 12) + '...' : source.filePath}`);
+                newRecords.push(await this.reprocessPdf(scraper, pdf, source));
+                reprocessed.push({ pdf: title, pdfUrl: pdf.pdfUrl || null, origin: source.origin, sha256: source.sha256 });
+            } catch (error) {
+                console.error(`❌ Failed to reprocess ${title}: ${error.message}`);
+                failed.push({ pdf: title, pdfUrl: pdf.pdfUrl || null, error: error.message });
+                newRecords.push(pdf);
+            }
+        }
+
+        const regenerated = isConsolidated
+            ? {
+                ...dataset,
+                pdfs: newRecords,
+                successfulPdfs: newRecords.filter(pdf => !pdf.error).length,
+                failedPdfs: newRecords.filter(pdf => pdf.error).length,
+                reprocessedAt: new Date().toISOString()
+            }
+            : newRecords[0];
+
+        return { dataset: regenerated, reprocessed, skipped, failed };
+    }
+
+    /**
+     * Regenerate the stored versions of a provider saved on or after a date, oldest first,
+     * so each version's price changes are recalculated against its regenerated predecessor
+     * @param {string} provider - Provider key
+     * @param {Object} scraper - Provider PDF scraper
+     * @param {Date|null} since - Earliest save time (null: every version)
+     * @returns {Promise<Array>} Per version { versionId, savedAt, updated, reprocessed, skipped, failed }
+     */
+    async reprocessVersions(provider, scraper, since) {
+        const versions = (await this.datasetHistory.loadIndex(provider))
+            .filter(version => !since || new Date(version.savedAt) >= since);
+        const results = [];
+
+        for (const summary of versions) {
+            console.log(`\n📚 Version ${summary.versionId} (saved ${summary.savedAt})`);
+            const stored = await this.datasetHistory.loadVersion(provider, summary.versionId);
+            if (!stored) {
+                results.push({
+                    versionId: summary.versionId,
+                    savedAt: summary.savedAt,
+                    updated: false,
+                    reprocessed: [],
+                    skipped: [],
+                    failed: [{ pdf: summary.versionId, pdfUrl: null, error: 'version file could not be read' }]
+                });
+                continue;
+            }
+
+            const result = await this.reprocessDataset(scraper, stored.dataset, pdf => this.resolveVersionSource(pdf, summary));
+            let updated = false;
+            if (result.reprocessed.length > 0) {
+                annotateEffectiveDates(result.dataset);
+                updated = !!(await this.datasetHistory.replaceVersion(provider, summary.versionId, result.dataset));
+            }
+            results.push({
+                versionId: summary.versionId,
+                savedAt: summary.savedAt,
+                updated,
+                reprocessed: result.reprocessed,
+                skipped: result.skipped,
+                failed: result.failed
+            });
+        }
+
+        return results;
+    }
+
+    /**
+     * Reprocess a provider: its stored versions, then the current dataset
+     * @param {string} providerName - Provider key or alias
+     * @param {Object} options - { since: 'YYYY-MM-DD' } only regenerates versions saved on or after this date
+     * @returns {Promise<Object>} { provider, saved, versionId, reprocessed, skipped, failed, diff, versions }
+     */
+    async reprocess(providerName, options = {}) {
+        const provider = this.providerRegistry.get(providerName)?.key;
+        if (!provider) {
+            throw new Error(`Reprocessing not supported for '${providerName}'. Available: ${this.getSupportedProviders().join(', ')}`);
+        }
+
+        const since = options.since ? new Date(options.since) : null;
+        if (since && isNaN(since.getTime())) {
+            throw new Error(`Invalid --since date: ${options.since}`);
+        }
+
+        const previous = await this.dataStorage.loadDataset(provider);
+        if (!previous) {
+            throw new Error(`No stored dataset for ${provider}`);
+        }
+
+        const ScraperClass = this.providerRegistry.getScraperClass(provider);
+        const scraper = new ScraperClass(this.errorMonitor);
+
+        const versions = await this.reprocessVersions(provider, scraper, since);
+
+        console.log(`\n💾 Current dataset`);
+        const current = await this.reprocessDataset(scraper, previous, pdf => this.resolveSource(pdf));
+        const { reprocessed, skipped, failed } = current;
+
+        if (reprocessed.length === 0) {
+            console.log(`ℹ️  ${provider}: no PDFs reprocessed, dataset left unchanged`);
+            return { provider, saved: false, versionId: null, reprocessed, skipped, failed, diff: null, versions };
+        }
+
+        const diff = this.sectionDiffer.diffDatasets(previous, current.dataset);
+        const saveResult = await this.dataStorage.saveToDataset(current.dataset, null, provider, { source: 'reprocess' });
+
+        return {
+            provider,
+            saved: true,
+            versionId: saveResult.versionId,
+            reprocessed,
+            skipped,
+            failed,
+            diff,
+            versions
+        };
+    }
+}
+
+module.exports = DatasetReprocessor;
@@ -0,0 +1,169 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { getConfigBlock } = require('./config-loader');
+const { getCircuitBreakerFile } = require('./paths');
+
+// State updates from every CircuitBreaker instance in the process are serialized,
+// so providers finishing at the same time never overwrite each other's counters
+let stateQueue = Promise.resolve();
+
+/**
+ * Circuit Breaker
+ * Counts failed runs per provider in a row (storage/metadata/circuit-breakers.json). Once a provider
+ * reaches failureThreshold the breaker trips: the provider is skipped and reported as tripped
+ * instead of being crawled, until cooldownHours have passed. The next run after the cooldown is a
+ * trial: success closes the breaker, another failure trips it again right away.
+ *
+ * Settings come from the "circuitBreaker" block of scraper-config.json, overridden per provider by
+ * providers.<key>.circuitBreaker.
+ */
+class CircuitBreaker {
+    constructor() {
+        this.stateFile = getCircuitBreakerFile();
+        this.defaultSettings = {
+            enabled: true,
+            failureThreshold: 3,
+            cooldownHours: 12
+        };
+    }
+
+    /**
+     * Get the circuit breaker settings of a provider
+     * @param {string} provider - Provider key
+     * @returns {Object} { enabled, failureThreshold, cooldownHours }
+     */
+    getSettings(provider) {
+        return getConfigBlock('circuitBreaker', this.defaultSettings, provider);
+    }
+
+    /**
+     * Load the state of all providers
+     * @returns {Promise<Object>} provider -> { consecutiveFailures, lastError, lastFailureAt, lastSuccessAt, trippedAt }
+     */
+    async loadState() {
+        try {
+            const content = await fs.readFile(this.stateFile, 'utf8');
+            return JSON.parse(content);
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.warn(`⚠️  Could not read circuit breaker state: ${error.message}`);
+            }
+            return {};
+        }
+    }
+
+    /**
+     * Apply a change to one provider's state and write it back (temp file + rename)
+     * @param {string} provider - Provider key
+     * @param {Function} mutate - Receives the provider state and changes it in place
+     * @returns {Promise<Object>} The updated provider state
+     */
+    async updateState(provider, mutate) {
+        const run = stateQueue.then(async () => {
+            const state = await this.loadState();
+            const entry = state[provider] || { consecutiveFailures: 0, lastError: null, lastFailureAt: null, lastSuccessAt: null, trippedAt: null };
+            mutate(entry);
+            state[provider] = entry;
+
+            await fs.mkdir(path.dirname(this.stateFile), { recursive: true });
+            const tempFile = `${this.stateFile}.tmp`;
+            await fs.writeFile(tempFile, JSON.stringify(state, null, 2));
+            await fs.rename(tempFile, this.stateFile);
+            return entry;
+        });
+        stateQueue = run.catch(() => {});
+        return run;
+    }
+
+    /**
+     * Describe a provider's breaker
+     * @param {string} provider - Provider key
+     * @param {Object|undefined} entry - Stored provider state
+     * @returns {Object} { provider, state: 'closed'|'tripped'|'trial', consecutiveFailures, failureThreshold, trippedAt, retryAfter, lastError }
+     */
+    describe(provider, entry) {
+        const settings = this.getSettings(provider);
+        const failures = entry?.consecutiveFailures || 0;
+        const status = {
+            provider,
+            state: 'closed',
+            consecutiveFailures: failures,
+            failureThreshold: settings.failureThreshold,
+            trippedAt: entry?.trippedAt || null,
+            retryAfter: null,
+            lastError: entry?.lastError || null
+        };
+
+        if (settings.enabled === false || !entry?.trippedAt || failures < settings.failureThreshold) {
+            return status;
+        }
+
+        const retryAfter = new Date(new Date(entry.trippedAt).getTime() + settings.cooldownHours * 3600000);
+        status.retryAfter = retryAfter.toISOString();
+        status.state = Date.now() < retryAfter.getTime() ? 'tripped' : 'trial';
+        return status;
+    }
+
+    /**
+     * Get the breaker status of a provider
+     * @param {string} provider - Provider key
+     * @returns {Promise<Object>} Status (see describe)
+     */
+    async getStatus(provider) {
+        const state = await this.loadState();
+        return this.describe(provider, state[provider]);
+    }
+
+    /**
+     * Record a successful run, closing the breaker (failures to save the state are only logged)
+     * @param {string} provider - Provider key
+     */
+    async recordSuccess(provider) {
+        try {
+            const previous = await this.getStatus(provider);
+            await this.updateState(provider, entry => {
+                entry.consecutiveFailures = 0;
+                entry.trippedAt = null;
+                entry.lastSuccessAt = new Date().toISOString();
+            });
+            if (previous.state !== 'closed') {
+                console.log(`✅ ${provider}: circuit breaker closed after a successful run`);
+            }
+        } catch (error) {
+            console.warn(`⚠️  Could not update circuit breaker for ${provider}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Record a failed run, tripping the breaker when the threshold is reached (failures to save the state are only logged)
+     * @param {string} provider - Provider key
+     * @param {string} message - Error message of the run
+     * @returns {Promise<Object>} Status after the failure
+     */
+    async recordFailure(provider, message) {
+        const settings = this.getSettings(provider);
+        let entry;
+        try {
+            entry = await this.updateState(provider, current => {
+                const now = new Date().toISOString();
+                current.consecutiveFailures = (current.consecutiveFailures || 0) + 1;
+                current.lastError = message;
+                current.lastFailureAt = now;
+                if (current.consecutiveFailures >= settings.failureThreshold) {
+                    current.trippedAt = now;
+                }
+            });
+        } catch (error) {
+            console.warn(`⚠️  Could not update circuit breaker for ${provider}: ${error.message}`);
+            return this.describe(provider, undefined);
+        }
+
+        const status = this.describe(provider, entry);
+        if (status.state === 'tripped') {
+            console.warn(`⛔ ${provider}: circuit breaker tripped after ${entry.consecutiveFailures} failed runs in a row, skipped until ${status.retryAfter}`);
+        }
+        return status;
+    }
+}
+
+module.exports = CircuitBreaker;
@@ -0,0 +1,97 @@
+const { getConfigBlock } = require('./config-loader');
+
+/**
+ * Concurrency Limits
+ * Bounds how many providers are crawled and extracted at once, and how many PDF downloads and
+ * PDF parses run at once across the whole process ("concurrency" block of scraper-config.json)
+ */
+
+const DEFAULT_SETTINGS = {
+    providers: 3,
+    downloads: 4,
+    pdfParsing: 2
+};
+
+// Process-wide limiters by setting name, so every downloader and parser shares the same slots
+const sharedLimiters = new Map();
+
+/**
+ * Get concurrency limits from scraper-config.json ("concurrency" block), falling back to defaults
+ * @returns {Object} { providers, downloads, pdfParsing }
+ */
+function getConcurrencySettings() {
+    return getConfigBlock('concurrency', DEFAULT_SETTINGS);
+}
+
+/**
+ * Normalize a configured limit (anything below 1 or not a number runs one task at a time)
+ * @param {number} limit - Configured limit
+ * @returns {number} Limit of at least 1
+ */
+function toLimit(limit) {
+    return Number.isFinite(limit) && limit >= 1 ? Math.floor(limit) : 1;
+}
+
+/**
+ * Create a limiter that runs at most `limit` tasks at once, in the order they were queued
+ * @param {number} limit - Maximum number of running tasks
+ * @returns {Function} run(task) - Queues an async task and resolves or rejects with its result
+ */
+function createLimiter(limit) {
+    const max = toLimit(limit);
+    const queue = [];
+    let active = 0;
+
+    const next = () => {
+        if (active >= max || queue.length === 0) {
+            return;
+        }
+        const { task, resolve, reject } = queue.shift();
+        active++;
+        Promise.resolve()
+            .then(task)
+            .then(resolve, reject)
+            .finally(() => {
+                active--;
+                next();
+            });
+    };
+
+    return task => new Promise((resolve, reject) => {
+        queue.push({ task, resolve, reject });
+        next();
+    });
+}
+
+/**
+ * Run a task in one of the process-wide slots of a concurrency setting
+ * @param {string} name - Setting name ('downloads' or 'pdfParsing')
+ * @param {Function} task - Async task
+ * @returns {Promise<*>} Task result
+ */
+function runLimited(name, task) {
+    if (!sharedLimiters.has(name)) {
+        sharedLimiters.set(name, createLimiter(getConcurrencySettings()[name]));
+    }
+    return sharedLimiters.get(name)(task);
+}
+
+/**
+ * Run a worker over items with at most `limit` running at once
+ * A failing item never stops the others; results have the shape of Promise.allSettled, in item order.
+ * @param {Array} items - Items to process
+ * @param {number} limit - Maximum number of items processed at once
+ * @param {Function} worker - Async function (item, index)
+ * @returns {Promise<Array>} [{ status: 'fulfilled', value } | { status: 'rejected', reason }]
+ */
+function mapSettled(items, limit, worker) {
+    const run = createLimiter(limit);
+    return Promise.allSettled(items.map((item, index) => run(() => worker(item, index))));
+}
+
+module.exports = {
+    getConcurrencySettings,
+    createLimiter,
+    runLimited,
+    mapSettled
+};
@@ -37,6 +37,9 @@ function loadConfig(configPath = null) {
         if (process.env.EMAIL_TO) {
             config.email.to = process.env.EMAIL_TO.split(',').map(email => email.trim());
         }
+        if (process.env.SCRAPER_PROXY) {
+            config.network = { ...(config.network || {}), proxy: process.env.SCRAPER_PROXY };
+        }
         if (process.env.DEBUG) {
             config.debug = process.env.DEBUG === 'true';
         }
@@ -47,9 +50,48 @@ function loadConfig(configPath = null) {
     }
 }
 
+/**
+ * Check whether a value is a plain settings object (not an array or null)
+ * @param {*} value - Value to check
+ * @returns {boolean} True for plain objects
+ */
+function isSettingsObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Get one settings block of scraper-config.json: defaults, overridden by the top-level block
+ * (config[name]), overridden by the provider's own block (providers.<key>[name])
+ * Object-valued settings (headers, timeouts) are merged key by key; all others are replaced.
+ * When the configuration cannot be loaded, a warning is logged and the defaults are returned.
+ * @param {string} name - Block name ("retry", "network", ...)
+ * @param {Object} defaults - Default settings
+ * @param {string|null} providerKey - Provider whose own block applies (null: top-level block only)
+ * @returns {Object} Settings
+ */
+function getConfigBlock(name, defaults = {}, providerKey = null) {
+    let layers = [];
+    try {
+        const config = loadConfig();
+        layers = [config[name], providerKey ? config.providers?.[providerKey]?.[name] : null];
+    } catch (error) {
+        console.warn(`⚠️  Could not load ${name} configuration: ${error.message}`);
+    }
+
+    const settings = { ...defaults };
+    layers.filter(isSettingsObject).forEach(layer => {
+        Object.entries(layer).forEach(([key, value]) => {
+            settings[key] = isSettingsObject(value) && isSettingsObject(settings[key])
+                ? { ...settings[key], ...value }
+                : value;
+        });
+    });
+    return settings;
+}
 
 module.exports = {
-    loadConfig
+    loadConfig,
+    getConfigBlock
 };
 
 
@@ -329,78 +329,73 @@ class ErrorMonitor {
     }
 
     /**
-     * Check for HTTP errors (403, 404, 500, etc.)
-     * @param {Error} error - Error object
-     * @param {string} provider - Provider name
-     * @param {string} operation - Operation name
-     * @returns {Object|null} Recorded error or null
+     * Classify an error by HTTP status, network failure or browser failure, without recording it
+     * @param {Error} error - Error to classify
+     * @returns {Object|null} { type, severity, statusCode, context } or null when unrecognized
      */
-    checkHttpError(error, provider, operation) {
+    classifyError(error) {
         const message = error.message || '';
-        const stack = error.stack || '';
 
-        // Check for HTTP status codes
-        const httpStatusPattern = /HTTP (\d{3})/;
-        const statusMatch = message.match(httpStatusPattern);
+        // HTTP status codes (thrown by the PDF downloader, axios or in the message)
+        const statusMatch = message.match(/HTTP (\d{3})/);
+        const statusCode = statusMatch ? parseInt(statusMatch[1]) : (error.statusCode || error.response?.status || null);
 
-        if (statusMatch) {
-            const statusCode = parseInt(statusMatch[1]);
-            let errorType = 'NETWORK_ERROR';
+        if (statusCode) {
+            let type = 'NETWORK_ERROR';
             let severity = 'error';
 
             if (statusCode === 403) {
-                errorType = 'FORBIDDEN_ERROR';
+                type = 'FORBIDDEN_ERROR';
                 severity = 'critical';
             } else if (statusCode === 404) {
-                errorType = 'NOT_FOUND_ERROR';
+                type = 'NOT_FOUND_ERROR';
             } else if (statusCode >= 500) {
-                errorType = 'SERVER_ERROR';
-                severity = 'error';
+                type = 'SERVER_ERROR';
             } else if (statusCode >= 400) {
-                errorType = 'CLIENT_ERROR';
+                type = 'CLIENT_ERROR';
             }
 
-            return this.recordError({
-                provider,
-                operation,
-                type: errorType,
-                message: `HTTP ${statusCode}: ${error.message}`,
-                errorCode: statusCode,
-                stack,
-                context: { httpStatus: statusCode },
-                severity
-            });
+            return { type, severity, statusCode, context: { httpStatus: statusCode } };
         }
 
-        // Check for network-related errors
-        if (message.includes('net::ERR_') || message.includes('ECONNREFUSED') || message.includes('ETIMEDOUT')) {
-            return this.recordError({
-                provider,
-                operation,
-                type: 'NETWORK_ERROR',
-                message,
-                stack,
-                context: { networkError: true },
-                severity: 'error'
-            });
+        // Network-related errors
+        if (message.includes('net::ERR_') || /ECONNREFUSED|ECONNRESET|ETIMEDOUT|EAI_AGAIN/.test(message) || ['ECONNRESET', 'ETIMEDOUT'].includes(error.code)) {
+            return { type: 'NETWORK_ERROR', severity: 'error', statusCode: null, context: { networkError: true } };
         }
 
-        // Check for puppeteer/browser errors
-        if (message.includes('Target closed') || message.includes('Navigation failed') || message.includes('Timeout')) {
-            return this.recordError({
-                provider,
-                operation,
-                type: 'CRAWL_ERROR',
-                message,
-                stack,
-                context: { browserError: true },
-                severity: 'error'
-            });
+        // Puppeteer/browser errors (navigation timeouts included)
+        if (message.includes('Target closed') || message.includes('Navigation failed') || /timeout/i.test(message) || error.name === 'TimeoutError') {
+            return { type: 'CRAWL_ERROR', severity: 'error', statusCode: null, context: { browserError: true } };
         }
 
         return null;
     }
 
+    /**
+     * Check for HTTP errors (403, 404, 500, etc.)
+     * @param {Error} error - Error object
+     * @param {string} provider - Provider name
+     * @param {string} operation - Operation name
+     * @returns {Object|null} Recorded error or null
+     */
+    checkHttpError(error, provider, operation) {
+        const classification = this.classifyError(error);
+        if (!classification) {
+            return null;
+        }
+
+        return this.recordError({
+            provider,
+            operation,
+            type: classification.type,
+            message: classification.statusCode ? `HTTP ${classification.statusCode}: ${error.message}` : error.message,
+            errorCode: classification.statusCode,
+            stack: error.stack || '',
+            context: classification.context,
+            severity: classification.severity
+        });
+    }
+
     /**
      * End monitoring session and generate summary
      * @returns {Object} Monitoring summary
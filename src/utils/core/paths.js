@@ -18,6 +18,15 @@ function getStorageDir(providerName) {
     return path.join(PROJECT_ROOT, 'storage', 'datasets', providerName);
 }
 
+/**
+ * Get version history directory for a specific provider
+ * @param {string} providerName - Provider name (e.g., 'tesco', 'orange', 'fourka')
+ * @returns {string} Path to provider's dataset version history directory
+ */
+function getHistoryDir(providerName) {
+    return path.join(PROJECT_ROOT, 'storage', 'history', providerName);
+}
+
 /**
  * Get metadata directory
  * @returns {string} Path to metadata storage directory
@@ -26,6 +35,14 @@ function getMetadataDir() {
     return path.join(PROJECT_ROOT, 'storage', 'metadata');
 }
 
+/**
+ * Get archive directory for downloaded source PDFs
+ * @returns {string} Path to content-addressed PDF archive directory
+ */
+function getArchiveDir() {
+    return path.join(PROJECT_ROOT, 'storage', 'archive');
+}
+
 /**
  * Get temp directory
  * @returns {string} Path to temporary files directory
@@ -58,6 +75,38 @@ function getMetadataHashFile() {
     return path.join(getMetadataDir(), 'latest-pdf-hashes.json');
 }
 
+/**
+ * Get metadata file path for PDF HTTP validators (ETag, Last-Modified, Content-Length)
+ * @returns {string} Path to latest PDF headers metadata file
+ */
+function getMetadataHeaderFile() {
+    return path.join(getMetadataDir(), 'latest-pdf-headers.json');
+}
+
+/**
+ * Get change ledger file path (append-only JSONL of detected changes)
+ * @returns {string} Path to change ledger file
+ */
+function getChangeLedgerFile() {
+    return path.join(getMetadataDir(), 'change-ledger.jsonl');
+}
+
+/**
+ * Get change digest state file path
+ * @returns {string} Path to the file tracking which ledger entries were already sent in a digest
+ */
+function getChangeDigestFile() {
+    return path.join(getMetadataDir(), 'change-digest.json');
+}
+
+/**
+ * Get circuit breaker state file path
+ * @returns {string} Path to the file tracking consecutive failed runs per provider
+ */
+function getCircuitBreakerFile() {
+    return path.join(getMetadataDir(), 'circuit-breakers.json');
+}
+
 /**
  * Get default config file path
  * @returns {string} Path to default scraper config file
@@ -69,11 +118,17 @@ function getDefaultConfigPath() {
 module.exports = {
     PROJECT_ROOT,
     getStorageDir,
+    getHistoryDir,
     getMetadataDir,
+    getArchiveDir,
     getTempDir,
     getConfigDir,
     getMetadataUrlFile,
     getMetadataHashFile,
+    getMetadataHeaderFile,
+    getChangeLedgerFile,
+    getChangeDigestFile,
+    getCircuitBreakerFile,
     getDefaultConfigPath
 };
 
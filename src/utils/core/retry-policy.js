@@ -0,0 +1,93 @@
+const { getConfigBlock } = require('./config-loader');
+const ErrorMonitor = require('./error-monitor');
+
+/**
+ * Retry Policy
+ * Retries a failed crawl of a provider when the error looks transient. The error type comes from
+ * ErrorMonitor.classifyError (NETWORK_ERROR, CRAWL_ERROR, SERVER_ERROR, FORBIDDEN_ERROR, ...), and
+ * only types listed in "retryOn" are retried. Delays grow exponentially from baseDelayMs up to
+ * maxDelayMs; "jitter" is the share of each delay that is randomized, so providers retrying at
+ * the same time do not hit their sites in lockstep.
+ *
+ * Settings come from the "retry" block of scraper-config.json, overridden per provider by
+ * providers.<key>.retry.
+ */
+class RetryPolicy {
+    constructor() {
+        this.defaultSettings = {
+            attempts: 3,
+            baseDelayMs: 2000,
+            maxDelayMs: 30000,
+            jitter: 0.5,
+            retryOn: ['NETWORK_ERROR', 'CRAWL_ERROR', 'SERVER_ERROR']
+        };
+        this.errorMonitor = new ErrorMonitor();
+    }
+
+    /**
+     * Get the retry settings of a provider
+     * @param {string} provider - Provider key
+     * @returns {Object} { attempts, baseDelayMs, maxDelayMs, jitter, retryOn }
+     */
+    getSettings(provider) {
+        return getConfigBlock('retry', this.defaultSettings, provider);
+    }
+
+    /**
+     * Get the error type used to decide on a retry
+     * @param {Error} error - Crawl error
+     * @returns {string} Error type, UNKNOWN_ERROR when unrecognized
+     */
+    getErrorType(error) {
+        return this.errorMonitor.classifyError(error)?.type || 'UNKNOWN_ERROR';
+    }
+
+    /**
+     * Get the delay before a retry
+     * @param {number} attempt - Attempt that just failed (1-based)
+     * @param {Object} settings - Retry settings
+     * @returns {number} Delay in milliseconds
+     */
+    getDelay(attempt, settings) {
+        const delay = Math.min(settings.maxDelayMs, settings.baseDelayMs * Math.pow(2, attempt - 1));
+        const jitter = Math.min(Math.max(settings.jitter || 0, 0), 1);
+        return Math.round(delay * (1 - jitter * Math.random()));
+    }
+
+    /**
+     * Run an operation, retrying transient failures
+     * The error of the last attempt is rethrown with `attempts` (number of attempts made) and `errorType` set.
+     * @param {string} provider - Provider key
+     * @param {string} operation - Operation name for log messages
+     * @param {Function} task - Async function receiving the attempt number (1-based)
+     * @param {Function} beforeRetry - Optional async function run before each retry (e.g. to release the browser)
+     * @returns {Promise<*>} Result of the first successful attempt
+     */
+    async run(provider, operation, task, beforeRetry = null) {
+        const settings = this.getSettings(provider);
+        const attempts = Math.max(1, settings.attempts || 1);
+
+        for (let attempt = 1; ; attempt++) {
+            try {
+                return await task(attempt);
+            } catch (error) {
+                const errorType = this.getErrorType(error);
+                error.attempts = attempt;
+                error.errorType = errorType;
+
+                if (attempt >= attempts || !(settings.retryOn || []).includes(errorType)) {
+                    throw error;
+                }
+
+                const delay = this.getDelay(attempt, settings);
+                console.warn(`🔁 ${provider} ${operation} failed (${errorType}, attempt ${attempt}/${attempts}): ${error.message}. Retrying in ${(delay / 1000).toFixed(1)}s...`);
+                if (beforeRetry) {
+                    await beforeRetry();
+                }
+                await new Promise(resolve => setTimeout(resolve, delay));
+            }
+        }
+    }
+}
+
+module.exports = RetryPolicy;
@@ -19,6 +19,11 @@ module.exports = {
         MIN_CHARS_WARNING: 100   // Minimum characters before warning
     },
 
+    // Structured plan thresholds
+    PLANS: {
+        MAX_MONTHLY_FEE: 500     // Monthly fee above this (EUR) is treated as a parsing error
+    },
+
     // Silent failure detection thresholds
     SILENT_FAILURE: {
         MIN_CONTENT_CHARS: 100   // Minimum content to avoid silent failure detection
@@ -0,0 +1,110 @@
+const { getConfigBlock } = require('../core/config-loader');
+const { findPrices } = require('./value-normalizer');
+
+// Severities from least to most significant (an unclassified change may be any of them)
+const SEVERITIES = ['cosmetic', 'text_change', 'section_added', 'section_removed', 'price_change', 'unclassified'];
+
+/**
+ * Change Classifier
+ * Ranks a detected change by the section diff of the dataset version it produced:
+ * - cosmetic: PDF republished (or moved) without any change in the extracted text
+ * - text_change: wording changed but no amounts did (terms, legal notes)
+ * - section_added / section_removed: a section (or a whole PDF) appeared or disappeared
+ * - price_change: euro amounts changed, aligned by the price change detector or simply
+ *   different between the old and new passages of a changed section
+ * - unclassified: no dataset was saved for the change (extraction failed), so it cannot be ranked
+ * The "alerts" block of scraper-config.json decides which severities are mailed right away;
+ * the rest wait for the periodic change digest. Unclassified changes are always mailed right away.
+ */
+class ChangeClassifier {
+    constructor() {
+        this.defaultSettings = {
+            immediate: ['price_change', 'section_added', 'section_removed'],
+            digestIntervalHours: 24
+        };
+    }
+
+    /**
+     * Get alert settings from scraper-config.json ("alerts" block), falling back to defaults
+     * @returns {Object} { immediate: severities alerted right away, digestIntervalHours }
+     */
+    getSettings() {
+        return getConfigBlock('alerts', this.defaultSettings);
+    }
+
+    /**
+     * Check whether the amounts in a section's changed passages differ
+     * Amounts are compared as a sorted list, so reordered rows do not count
+     * @param {Array} changes - Passage changes { before, after } of one section
+     * @returns {boolean} True when an amount was added, removed or changed
+     */
+    amountsChanged(changes) {
+        const amounts = texts => texts
+            .flatMap(text => findPrices(text || '').map(price => `${price.amount}${price.unit ? `/${price.unit}` : ''}`))
+            .sort()
+            .join('|');
+        return amounts(changes.map(change => change.before)) !== amounts(changes.map(change => change.after));
+    }
+
+    /**
+     * Classify a change from its section diff and price changes
+     * @param {Object|null} diff - SectionDiffer.diffDatasets result (null when no new content was extracted)
+     * @param {Array} priceChanges - Price changes recorded with the dataset version
+     * @param {string|null} pdfTitle - Limit the diff to one PDF (title as reported by the differ)
+     * @returns {Object} { severity, changeSummary: { sectionsAdded, sectionsRemoved, sectionsChanged, priceChanges } }
+     */
+    classify(diff, priceChanges = [], pdfTitle = null) {
+        const sections = (diff?.sections || []).filter(section => !pdfTitle || section.pdf === pdfTitle);
+        const prices = priceChanges.filter(change => !pdfTitle || change.pdf === pdfTitle);
+        const changeSummary = {
+            sectionsAdded: sections.filter(section => section.status === 'added').length,
+            sectionsRemoved: sections.filter(section => section.status === 'removed').length,
+            sectionsChanged: sections.filter(section => section.status === 'changed').length,
+            priceChanges: prices.length
+        };
+
+        let severity = 'cosmetic';
+        if (prices.length > 0 || sections.some(section => section.status === 'changed' && this.amountsChanged(section.changes))) {
+            severity = 'price_change';
+        } else if (changeSummary.sectionsRemoved > 0) {
+            severity = 'section_removed';
+        } else if (changeSummary.sectionsAdded > 0) {
+            severity = 'section_added';
+        } else if (changeSummary.sectionsChanged > 0) {
+            severity = 'text_change';
+        }
+
+        return { severity, changeSummary };
+    }
+
+    /**
+     * Classification of a change for which no dataset was saved
+     * @returns {Object} { severity: 'unclassified', changeSummary: null }
+     */
+    unclassified() {
+        return { severity: 'unclassified', changeSummary: null };
+    }
+
+    /**
+     * Decide how a change of a given severity is notified
+     * @param {string} severity - Change severity
+     * @returns {string} 'immediate' or 'digest'
+     */
+    getUrgency(severity) {
+        if (severity === 'unclassified') {
+            return 'immediate';
+        }
+        const immediate = this.getSettings().immediate || [];
+        return immediate.includes(severity) ? 'immediate' : 'digest';
+    }
+
+    /**
+     * Compare two severities
+     * @returns {number} Negative when a ranks below b, positive when above, 0 when equal
+     */
+    compareSeverity(a, b) {
+        return SEVERITIES.indexOf(a) - SEVERITIES.indexOf(b);
+    }
+}
+
+module.exports = ChangeClassifier;
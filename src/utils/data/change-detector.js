@@ -2,20 +2,56 @@ const fs = require('fs').promises;
 const path = require('path');
 const crypto = require('crypto');
 const axios = require('axios');
+const PdfArchive = require('../pdf/pdf-archive');
+const ChangeLedger = require('./change-ledger');
+const ChangeClassifier = require('./change-classifier');
+const SectionDiffer = require('./section-differ');
+const DatasetHistory = require('../../storage/dataset-history');
+const ProviderRegistry = require('../../providers/provider-registry');
+const { runLimited } = require('../core/concurrency');
+const { beforeRequest } = require('../web/politeness');
+const { getNetworkProfile, getAxiosOptions } = require('../web/network-profile');
 
 /**
  * Change Detector
  * Just compares PDF URLs - if URL changed, document was updated
  * Much simpler than complex metadata comparison
+ *
+ * Providers with stable URLs ("stableUrl" in the provider module, e.g. okayfon) are compared by
+ * content hash. Hashing is conditional: a HEAD request is compared with the ETag / Last-Modified /
+ * Content-Length stored from the previous check, then a conditional GET may answer 304, and only
+ * then is the PDF downloaded.
+ * Downloaded PDFs go to the PDF archive, where the scrapers pick them up instead of fetching again.
+ * Every stored state transition is also appended to the change ledger, tagged with the run ID
+ * and a severity taken from the section diff of the dataset version saved in this run.
+ * A new URL serving the same bytes as a removed one is a relocation: the URL is stored, but the
+ * provider is not re-extracted.
+ * HEAD and GET requests use the provider's network profile (proxy, headers, cookies, timeouts, CAs).
  */
 class ChangeDetector {
     constructor() {
-        const { getMetadataUrlFile, getMetadataHashFile } = require('../core/paths');
+        const { getMetadataUrlFile, getMetadataHashFile, getMetadataHeaderFile } = require('../core/paths');
         this.metadataFile = getMetadataUrlFile();
         this.hashMetadataFile = getMetadataHashFile();
+        this.headerMetadataFile = getMetadataHeaderFile();
+        this.archive = new PdfArchive();
+        this.changeLedger = new ChangeLedger();
+        this.changeClassifier = new ChangeClassifier();
+        this.providerRegistry = new ProviderRegistry();
+        this.startedAt = new Date().toISOString();
+        this.runId = this.generateRunId();
         this.ensureMetadataDir();
     }
 
+    /**
+     * Generate an ID for this detection run (e.g., run-20251031T125527Z-3f9a1c)
+     * @returns {string} Run ID
+     */
+    generateRunId() {
+        const stamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\.\d+/, '');
+        return `run-${stamp}-${crypto.randomBytes(3).toString('hex')}`;
+    }
+
     /**
      * Ensure metadata directory exists
      */
@@ -30,25 +66,163 @@ class ChangeDetector {
     }
 
     /**
-     * Calculate MD5 hash of PDF content
+     * Calculate MD5 hash of PDF content (unconditional download)
      * @param {string} pdfUrl - PDF URL to hash
      * @returns {Promise<string>} MD5 hash of PDF content
      */
     async calculatePdfHash(pdfUrl) {
+        const result = await this.checkPdf(pdfUrl, null, null);
+        return result.hash;
+    }
+
+    /**
+     * Pick the HTTP validators stored for a PDF from response headers
+     * @param {Object} headers - Response headers (lowercase keys)
+     * @returns {Object} { etag, lastModified, contentLength }
+     */
+    extractValidators(headers = {}) {
+        const contentLength = parseInt(headers['content-length'], 10);
+        return {
+            etag: headers['etag'] || null,
+            lastModified: headers['last-modified'] || null,
+            contentLength: Number.isFinite(contentLength) ? contentLength : null
+        };
+    }
+
+    /**
+     * Compare current HTTP validators with stored ones
+     * ETag decides when both sides have one; otherwise Last-Modified, with Content-Length as a tie-breaker.
+     * Content-Length alone is not trusted (an edited price usually keeps the file size close).
+     * @param {Object|null} current - Validators from the HEAD request
+     * @param {Object|null} stored - Validators from the previous check
+     * @returns {string} 'unchanged', 'changed' or 'unknown' (headers missing or ambiguous)
+     */
+    compareValidators(current, stored) {
+        if (!current || !stored) {
+            return 'unknown';
+        }
+
+        const normalizeEtag = etag => etag.replace(/^W\//, '');
+        if (current.etag && stored.etag) {
+            return normalizeEtag(current.etag) === normalizeEtag(stored.etag) ? 'unchanged' : 'changed';
+        }
+
+        if (current.lastModified && stored.lastModified) {
+            if (current.lastModified !== stored.lastModified) {
+                return 'changed';
+            }
+            if (current.contentLength !== null && stored.contentLength !== null && current.contentLength !== stored.contentLength) {
+                return 'changed';
+            }
+            return 'unchanged';
+        }
+
+        return 'unknown';
+    }
+
+    /**
+     * Fetch HTTP validators with a HEAD request
+     * @param {string} pdfUrl - PDF URL
+     * @param {string|null} provider - Provider key whose network profile is used
+     * @returns {Promise<Object|null>} Validators, or null when the server rejects HEAD
+     */
+    async fetchValidators(pdfUrl, provider = null) {
+        try {
+            await beforeRequest(pdfUrl, provider);
+            const response = await axios.head(pdfUrl, getAxiosOptions(getNetworkProfile(provider), pdfUrl, 'request'));
+            return this.extractValidators(response.headers);
+        } catch (error) {
+            console.warn(`⚠️  HEAD request failed for ${pdfUrl}: ${error.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * Get the content hash of a PDF, downloading it only when headers cannot prove it unchanged
+     * 1. HEAD: matching ETag (or Last-Modified + Content-Length) -> stored hash, nothing downloaded
+     * 2. Conditional GET with If-None-Match / If-Modified-Since: 304 -> stored hash
+     * 3. Otherwise the body of that GET is hashed
+     * @param {string} pdfUrl - PDF URL
+     * @param {Object|null} stored - Stored validators { etag, lastModified, contentLength }
+     * @param {string|null} storedHash - Stored MD5 hash
+     * @param {string|null} provider - Provider key, recorded in the PDF archive and selecting the network profile
+     * @returns {Promise<Object>} { hash, validators, method: 'head'|'not-modified'|'download', bytes }
+     */
+    async checkPdf(pdfUrl, stored, storedHash, provider = null) {
+        const canSkip = !!(stored && storedHash && (stored.etag || stored.lastModified));
+
+        if (canSkip) {
+            const validators = await this.fetchValidators(pdfUrl, provider);
+            if (this.compareValidators(validators, stored) === 'unchanged') {
+                console.log(`✅ Headers unchanged, download skipped: ${pdfUrl}`);
+                await this.confirmArchived(pdfUrl, storedHash);
+                return { hash: storedHash, validators: { ...stored, ...validators }, method: 'head', bytes: 0 };
+            }
+        }
+
+        const conditionalHeaders = {};
+        if (canSkip && stored.etag) {
+            conditionalHeaders['If-None-Match'] = stored.etag;
+        }
+        if (canSkip && stored.lastModified) {
+            conditionalHeaders['If-Modified-Since'] = stored.lastModified;
+        }
+
         try {
             console.log(`🔍 Calculating hash for PDF: ${pdfUrl}`);
-            const response = await axios.get(pdfUrl, { 
-                responseType: 'arraybuffer',
-                timeout: 30000 // 30 second timeout
+            const response = await runLimited('downloads', async () => {
+                await beforeRequest(pdfUrl, provider);
+                return axios.get(pdfUrl, {
+                    ...getAxiosOptions(getNetworkProfile(provider), pdfUrl, 'download', conditionalHeaders),
+                    responseType: 'arraybuffer',
+                    validateStatus: status => (status >= 200 && status < 300) || status === 304
+                });
             });
-            
+
+            if (response.status === 304) {
+                console.log(`✅ Not modified (304), download skipped: ${pdfUrl}`);
+                await this.confirmArchived(pdfUrl, storedHash);
+                return { hash: storedHash, validators: stored, method: 'not-modified', bytes: 0 };
+            }
+
             const buffer = Buffer.from(response.data);
             const hash = crypto.createHash('md5').update(buffer).digest('hex');
             console.log(`✅ PDF hash calculated: ${hash.substring(0, 8)}...`);
-            return hash;
+            await this.archivePdf(buffer, pdfUrl, provider);
+            return { hash, validators: this.extractValidators(response.headers), method: 'download', bytes: buffer.length };
         } catch (error) {
             console.error(`❌ Failed to calculate PDF hash for ${pdfUrl}:`, error.message);
-            return null;
+            return { hash: null, validators: null, method: 'download', bytes: 0 };
+        }
+    }
+
+    /**
+     * Keep downloaded PDF bytes in the archive (failures are only logged)
+     * @param {Buffer} buffer - PDF bytes
+     * @param {string} pdfUrl - PDF URL
+     * @param {string|null} provider - Provider name
+     */
+    async archivePdf(buffer, pdfUrl, provider) {
+        if (!this.archive.isEnabled()) {
+            return;
+        }
+        try {
+            await this.archive.store(buffer, { url: pdfUrl, provider });
+        } catch (error) {
+            console.warn(`⚠️  Could not archive PDF from ${pdfUrl}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Mark the archived copy of a PDF as current after headers or a 304 proved it unchanged
+     * @param {string} pdfUrl - PDF URL
+     * @param {string} storedHash - Stored MD5 hash
+     */
+    async confirmArchived(pdfUrl, storedHash) {
+        try {
+            await this.archive.confirmUnchanged(pdfUrl, storedHash);
+        } catch (error) {
+            console.warn(`⚠️  Could not update PDF archive for ${pdfUrl}: ${error.message}`);
         }
     }
 
@@ -57,29 +231,19 @@ class ChangeDetector {
      * @param {Array} currentUrls - Current PDF URLs
      * @param {Array} storedUrls - Stored PDF URLs
      * @param {string} provider - Provider name
-     * @returns {Promise<boolean>} True if content changed
+     * @returns {Promise<Object>} { hasChanges, relocations, hashes, validators, transfer }
      */
     async comparePdfContentHashes(currentUrls, storedUrls, provider) {
         try {
-            // For now, just compare URLs (we'll add hash comparison later)
-            // This is a simplified version - in production, you'd want to store and compare hashes
-            const hasUrlChanges = this.comparePdfUrls(currentUrls, storedUrls);
-            
-            if (hasUrlChanges) {
-                console.log(`🔍 ${provider}: URL changes detected, treating as content change`);
-                // When URLs changed, compute current hashes to persist later
-                const currentHashes = await this.computeHashesForUrls(currentUrls);
-                return { hasChanges: true, hashes: currentHashes };
-            }
-            
-            // Compare content hashes when URLs are the same
             const storedHashesAll = await this.loadStoredHashes();
+            const storedValidatorsAll = await this.loadStoredValidators();
             const providerStoredHashes = storedHashesAll[provider] || {};
-            const currentHashes = await this.computeHashesForUrls(currentUrls);
+            const check = await this.checkUrls(currentUrls, providerStoredHashes, storedValidatorsAll[provider] || {}, provider);
 
+            // Compare content hashes of the URLs kept since the last run
             let contentChanged = false;
-            for (const url of currentUrls) {
-                const newHash = currentHashes[url];
+            for (const url of currentUrls.filter(currentUrl => storedUrls.includes(currentUrl))) {
+                const newHash = check.hashes[url];
                 const oldHash = providerStoredHashes[url];
                 if (!newHash || !oldHash || newHash !== oldHash) {
                     contentChanged = true;
@@ -89,34 +253,108 @@ class ChangeDetector {
 
             if (contentChanged) {
                 console.log(`📝 ${provider}: Content hash difference detected with identical URLs`);
-                return { hasChanges: true, hashes: currentHashes };
+                return { hasChanges: true, relocations: [], ...check };
+            }
+
+            const hasUrlChanges = this.comparePdfUrls(currentUrls, storedUrls);
+            if (hasUrlChanges) {
+                const relocations = await this.findRelocations(currentUrls, storedUrls, provider, { ...providerStoredHashes, ...check.hashes });
+                if (!relocations) {
+                    console.log(`🔍 ${provider}: URL changes detected, treating as content change`);
+                    return { hasChanges: true, relocations: [], ...check };
+                }
+                return { hasChanges: false, relocations, ...check };
             }
 
             console.log(`✅ ${provider}: URLs and content hashes unchanged`);
-            return { hasChanges: false, hashes: currentHashes };
+            return { hasChanges: false, relocations: [], ...check };
             
         } catch (error) {
             console.error(`❌ Error comparing content hashes for ${provider}:`, error.message);
             // If we can't compare, assume there are changes to be safe
-            const currentHashes = await this.computeHashesForUrls(currentUrls).catch(() => ({}));
-            return { hasChanges: true, hashes: currentHashes };
+            const check = await this.checkUrls(currentUrls, {}, {}, provider)
+                .catch(() => ({ hashes: {}, validators: {}, transfer: null }));
+            return { hasChanges: true, relocations: [], ...check };
+        }
+    }
+
+    /**
+     * Check whether changed URLs only moved the same PDFs to new addresses (rotating download
+     * links, files re-uploaded under a new name). Every removed URL must be matched by an added
+     * URL serving identical bytes; anything else is a real change.
+     * Old content is known from the stored hashes or the PDF archive, new content is downloaded
+     * (into the archive, so a changed PDF is not fetched again by the scraper).
+     * @param {Array} currentUrls - Current PDF URLs
+     * @param {Array} storedUrls - Stored PDF URLs
+     * @param {string} provider - Provider name
+     * @param {Object} knownHashes - url -> MD5 already known for old or new URLs
+     * @returns {Promise<Array|null>} Relocations { oldUrl, newUrl, hash }, or null when content changed or cannot be compared
+     */
+    async findRelocations(currentUrls, storedUrls, provider, knownHashes = {}) {
+        const added = currentUrls.filter(url => !storedUrls.includes(url));
+        const removed = storedUrls.filter(url => !currentUrls.includes(url));
+        if (added.length === 0 || added.length !== removed.length) {
+            return null;
+        }
+
+        const oldHashes = {};
+        for (const url of removed) {
+            oldHashes[url] = knownHashes[url] || await this.archive.getLatestMd5(url).catch(() => null);
+            if (!oldHashes[url]) {
+                console.log(`🔍 ${provider}: No stored content for ${url}, cannot check for relocation`);
+                return null;
+            }
         }
+
+        const relocations = [];
+        const unmatched = [...removed];
+        for (const url of added) {
+            const hash = knownHashes[url] || (await this.checkPdf(url, null, null, provider)).hash;
+            const oldUrl = unmatched.find(candidate => oldHashes[candidate] === hash);
+            if (!hash || !oldUrl) {
+                return null;
+            }
+            unmatched.splice(unmatched.indexOf(oldUrl), 1);
+            relocations.push({ oldUrl, newUrl: url, hash });
+        }
+
+        console.log(`🔀 ${provider}: ${relocations.length} PDF(s) moved to a new URL with identical content`);
+        return relocations;
     }
 
     /**
-     * Compute MD5 hashes for a set of URLs
-     * @param {Array<string>} urls
-     * @returns {Promise<Object>} Map of url -> hash
+     * Get content hashes for a set of URLs using conditional checks
+     * @param {Array<string>} urls - PDF URLs
+     * @param {Object} storedHashes - Stored url -> hash for the provider
+     * @param {Object} storedValidators - Stored url -> validators for the provider
+     * @param {string} provider - Provider name (for logging)
+     * @returns {Promise<Object>} { hashes: url -> hash, validators: url -> validators, transfer }
      */
-    async computeHashesForUrls(urls) {
-        const result = {};
+    async checkUrls(urls, storedHashes, storedValidators, provider) {
+        const hashes = {};
+        const validators = {};
+        const transfer = { head: 0, notModified: 0, downloaded: 0, bytes: 0 };
+
         for (const url of urls) {
-            const hash = await this.calculatePdfHash(url);
-            if (hash) {
-                result[url] = hash;
+            const result = await this.checkPdf(url, storedValidators[url] || null, storedHashes[url] || null, provider);
+            if (result.hash) {
+                hashes[url] = result.hash;
+            }
+            if (result.validators) {
+                validators[url] = result.validators;
+            }
+            if (result.method === 'head') {
+                transfer.head++;
+            } else if (result.method === 'not-modified') {
+                transfer.notModified++;
+            } else {
+                transfer.downloaded++;
+                transfer.bytes += result.bytes;
             }
         }
-        return result;
+
+        console.log(`📉 ${provider}: ${urls.length} PDF(s) checked - ${transfer.head} by headers, ${transfer.notModified} not modified, ${transfer.downloaded} downloaded (${Math.round(transfer.bytes / 1024)} KB)`);
+        return { hashes, validators, transfer };
     }
 
     /**
@@ -240,6 +478,44 @@ class ChangeDetector {
         }
     }
 
+    /**
+     * Load stored HTTP validators
+     * @returns {Promise<Object>} Stored validators: { provider: { url: { etag, lastModified, contentLength } } }
+     */
+    async loadStoredValidators() {
+        try {
+            if (!await this.fileExists(this.headerMetadataFile)) {
+                return {};
+            }
+            const data = await fs.readFile(this.headerMetadataFile, 'utf8');
+            return JSON.parse(data);
+        } catch (error) {
+            console.error('❌ Failed to load stored PDF headers:', error.message);
+            return {};
+        }
+    }
+
+    /**
+     * Replace the stored HTTP validators of one provider (atomic write)
+     * Failures are logged only: missing validators just mean the next check downloads again
+     * @param {string} provider - Provider name
+     * @param {Object} validators - url -> validators
+     */
+    async saveProviderValidators(provider, validators) {
+        if (!validators || Object.keys(validators).length === 0) {
+            return;
+        }
+        try {
+            const stored = await this.loadStoredValidators();
+            stored[provider] = validators;
+            const tempFile = this.headerMetadataFile + '.tmp';
+            await fs.writeFile(tempFile, JSON.stringify(stored, null, 2), 'utf8');
+            await fs.rename(tempFile, this.headerMetadataFile);
+        } catch (error) {
+            console.warn(`⚠️  Failed to save PDF headers for ${provider}: ${error.message}`);
+        }
+    }
+
     /**
      * Check if file exists
      * @param {string} filePath - Path to check
@@ -266,6 +542,7 @@ class ChangeDetector {
             const storedUrls = await this.loadStoredUrls();
             const providersWithChanges = [];
             const unchangedProviders = [];
+            const relocatedProviders = [];
             const errorProviders = [];
 
             for (const result of crawlResults) {
@@ -312,7 +589,7 @@ class ChangeDetector {
                     console.log(`🆕 New provider detected: ${provider} (${currentUrls.length} PDFs)`);
                 } else {
                     // For providers without date-based URLs (like okayfon), use content hash comparison
-                    if (provider === 'okayfon') {
+                    if (this.providerRegistry.get(provider)?.stableUrl) {
                         console.log(`🔍 Using content hash comparison for ${provider}...`);
                         const contentResult = await this.comparePdfContentHashes(currentUrls, storedUrlsArray, provider);
                         
@@ -324,21 +601,46 @@ class ChangeDetector {
                                 crawlResult: result,
                                 oldUrls: storedUrlsArray,
                                 newUrls: currentUrls,
-                                hashes: contentResult.hashes
+                                hashes: contentResult.hashes,
+                                validators: contentResult.validators,
+                                transfer: contentResult.transfer
                             });
                             console.log(`📝 Content changes detected for ${provider}`);
+                        } else if (contentResult.relocations.length > 0) {
+                            relocatedProviders.push({
+                                provider,
+                                changeType: 'relocated',
+                                oldUrls: storedUrlsArray,
+                                newUrls: currentUrls,
+                                relocations: contentResult.relocations,
+                                hashes: contentResult.hashes,
+                                validators: contentResult.validators,
+                                transfer: contentResult.transfer
+                            });
                         } else {
+                            // Content is unchanged, so the fresh headers can be stored right away
+                            await this.saveProviderValidators(provider, contentResult.validators);
                             unchangedProviders.push({
                                 provider,
-                                reason: 'Content unchanged'
+                                reason: 'Content unchanged',
+                                transfer: contentResult.transfer
                             });
                             console.log(`✅ No content changes for ${provider}`);
                         }
                     } else {
                         // Compare URLs to detect changes (for date-based providers)
                         const hasChanges = this.comparePdfUrls(currentUrls, storedUrlsArray);
+                        const relocations = hasChanges ? await this.findRelocations(currentUrls, storedUrlsArray, provider) : null;
                         
-                        if (hasChanges) {
+                        if (relocations) {
+                            relocatedProviders.push({
+                                provider,
+                                changeType: 'relocated',
+                                oldUrls: storedUrlsArray,
+                                newUrls: currentUrls,
+                                relocations
+                            });
+                        } else if (hasChanges) {
                             const changes = this.getChangeDetails(currentUrls, storedUrlsArray);
                             const changedPdfs = this.getChangedPdfs(currentUrls, storedUrlsArray);
                             
@@ -366,17 +668,29 @@ class ChangeDetector {
                 }
             }
 
+            // Relocated PDFs need no extraction or notification, only the new URLs stored
+            if (relocatedProviders.length > 0) {
+                await this.updateStoredUrls(relocatedProviders);
+                relocatedProviders.forEach(relocated => unchangedProviders.push({
+                    provider: relocated.provider,
+                    reason: 'PDF URLs changed, content unchanged',
+                    relocations: relocated.relocations,
+                    transfer: relocated.transfer
+                }));
+            }
+
             const summary = {
                 totalProviders: crawlResults.length,
                 providersWithChanges: providersWithChanges.length,
                 unchangedProviders: unchangedProviders.length,
+                relocatedProviders: relocatedProviders.length,
                 errorProviders: errorProviders.length,
                 changeRate: crawlResults.length > 0 ? (providersWithChanges.length / crawlResults.length) * 100 : 0
             };
 
             console.log(`\n📊 Simple Change Detection Summary:`);
             console.log(`   📝 Providers with changes: ${summary.providersWithChanges}`);
-            console.log(`   ✅ Unchanged providers: ${summary.unchangedProviders}`);
+            console.log(`   ✅ Unchanged providers: ${summary.unchangedProviders} (${summary.relocatedProviders} with relocated PDFs)`);
             console.log(`   ❌ Error providers: ${summary.errorProviders}`);
             console.log(`   📈 Change rate: ${summary.changeRate.toFixed(1)}%`);
 
@@ -384,6 +698,7 @@ class ChangeDetector {
                 summary,
                 providersWithChanges,
                 unchangedProviders,
+                relocatedProviders,
                 errorProviders
             };
         } catch (error) {
@@ -489,9 +804,19 @@ class ChangeDetector {
             
             const storedUrls = await this.loadStoredUrls();
             const storedHashes = await this.loadStoredHashes();
+            const transitions = [];
             
             for (const providerData of providersWithChanges) {
                 const { provider, newUrls } = providerData;
+                const previousUrls = storedUrls[provider];
+                transitions.push({
+                    provider,
+                    oldUrls: previousUrls ? (Array.isArray(previousUrls) ? previousUrls : [previousUrls]) : [],
+                    newUrls,
+                    oldHashes: storedHashes[provider] || {},
+                    newHashes: providerData.hashes || {}
+                });
+
                 // Store as array for multiple PDFs, single value for one PDF
                 if (newUrls.length > 1) {
                     storedUrls[provider] = newUrls;
@@ -506,17 +831,117 @@ class ChangeDetector {
                     storedHashes[provider] = providerData.hashes;
                     console.log(`🔒 Stored content hashes for ${provider} (${Object.keys(providerData.hashes).length} PDFs)`);
                 }
+
+                await this.saveProviderValidators(provider, providerData.validators);
             }
             
             await this.saveUrls(storedUrls);
             await this.saveHashes(storedHashes);
             console.log(`✅ Stored URLs updated for ${providersWithChanges.length} providers`);
+
+            await this.recordLedgerEntries(transitions);
         } catch (error) {
             console.error('❌ Failed to update stored URLs:', error.message);
             throw error;
         }
     }
 
+    /**
+     * Append the state transitions of an update to the change ledger (failures are only logged)
+     * Transitions that change nothing (e.g. the same URLs stored twice in one run) add no entries.
+     * @param {Array} transitions - { provider, oldUrls, newUrls, oldHashes, newHashes }
+     */
+    async recordLedgerEntries(transitions) {
+        try {
+            const archiveIndex = await this.archive.loadIndex();
+            const datasetHistory = new DatasetHistory();
+            const detectedAt = new Date().toISOString();
+            const entries = [];
+
+            for (const transition of transitions) {
+                const providerEntries = this.changeLedger.buildEntries(transition, archiveIndex);
+                if (providerEntries.length === 0) {
+                    continue;
+                }
+                const versions = await datasetHistory.loadIndex(transition.provider);
+                const latestVersion = versions[versions.length - 1];
+                const versionChange = await this.loadVersionChange(datasetHistory, latestVersion);
+
+                providerEntries.forEach(entry => {
+                    const classification = this.classifyEntry(entry, versionChange);
+                    entries.push({
+                        runId: this.runId,
+                        detectedAt,
+                        ...entry,
+                        severity: classification.severity,
+                        urgency: this.changeClassifier.getUrgency(classification.severity),
+                        changeSummary: classification.changeSummary,
+                        datasetVersion: latestVersion ? latestVersion.versionId : null
+                    });
+                });
+            }
+
+            const appended = await this.changeLedger.append(entries);
+            if (appended.length > 0) {
+                console.log(`📒 Recorded ${appended.length} change(s) in the change ledger (run ${this.runId})`);
+            }
+        } catch (error) {
+            console.warn(`⚠️  Failed to record changes in the change ledger: ${error.message}`);
+        }
+    }
+
+    /**
+     * Load what the latest dataset version changed, when it was saved during this run
+     * @param {DatasetHistory} datasetHistory - Dataset history
+     * @param {Object|undefined} latestVersion - Latest version summary of the provider
+     * @returns {Promise<Object|null>} { previous, current, diff, priceChanges }, or null when the run saved no new content
+     */
+    async loadVersionChange(datasetHistory, latestVersion) {
+        if (!latestVersion || latestVersion.savedAt < this.startedAt) {
+            return null;
+        }
+
+        const current = await datasetHistory.loadVersion(latestVersion.provider, latestVersion.versionId);
+        if (!current) {
+            return null;
+        }
+        const previous = latestVersion.previousVersionId
+            ? await datasetHistory.loadVersion(latestVersion.provider, latestVersion.previousVersionId)
+            : null;
+
+        return {
+            previous: previous ? previous.dataset : null,
+            current: current.dataset,
+            diff: new SectionDiffer(datasetHistory).diffDatasets(previous ? previous.dataset : null, current.dataset),
+            priceChanges: latestVersion.priceChanges || []
+        };
+    }
+
+    /**
+     * Classify a ledger entry by the diff of the PDF it refers to (the whole dataset when the PDF is not found)
+     * Relocations and changes whose saved dataset matched the latest version are cosmetic;
+     * changes for which this run saved no dataset at all are unclassified.
+     * @param {Object} entry - Ledger entry
+     * @param {Object|null} versionChange - loadVersionChange result
+     * @returns {Object} { severity, changeSummary }
+     */
+    classifyEntry(entry, versionChange) {
+        if (entry.changeType === 'relocated') {
+            return this.changeClassifier.classify(null);
+        }
+        if (!versionChange) {
+            return new DatasetHistory().getRecordedInRun(entry.provider)
+                ? this.changeClassifier.classify(null)
+                : this.changeClassifier.unclassified();
+        }
+
+        const url = entry.newUrl || entry.oldUrl;
+        const dataset = entry.newUrl ? versionChange.current : versionChange.previous;
+        const record = new DatasetHistory().getPdfRecords(dataset).find(pdf => pdf.pdfUrl === url);
+        const pdfTitle = record ? (record.cennikName || record.pdfType || 'Unknown Document').trim() : null;
+        return this.changeClassifier.classify(versionChange.diff, versionChange.priceChanges, pdfTitle);
+    }
+
     /**
      * Get summary of stored URLs
      * @returns {Promise<Object>} Summary of stored URLs
@@ -0,0 +1,259 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { getChangeLedgerFile, getChangeDigestFile } = require('../core/paths');
+
+// Appends from every ChangeLedger instance in the process are serialized so IDs stay sequential
+let appendQueue = Promise.resolve();
+
+/**
+ * Change Ledger
+ * Append-only record of every detected change in storage/metadata/change-ledger.jsonl,
+ * one JSON entry per line. latest-pdf-urls.json and latest-pdf-hashes.json only keep the
+ * current state; the ledger keeps the transitions.
+ *
+ * Entry IDs are sequential and serve as the cursor for incremental reads: a client stores the
+ * last ID it received and asks for entries after it. Email delivery works the same way:
+ * change-digest.json remembers the last entry mailed in a digest and the last one mailed in an
+ * immediate alert, and a cursor only moves once its email was sent.
+ */
+class ChangeLedger {
+    constructor() {
+        this.ledgerFile = getChangeLedgerFile();
+        this.digestFile = getChangeDigestFile();
+        this.defaultLimit = 100;
+        this.maxLimit = 1000;
+    }
+
+    /**
+     * Read all ledger entries (malformed lines are skipped)
+     * @returns {Promise<Array>} Entries, oldest first
+     */
+    async readEntries() {
+        let content;
+        try {
+            content = await fs.readFile(this.ledgerFile, 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return [];
+            }
+            throw error;
+        }
+
+        const entries = [];
+        content.split('\n').forEach((line, index) => {
+            if (!line.trim()) {
+                return;
+            }
+            try {
+                entries.push(JSON.parse(line));
+            } catch (error) {
+                console.warn(`⚠️  Skipping malformed change ledger line ${index + 1}: ${error.message}`);
+            }
+        });
+        return entries;
+    }
+
+    /**
+     * Append entries, assigning sequential IDs
+     * @param {Array} entries - Entries without id
+     * @returns {Promise<Array>} Appended entries with id
+     */
+    async append(entries) {
+        if (!entries || entries.length === 0) {
+            return [];
+        }
+
+        const run = appendQueue.then(async () => {
+            const existing = await this.readEntries();
+            let lastId = existing.reduce((max, entry) => Math.max(max, entry.id || 0), 0);
+            const appended = entries.map(entry => ({ id: ++lastId, ...entry }));
+
+            await fs.mkdir(path.dirname(this.ledgerFile), { recursive: true });
+            await fs.appendFile(this.ledgerFile, appended.map(entry => JSON.stringify(entry)).join('\n') + '\n');
+            return appended;
+        });
+        appendQueue = run.catch(() => {});
+        return run;
+    }
+
+    /**
+     * Read entries after a cursor
+     * @param {Object} options - { since: last seen entry ID (default 0), limit, providers: provider keys }
+     * @returns {Promise<Object>} { entries, nextCursor, hasMore }
+     */
+    async read(options = {}) {
+        const since = options.since || 0;
+        const limit = Math.min(options.limit || this.defaultLimit, this.maxLimit);
+        const providers = options.providers || null;
+
+        const matching = (await this.readEntries())
+            .filter(entry => entry.id > since)
+            .filter(entry => !providers || providers.includes(entry.provider));
+        const entries = matching.slice(0, limit);
+
+        return {
+            entries,
+            nextCursor: entries.length > 0 ? entries[entries.length - 1].id : since,
+            hasMore: matching.length > entries.length
+        };
+    }
+
+    /**
+     * Read the entries recorded by one detection run
+     * @param {string} runId - Run ID
+     * @returns {Promise<Array>} Entries, oldest first
+     */
+    async readRun(runId) {
+        return (await this.readEntries()).filter(entry => entry.runId === runId);
+    }
+
+    /**
+     * Get the delivery state
+     * @returns {Promise<Object>} { cursor: last entry ID sent in a digest, lastDigestAt,
+     *   alertCursor: last entry ID sent in an immediate alert, lastAlertAt }
+     */
+    async loadDigestState() {
+        const defaults = { cursor: 0, lastDigestAt: null, alertCursor: 0, lastAlertAt: null };
+        try {
+            const content = await fs.readFile(this.digestFile, 'utf8');
+            return { ...defaults, ...JSON.parse(content) };
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.warn(`⚠️  Could not read change digest state: ${error.message}`);
+            }
+            return defaults;
+        }
+    }
+
+    /**
+     * Update the delivery state (temp file + rename)
+     * @param {Object} changes - Fields to replace
+     */
+    async saveDigestState(changes) {
+        const state = { ...(await this.loadDigestState()), ...changes };
+        await fs.mkdir(path.dirname(this.digestFile), { recursive: true });
+        const tempFile = `${this.digestFile}.tmp`;
+        await fs.writeFile(tempFile, JSON.stringify(state, null, 2));
+        await fs.rename(tempFile, this.digestFile);
+    }
+
+    /**
+     * Get the entries waiting for an immediate alert (urgency 'immediate', after the alert cursor),
+     * whichever run recorded them
+     * @returns {Promise<Object>} { entries, cursor: ID of the last pending entry, lastAlertAt }
+     */
+    async getPendingAlerts() {
+        const state = await this.loadDigestState();
+        const entries = (await this.readEntries())
+            .filter(entry => entry.id > state.alertCursor && entry.urgency === 'immediate');
+        return {
+            entries,
+            cursor: entries.length > 0 ? entries[entries.length - 1].id : state.alertCursor,
+            lastAlertAt: state.lastAlertAt
+        };
+    }
+
+    /**
+     * Record that an alert covering immediate entries up to a cursor was sent
+     * @param {number} cursor - ID of the last entry in the alert
+     */
+    async markAlertsSent(cursor) {
+        await this.saveDigestState({ alertCursor: cursor, lastAlertAt: new Date().toISOString() });
+    }
+
+    /**
+     * Get the entries waiting for the next digest (urgency 'digest', after the digest cursor)
+     * @returns {Promise<Object>} { entries, cursor: ID of the last pending entry, lastDigestAt }
+     */
+    async getPendingDigest() {
+        const state = await this.loadDigestState();
+        const entries = (await this.readEntries())
+            .filter(entry => entry.id > state.cursor && entry.urgency === 'digest');
+        return {
+            entries,
+            cursor: entries.length > 0 ? entries[entries.length - 1].id : state.cursor,
+            lastDigestAt: state.lastDigestAt
+        };
+    }
+
+    /**
+     * Record that a digest covering entries up to a cursor was sent
+     * @param {number} cursor - ID of the last entry in the digest
+     */
+    async markDigestSent(cursor) {
+        await this.saveDigestState({ cursor, lastDigestAt: new Date().toISOString() });
+    }
+
+    /**
+     * Build ledger entries from a provider's stored state before and after an update
+     * URLs that appear or disappear are 'added' / 'removed' (a single PDF replaced by another is 'updated');
+     * a new URL serving the same bytes as a removed one is 'relocated', and a URL kept with a different
+     * content hash is 'content_changed'.
+     * @param {Object} change - { provider, oldUrls, newUrls, oldHashes, newHashes } (hashes: url -> MD5)
+     * @param {Object} archiveIndex - PDF archive index, used to report SHA-256 hashes of the files
+     * @returns {Array} Entries without id, runId, detectedAt, severity and datasetVersion
+     */
+    buildEntries(change, archiveIndex = { urls: {}, files: {} }) {
+        const { provider, oldUrls, newUrls } = change;
+        const oldHashes = change.oldHashes || {};
+        const newHashes = change.newHashes || {};
+
+        // SHA-256 of the archived file a URL served; with an MD5 the matching archived version is picked
+        const archivedHash = (url, md5) => {
+            const entry = url ? archiveIndex.urls[url] : null;
+            if (!entry) {
+                return null;
+            }
+            if (md5) {
+                const version = (entry.versions || []).find(v => archiveIndex.files[v.sha256]?.md5 === md5);
+                return version ? version.sha256 : null;
+            }
+            return entry.latest || null;
+        };
+        const describe = (changeType, oldUrl, newUrl) => ({
+            provider,
+            changeType,
+            oldUrl,
+            newUrl,
+            oldHash: archivedHash(oldUrl, oldHashes[oldUrl]),
+            newHash: archivedHash(newUrl, newHashes[newUrl])
+        });
+
+        let added = newUrls.filter(url => !oldUrls.includes(url));
+        let removed = oldUrls.filter(url => !newUrls.includes(url));
+        const entries = [];
+
+        // Same MD5 (when both are stored) or same archived file means the PDF only moved
+        const sameContent = (oldUrl, newUrl) => {
+            if (oldHashes[oldUrl] && newHashes[newUrl]) {
+                return oldHashes[oldUrl] === newHashes[newUrl];
+            }
+            const oldArchived = archivedHash(oldUrl, oldHashes[oldUrl]);
+            return !!oldArchived && oldArchived === archivedHash(newUrl, newHashes[newUrl]);
+        };
+        added.forEach(newUrl => {
+            const oldUrl = removed.find(url => sameContent(url, newUrl));
+            if (oldUrl) {
+                entries.push(describe('relocated', oldUrl, newUrl));
+                removed = removed.filter(url => url !== oldUrl);
+            }
+        });
+        added = added.filter(url => !entries.some(entry => entry.newUrl === url));
+
+        if (added.length === 1 && removed.length === 1 && oldUrls.length === 1 && newUrls.length === 1) {
+            entries.push(describe('updated', removed[0], added[0]));
+        } else {
+            added.forEach(url => entries.push(describe('added', null, url)));
+            removed.forEach(url => entries.push(describe('removed', url, null)));
+        }
+
+        newUrls
+            .filter(url => oldUrls.includes(url))
+            .filter(url => newHashes[url] && oldHashes[url] && newHashes[url] !== oldHashes[url])
+            .forEach(url => entries.push(describe('content_changed', url, url)));
+
+        return entries;
+    }
+}
+
+module.exports = ChangeLedger;
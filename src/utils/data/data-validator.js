@@ -4,6 +4,8 @@
  */
 
 const VALIDATION_CONSTANTS = require('../core/validation-constants');
+const { parsePrice, parseQuantity } = require('./value-normalizer');
+const ProviderRegistry = require('../../providers/provider-registry');
 
 class DataValidator {
     constructor() {
@@ -14,7 +16,7 @@ class DataValidator {
     /**
      * Validate extracted PDF data
      * @param {Object} data - Extracted data to validate
-     * @param {string} provider - Provider name (o2, telekom, orange)
+     * @param {string} provider - Provider key or alias (see ProviderRegistry)
      * @returns {Object} Validation result with errors and warnings
      */
     validateExtractedData(data, provider) {
@@ -25,42 +27,15 @@ class DataValidator {
 
         this.validateBasicStructure(data, provider);
 
-        switch (provider.toLowerCase()) {
-            case 'o2':
-                this.validateO2Data(data);
-                break;
-            case 'telekom':
-                this.validateTelekomData(data);
-                break;
-            case 'orange':
-                this.validateOrangeData(data);
-                break;
-            case 'juro':
-                // Juro uses euro-symbol-based extraction, similar to Orange
-                this.validateOrangeData(data);
-                break;
-            case 'funfon':
-                // Funfon uses ToC-based extraction with its own sections
-                this.validateFunfonData(data);
-                break;
-            case 'fourka':
-            case '4ka':
-                this.validateFourkaData(data);
-                break;
-            case 'tesco':
-                this.validateTescoData(data);
-                break;
-            case 'okayfon':
-                this.validateOkayfonData(data);
-                break;
-            case 'rad':
-                this.validateRadData(data);
-                break;
-            default:
-                console.warn(`⚠️  Unknown provider: ${provider}, skipping provider-specific validation`);
+        const providerEntry = new ProviderRegistry().get(provider);
+        if (providerEntry && providerEntry.validation) {
+            this.validateProviderRules(data, providerEntry);
+        } else {
+            console.warn(`⚠️  Unknown provider: ${provider}, skipping provider-specific validation`);
         }
 
         this.validateSummary(data);
+        this.validateStructuredPlans(data);
 
         const result = {
             isValid: this.validationErrors.length === 0,
@@ -295,164 +270,54 @@ class DataValidator {
     }
 
     /**
-     * Validate O2-specific data
-     * @param {Object} data - O2 data to validate
-     */
-    validateO2Data(data) {
-        if (!data.data || !data.data.sections) return;
-
-        const sections = data.data.sections;
-        const expectedSections = [
-            'programs.volnost',
-            'programs.pausal', 
-            'internetServices.vzduchom',
-            'internetServices.optikou',
-            'tvServices',
-            'programs.fer',
-            'dátovka',
-            'internationalCalls',
-            'roaming',
-            'payments'
-        ];
-
-        this.validateExpectedSections(sections, expectedSections, 'O2');
-    }
-
-    /**
-     * Validate Telekom-specific data
-     * @param {Object} data - Telekom data to validate
-     */
-    validateTelekomData(data) {
-        if (!data.data || !data.data.sections) return;
-
-        const sections = data.data.sections;
-        const expectedSections = [
-            'plans.telekom',
-            'internet.mobilny',
-            'internet.magio',
-            'plans.predplatenka',
-            'services.doplnkove',
-            'services.roaming'
-        ];
-
-        this.validateExpectedSections(sections, expectedSections, 'Telekom');
-    }
-
-    /**
-     * Validate Funfon-specific data
-     * @param {Object} data - Funfon data to validate
+     * Apply a provider's validation rules (the "validation" export of its provider module)
+     * - expectedSections: section keys that should be present
+     * - expectedSectionsFromConfig: also expect the sections configured for the provider in scraper-config.json
+     * - fullContent: extraction into a single fullContent section, checked for a sane length
+     * - contentSections: at least one of these sections (or any rich section) should have content
+     * - contentLengths: [{ section, name, minLength }] minimum length of specific sections
+     * @param {Object} data - Data to validate
+     * @param {Object} provider - Provider registry entry
      */
-    validateFunfonData(data) {
+    validateProviderRules(data, provider) {
         if (!data.data || !data.data.sections) return;
 
         const sections = data.data.sections;
-        const { loadConfig } = require('../core/config-loader');
-        const config = loadConfig();
-        const funfonSections = config.providers?.funfon?.sections || {};
-        const expectedSections = Object.keys(funfonSections);
-
-        this.validateExpectedSections(sections, expectedSections, 'Funfon');
-    }
+        const rules = provider.validation;
+        const label = provider.label;
 
-    /**
-     * Validate Orange-specific data
-     * @param {Object} data - Orange data to validate
-     */
-    validateOrangeData(data) {
-        if (!data.data || !data.data.sections) return;
-
-        const sections = data.data.sections;
+        if (rules.fullContent) {
+            if (!sections.fullContent) {
+                this.validationWarnings.push(`Missing ${label} fullContent section`);
+                return;
+            }
 
-        // Orange uses fullContent instead of specific sections
-        if (!sections.fullContent) {
-            this.validationWarnings.push('Missing Orange fullContent section');
-            return;
+            const contentLength = sections.fullContent.length;
+            if (contentLength < VALIDATION_CONSTANTS.CONTENT_LENGTH.MIN_STANDARD) {
+                this.validationWarnings.push(`${label} content seems too short: ${contentLength} characters`);
+            }
+            if (contentLength > VALIDATION_CONSTANTS.CONTENT_LENGTH.MAX_CONTENT) {
+                this.validationWarnings.push(`${label} content seems too long: ${contentLength} characters`);
+            }
         }
 
-        const contentLength = sections.fullContent.length;
-        if (contentLength < VALIDATION_CONSTANTS.CONTENT_LENGTH.MIN_STANDARD) {
-            this.validationWarnings.push(`Orange content seems too short: ${contentLength} characters`);
+        const expectedSections = [...(rules.expectedSections || [])];
+        if (rules.expectedSectionsFromConfig) {
+            const { loadConfig } = require('../core/config-loader');
+            const configuredSections = loadConfig().providers?.[provider.key]?.sections || {};
+            expectedSections.push(...Object.keys(configuredSections));
         }
-        if (contentLength > VALIDATION_CONSTANTS.CONTENT_LENGTH.MAX_CONTENT) {
-            this.validationWarnings.push(`Orange content seems too long: ${contentLength} characters`);
+        if (expectedSections.length > 0) {
+            this.validateExpectedSections(sections, expectedSections, label);
         }
-    }
-
-    /**
-     * Validate Fourka-specific data
-     * @param {Object} data - Fourka data to validate
-     */
-    validateFourkaData(data) {
-        if (!data.data || !data.data.sections) return;
-
-        const sections = data.data.sections;
-        
-        // Fourka uses mixed extraction method, check for expected content
-        const expectedContentTypes = ['fullContent', 'mobilnych_sluzieb', 'premiovych_cisel'];
-        this.validateContentSections(sections, expectedContentTypes, 'Fourka');
-
-        // Check for specific section content lengths
-        this.validateContentLength(sections.mobilnych_sluzieb, 'Fourka mobile services');
-        this.validateContentLength(
-            sections.premiovych_cisel, 
-            'Fourka premium numbers', 
-            VALIDATION_CONSTANTS.CONTENT_LENGTH.MIN_SHORT
-        );
-    }
 
-    /**
-     * Validate Tesco-specific data
-     * @param {Object} data - Tesco data to validate
-     */
-    validateTescoData(data) {
-        if (!data.data || !data.data.sections) return;
-
-        const sections = data.data.sections;
-        
-        // Tesco uses euro-symbol-based extraction, check for expected content
-        const expectedContentTypes = ['fullContent', 'topka', 'trio'];
-        this.validateContentSections(sections, expectedContentTypes, 'Tesco');
-
-        // Check for specific section content lengths
-        this.validateContentLength(sections.topka, 'Tesco Topka');
-        this.validateContentLength(sections.trio, 'Tesco Trio');
-    }
-
-    /**
-     * Validate Okayfon-specific data
-     * @param {Object} data - Okayfon data to validate
-     */
-    validateOkayfonData(data) {
-        if (!data.data || !data.data.sections) return;
-
-        const sections = data.data.sections;
-        
-        // Okayfon uses euro-symbol-based extraction, check for expected content
-        const expectedContentTypes = ['fullContent', 'datovych_balikov'];
-        this.validateContentSections(sections, expectedContentTypes, 'Okayfon');
-
-        // Check for data packages content
-        this.validateContentLength(sections.datovych_balikov, 'Okayfon data packages');
-    }
-
-    /**
-     * Validate RAD-specific data
-     * @param {Object} data - RAD data to validate
-     */
-    validateRadData(data) {
-        if (!data.data || !data.data.sections) return;
+        if (rules.contentSections) {
+            this.validateContentSections(sections, rules.contentSections, label);
+        }
 
-        const sections = data.data.sections;
-        const expectedSections = [
-            'radost',
-            'datove_sluzby',
-            'doplnkove_sluzby',
-            'ostatne_volania',
-            'roaming',
-            'sluzby_zabavy'
-        ];
-
-        this.validateExpectedSections(sections, expectedSections, 'RAD');
+        (rules.contentLengths || []).forEach(rule => {
+            this.validateContentLength(sections[rule.section], rule.name, rule.minLength);
+        });
     }
 
     /**
@@ -487,6 +352,10 @@ class DataValidator {
             }
         }
 
+        if (summary.totalPrices === 0 && summary.totalCharacters > 0) {
+            this.validationWarnings.push('No euro amounts found in the extracted sections');
+        }
+
         if (summary.successfulExtractions !== undefined && summary.failedExtractions !== undefined) {
             const total = summary.successfulExtractions + summary.failedExtractions;
             if (summary.totalSections !== undefined && total !== summary.totalSections) {
@@ -495,6 +364,49 @@ class DataValidator {
         }
     }
 
+    /**
+     * Validate structured plans parsed from plan tables
+     * Values are re-parsed from their original text so a table layout change that shifts
+     * cells (a price landing in the data row) shows up as a warning
+     * @param {Object} data - Data to validate
+     */
+    validateStructuredPlans(data) {
+        if (!data.data || !data.data.sections) return;
+
+        const { PLANS } = VALIDATION_CONSTANTS;
+
+        Object.entries(data.data.sections).forEach(([sectionKey, section]) => {
+            if (!section || !Array.isArray(section.plans)) return;
+
+            section.plans.forEach(plan => {
+                const planName = `${sectionKey}/${plan.name}`;
+
+                if (!plan.monthlyFee) {
+                    this.validationWarnings.push(`Plan ${planName} has no monthly fee`);
+                } else {
+                    const fee = parsePrice(plan.monthlyFee.text);
+                    if (!fee || fee.amount !== plan.monthlyFee.amount) {
+                        this.validationWarnings.push(`Plan ${planName} monthly fee does not match its text: "${plan.monthlyFee.text}"`);
+                    } else if (fee.amount <= 0 || fee.amount > PLANS.MAX_MONTHLY_FEE) {
+                        this.validationWarnings.push(`Plan ${planName} monthly fee seems implausible: ${fee.amount} €`);
+                    }
+                }
+
+                ['data', 'minutes', 'sms'].forEach(field => {
+                    const allowance = plan[field];
+                    if (!allowance) return;
+
+                    const parsed = parseQuantity(allowance.text, field);
+                    if (parsePrice(allowance.text)) {
+                        this.validationWarnings.push(`Plan ${planName} ${field} allowance contains a price: "${allowance.text}"`);
+                    } else if (!parsed.unlimited && parsed.value === null) {
+                        this.validationWarnings.push(`Plan ${planName} ${field} allowance could not be parsed: "${allowance.text}"`);
+                    }
+                });
+            });
+        });
+    }
+
     /**
      * Get validation summary for logging
      * @param {Object} validationResult - Result from validateExtractedData
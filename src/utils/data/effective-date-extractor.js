@@ -0,0 +1,310 @@
+const { foldText } = require('./text-folding');
+
+/**
+ * Effective Date Extractor
+ * Finds the date a price list takes effect ("platný od 8.10.2025", "účinný od 1. októbra 2025")
+ * in the PDF text. Link texts and file names only tell when a document was published;
+ * the text itself states when its prices apply.
+ *
+ * Price lists also carry clause-level dates ("0,0234 €/min (platné od 1. 1. 2025)",
+ * "Služba je platná od 7. 12. 2015"), so each date is classified:
+ * - document: in the document head, or in a sentence about the price list itself
+ *   ("Cenník ... nadobúda platnosť a účinnosť od 1. 1. 2025")
+ * - clause: any other occurrence (ignored for effectiveFrom)
+ * The latest document date wins.
+ *
+ * Matching runs on folded text (no diacritics, lowercase), so PDFs whose extraction lost
+ * diacritics ("platny od", "ucinnost od") are handled the same way.
+ */
+
+// "platný/platná/platné od", "platnosť od", "s platnosťou od", "účinný od", "s účinnosťou od", "platí od"
+const KEYWORD_SOURCE = '(?:platn(?:y|a|e|ost|ostou)|ucinn(?:y|a|e|ost|ostou)|plati)\\s+od\\s*:?\\s*';
+
+// Genitive ("1. októbra 2025") and nominative ("október 2025") month names, folded
+const MONTHS = [
+    { pattern: 'januar(?:a)?', month: 1 },
+    { pattern: 'februar(?:a)?', month: 2 },
+    { pattern: 'marc(?:a)?|marec', month: 3 },
+    { pattern: 'april(?:a)?', month: 4 },
+    { pattern: 'maj(?:a)?', month: 5 },
+    { pattern: 'jun(?:a)?', month: 6 },
+    { pattern: 'jul(?:a)?', month: 7 },
+    { pattern: 'august(?:a)?', month: 8 },
+    { pattern: 'septemb(?:er|ra)', month: 9 },
+    { pattern: 'oktob(?:er|ra)', month: 10 },
+    { pattern: 'novemb(?:er|ra)', month: 11 },
+    { pattern: 'decemb(?:er|ra)', month: 12 }
+];
+
+// Dates within this many characters of the start belong to the document head
+const HEAD_LENGTH = 1500;
+
+// The price list speaking about itself: "Cenník ... nadobúda účinnosť od", "Tento cenník je platný od",
+// "Cenník služieb platný od" (the nominative "cenník" just before the keyword, not "k Cenníku")
+const DOCUMENT_CONTEXT = /nadobuda|tento cennik|\bcennik\b[^.]{0,60}$/;
+
+const MONTH_SOURCE = MONTHS.map(entry => entry.pattern).join('|');
+
+const DATE_FORMATS = [
+    // 8.10.2025, 8. 10. 2025, 08/10/2025
+    { source: '(\\d{1,2})\\s?[./]\\s?(\\d{1,2})\\s?[./]\\s?(\\d{4})', parts: ['day', 'month', 'year'] },
+    // 2025-10-08
+    { source: '(\\d{4})-(\\d{1,2})-(\\d{1,2})', parts: ['year', 'month', 'day'] },
+    // 1. októbra 2025
+    { source: `(\\d{1,2})\\.?\\s*(${MONTH_SOURCE})\\s+(\\d{4})`, parts: ['day', 'monthName', 'year'] }
+];
+
+const FILENAME_FORMATS = [
+    { pattern: /(\d{4})[-_](\d{1,2})[-_](\d{1,2})/, parts: ['year', 'month', 'day'] },  // YYYY-MM-DD or YYYY_MM_DD
+    { pattern: /(\d{1,2})[-_](\d{1,2})[-_](\d{4})/, parts: ['day', 'month', 'year'] },  // DD-MM-YYYY or DD_MM_YYYY
+    { pattern: /(\d{4})(\d{2})(\d{2})/, parts: ['year', 'month', 'day'] }               // YYYYMMDD
+];
+
+/**
+ * Resolve a folded month name to its number
+ * @param {string} name - Folded month name ("oktobra")
+ * @returns {number|null} Month (1-12)
+ */
+function monthFromName(name) {
+    const entry = MONTHS.find(month => new RegExp(`^(?:${month.pattern})$`).test(name));
+    return entry ? entry.month : null;
+}
+
+/**
+ * Build an ISO date (YYYY-MM-DD) from parts, rejecting impossible dates
+ * @param {number} year - Year
+ * @param {number} month - Month (1-12)
+ * @param {number} day - Day of month
+ * @returns {string|null} ISO date
+ */
+function toIsoDate(year, month, day) {
+    if (!year || !month || !day || month > 12 || day > 31) {
+        return null;
+    }
+    const date = new Date(Date.UTC(year, month - 1, day));
+    if (date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+        return null;
+    }
+    return date.toISOString().split('T')[0];
+}
+
+/**
+ * Convert regex groups to an ISO date using a format's part order
+ */
+function partsToIsoDate(groups, parts) {
+    const values = {};
+    parts.forEach((part, index) => {
+        values[part] = groups[index];
+    });
+    const month = values.monthName ? monthFromName(values.monthName) : parseInt(values.month, 10);
+    return toIsoDate(parseInt(values.year, 10), month, parseInt(values.day, 10));
+}
+
+/**
+ * Parse a Slovak date at the start of a text ("8.10.2025", "1. októbra 2025", "2025-10-08")
+ * @param {string} text - Text starting with a date
+ * @returns {Object|null} { date, length } with the matched length in folded text
+ */
+function parseDateAt(text) {
+    const folded = foldText(text);
+    for (const format of DATE_FORMATS) {
+        const match = folded.match(new RegExp(`^${format.source}`));
+        if (match) {
+            const date = partsToIsoDate(match.slice(1), format.parts);
+            if (date) {
+                return { date, length: match[0].length };
+            }
+        }
+    }
+    return null;
+}
+
+/**
+ * Parse the first Slovak date found anywhere in a text
+ * @param {string} text - Text containing a date
+ * @returns {string|null} ISO date (YYYY-MM-DD)
+ */
+function parseSlovakDate(text) {
+    const folded = foldText(text);
+    for (const format of DATE_FORMATS) {
+        const match = folded.match(new RegExp(format.source));
+        if (match) {
+            const date = partsToIsoDate(match.slice(1), format.parts);
+            if (date) {
+                return date;
+            }
+        }
+    }
+    return null;
+}
+
+/**
+ * Classify a date occurrence as document-level or clause-level
+ * @param {string} folded - Folded PDF text
+ * @param {number} index - Position of the keyword
+ * @returns {string} 'document' or 'clause'
+ */
+function classifyScope(folded, index) {
+    if (index < HEAD_LENGTH) {
+        return 'document';
+    }
+    const before = folded.slice(Math.max(0, index - 150), index);
+    const sentence = before.split(/[.!?]\s+(?=\D)/).pop();
+    return DOCUMENT_CONTEXT.test(sentence) ? 'document' : 'clause';
+}
+
+/**
+ * Find all "platný od" / "účinný od" dates in a text
+ * @param {string} text - PDF text
+ * @returns {Array} Candidates in text order { date, index, scope, phrase }
+ */
+function findEffectiveDates(text) {
+    if (!text) {
+        return [];
+    }
+
+    // foldText keeps one character per character for Slovak text (NFD marks are stripped), so
+    // indexes in the folded text match the original text
+    const folded = foldText(text);
+    const aligned = folded.length === text.length;
+    const candidates = [];
+
+    for (const match of folded.matchAll(new RegExp(`\\b${KEYWORD_SOURCE}`, 'g'))) {
+        const start = match.index + match[0].length;
+        const parsed = parseDateAt(folded.slice(start, start + 40));
+        if (!parsed) {
+            continue;
+        }
+        const end = start + parsed.length;
+        candidates.push({
+            date: parsed.date,
+            index: match.index,
+            scope: classifyScope(folded, match.index),
+            phrase: (aligned ? text.slice(match.index, end) : folded.slice(match.index, end)).replace(/\s+/g, ' ').trim()
+        });
+    }
+
+    return candidates;
+}
+
+/**
+ * Extract the date a price list takes effect
+ * @param {string} text - PDF text
+ * @returns {Object|null} { date, phrase, candidates } or null when the text states no document date
+ */
+function extractEffectiveDate(text) {
+    const candidates = findEffectiveDates(text);
+    const documentDates = candidates.filter(candidate => candidate.scope === 'document');
+    if (documentDates.length === 0) {
+        return null;
+    }
+
+    const latest = documentDates.reduce((best, candidate) => (candidate.date > best.date ? candidate : best));
+    return {
+        date: latest.date,
+        phrase: latest.phrase,
+        candidates: candidates.length
+    };
+}
+
+/**
+ * Extract a date from a PDF file name ("cennik-sluzieb-2025-10-08.pdf")
+ * @param {string} filename - File name or URL path segment
+ * @returns {string|null} ISO date (YYYY-MM-DD)
+ */
+function extractDateFromFilename(filename) {
+    if (!filename) {
+        return null;
+    }
+    for (const format of FILENAME_FORMATS) {
+        const match = filename.match(format.pattern);
+        if (match) {
+            const date = partsToIsoDate(match.slice(1), format.parts);
+            if (date) {
+                return date;
+            }
+        }
+    }
+    return null;
+}
+
+/**
+ * Get the text of a PDF record (rawText, or its sections joined)
+ */
+function getPdfText(pdf) {
+    if (pdf.rawText && pdf.rawText.trim().length > 0) {
+        return pdf.rawText;
+    }
+    const sections = pdf.data?.sections || {};
+    return Object.values(sections)
+        .map(section => (typeof section === 'string' ? section : section?.rawText || ''))
+        .join('\n\n');
+}
+
+/**
+ * Set effectiveFrom on a PDF record: the "platný od" date scrapers found in the full PDF text
+ * (data.effectiveDate, or effectiveDate on records with root-level summaries), else a date in
+ * the PDF file name. Records saved before scrapers scanned the full text are scanned here, from
+ * their rawText or joined sections.
+ * effectiveFromSource records where it came from ('text' or 'filename')
+ * Records without any text keep their previous value
+ * @param {Object} pdf - PDF record ({ cennikName, pdfUrl, rawText, data })
+ * @returns {Object} The same record
+ */
+function annotatePdf(pdf) {
+    if (!pdf || typeof pdf !== 'object') {
+        return pdf;
+    }
+
+    let fromText = pdf.data?.effectiveDate !== undefined ? pdf.data.effectiveDate : pdf.effectiveDate;
+    if (fromText === undefined) {
+        const text = getPdfText(pdf);
+        if (!text.trim()) {
+            if (pdf.effectiveFrom === undefined) {
+                pdf.effectiveFrom = null;
+                pdf.effectiveFromSource = null;
+            }
+            return pdf;
+        }
+        fromText = extractEffectiveDate(text);
+    }
+
+    if (fromText) {
+        pdf.effectiveFrom = fromText.date;
+        pdf.effectiveFromSource = 'text';
+        return pdf;
+    }
+
+    const url = (pdf.metadata?.originalUrl || pdf.pdfUrl || '').replace(/^LOCAL:\s*/, '');
+    const filename = url.split('?')[0].split(/[\\/]/).pop();
+    const fromFilename = extractDateFromFilename(filename);
+    pdf.effectiveFrom = fromFilename;
+    pdf.effectiveFromSource = fromFilename ? 'filename' : null;
+    return pdf;
+}
+
+/**
+ * Set effectiveFrom on every PDF record of a dataset (consolidated { pdfs } or a single PDF record)
+ * @param {Object} dataset - Dataset about to be saved
+ * @returns {Object} The same dataset
+ */
+function annotateEffectiveDates(dataset) {
+    if (!dataset || typeof dataset !== 'object') {
+        return dataset;
+    }
+    if (Array.isArray(dataset.pdfs)) {
+        dataset.pdfs.forEach(annotatePdf);
+    } else if (dataset.cennikName || dataset.rawText) {
+        annotatePdf(dataset);
+    }
+    return dataset;
+}
+
+module.exports = {
+    parseSlovakDate,
+    findEffectiveDates,
+    extractEffectiveDate,
+    extractDateFromFilename,
+    annotatePdf,
+    annotateEffectiveDates
+};
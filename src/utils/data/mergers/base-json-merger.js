@@ -1,5 +1,7 @@
 const fs = require('fs').promises;
 const path = require('path');
+const DatasetHistory = require('../../../storage/dataset-history');
+const { annotateEffectiveDates } = require('../effective-date-extractor');
 
 /**
  * Base JSON Merger
@@ -166,6 +168,7 @@ class BaseJsonMerger {
             // Ensure directory exists
             await fs.mkdir(this.storageDir, { recursive: true });
             
+            annotateEffectiveDates(mergedData);
             await fs.writeFile(filePath, JSON.stringify(mergedData, null, '\t'));
             
             console.log(`💾 Merged data saved to: ${fileName}`);
@@ -173,10 +176,18 @@ class BaseJsonMerger {
             // Allow subclasses to add additional save operations (e.g., debug files)
             await this.afterSave(mergedData, filePath);
             
+            let version = null;
+            try {
+                version = await new DatasetHistory().recordVersion(this.providerName, mergedData, { source: 'json-merger' });
+            } catch (historyError) {
+                console.warn(`⚠️  Failed to record dataset version for ${this.providerName}: ${historyError.message}`);
+            }
+            
             return {
                 filePath: fileName,
                 fullPath: filePath,
                 provider: this.providerName,
+                versionId: version ? version.versionId : null,
                 totalPdfs: mergedData.totalPdfs,
                 successfulPdfs: mergedData.successfulPdfs,
                 failedPdfs: mergedData.failedPdfs
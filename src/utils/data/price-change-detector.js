@@ -0,0 +1,234 @@
+const SectionDiffer = require('./section-differ');
+const { findPrices } = require('./value-normalizer');
+
+/**
+ * Price Change Detector
+ * Takes the euro amounts ("10,90 €", "5 €", "0,05 €/min") stored with each section and aligns
+ * them between two extractions of the same section.
+ *
+ * Alignment masks every amount with a placeholder and diffs the masked passages:
+ * when the surrounding text is identical, only the numbers moved, so amounts are paired
+ * by position. Changed passages are paired positionally only when they hold the same
+ * number of amounts; anything else is left to the text diff.
+ */
+class PriceChangeDetector {
+    constructor(sectionDiffer = null) {
+        this.sectionDiffer = sectionDiffer || new SectionDiffer();
+        this.placeholder = '¤';
+        this.maxLabelLength = 80;
+        this.shortLabelLength = 25;
+    }
+
+    /**
+     * Replace euro amounts with placeholders and collect them in order
+     * @param {string} text - Section text
+     * @param {Array|null} sectionPrices - Prices stored with the section; found in the text when
+     *   missing or when their positions do not match the text
+     * @returns {Object} { masked, prices: [{ amount, unit, text }] }
+     */
+    maskPrices(text, sectionPrices = null) {
+        const source = text || '';
+        const prices = [];
+        let masked = '';
+        let position = 0;
+
+        const stored = Array.isArray(sectionPrices)
+            && sectionPrices.every(price => source.substr(price.index, price.length) === price.match);
+        (stored ? sectionPrices : findPrices(source)).forEach(price => {
+            masked += source.slice(position, price.index) + this.placeholder;
+            position = price.index + price.length;
+            prices.push({ amount: price.amount, unit: price.unit, text: price.text });
+        });
+
+        return { masked: masked + source.slice(position), prices };
+    }
+
+    /**
+     * Split masked text into passages and assign each passage its amounts
+     * @param {string} text - Section text
+     * @param {Array|null} sectionPrices - Prices stored with the section
+     * @returns {Array} Passages { text, prices }
+     */
+    buildPricedPassages(text, sectionPrices = null) {
+        const { masked, prices } = this.maskPrices(text, sectionPrices);
+        let priceIndex = 0;
+
+        return this.sectionDiffer.splitPassages(masked).map(passage => {
+            const count = passage.split(this.placeholder).length - 1;
+            const passagePrices = prices.slice(priceIndex, priceIndex + count);
+            priceIndex += count;
+            return { text: passage, prices: passagePrices };
+        });
+    }
+
+    /**
+     * Describe what an amount belongs to: text before it in the passage, prefixed by the
+     * preceding heading passage when short ("Mini paušál" + "mesačný poplatok"), or the
+     * nearest preceding passage with text (row label in tables)
+     * @param {Array} passages - Priced passages
+     * @param {number} passageIndex - Passage holding the amount
+     * @param {number} priceIndex - Position of the amount within the passage
+     * @returns {string|null} Label
+     */
+    getLabel(passages, passageIndex, priceIndex) {
+        const stripPlaceholders = text => text.split(this.placeholder).join(' ').replace(/\s+/g, ' ').trim();
+        const parts = passages[passageIndex].text.split(this.placeholder);
+        let label = stripPlaceholders(parts.slice(0, priceIndex + 1).join(' '));
+
+        const previous = passageIndex > 0 ? passages[passageIndex - 1].text : null;
+        if (label && label.length < this.shortLabelLength && previous && !previous.includes(this.placeholder) && !/[.!?]$/.test(previous)) {
+            label = `${previous} ${label}`;
+        }
+
+        for (let i = passageIndex - 1; !label && i >= 0 && i >= passageIndex - 3; i--) {
+            label = stripPlaceholders(passages[i].text);
+        }
+
+        if (!label) {
+            return null;
+        }
+        if (label.length > this.maxLabelLength) {
+            const cut = label.slice(-this.maxLabelLength);
+            label = cut.slice(cut.indexOf(' ') + 1);
+        }
+        return label;
+    }
+
+    /**
+     * Build a change record for an aligned pair of amounts
+     */
+    buildChange(before, after, label, alignment) {
+        const difference = Math.round((after.amount - before.amount) * 100) / 100;
+        const percentChange = before.amount !== 0
+            ? Math.round((difference / before.amount) * 1000) / 10
+            : null;
+
+        return {
+            label: label,
+            before: { amount: before.amount, text: before.text },
+            after: { amount: after.amount, text: after.text },
+            unit: after.unit,
+            difference: difference,
+            percentChange: percentChange,
+            direction: difference > 0 ? 'increase' : 'decrease',
+            alignment: alignment,
+            description: `${label ? `${label} ` : ''}${before.text} → ${after.text}`
+        };
+    }
+
+    /**
+     * Detect price changes between two versions of one section
+     * @param {string} beforeText - Old section text
+     * @param {string} afterText - New section text
+     * @param {Array|null} beforePrices - Prices stored with the old section
+     * @param {Array|null} afterPrices - Prices stored with the new section
+     * @returns {Array} Price changes
+     */
+    detectSectionChanges(beforeText, afterText, beforePrices = null, afterPrices = null) {
+        const beforePassages = this.buildPricedPassages(beforeText, beforePrices);
+        const afterPassages = this.buildPricedPassages(afterText, afterPrices);
+        const operations = this.sectionDiffer.diffPassages(
+            beforePassages.map(passage => passage.text),
+            afterPassages.map(passage => passage.text)
+        );
+
+        const changes = [];
+        let removed = [];
+        let added = [];
+
+        const comparePair = (beforePrices, afterPrices, afterIndexes, alignment) => {
+            beforePrices.forEach((before, k) => {
+                const after = afterPrices[k];
+                if (before.amount !== after.amount) {
+                    const [passageIndex, priceIndex] = afterIndexes[k];
+                    changes.push(this.buildChange(before, after, this.getLabel(afterPassages, passageIndex, priceIndex), alignment));
+                }
+            });
+        };
+
+        const flushHunk = () => {
+            const beforePrices = removed.flatMap(index => beforePassages[index].prices);
+            const afterIndexes = added.flatMap(index => afterPassages[index].prices.map((_, k) => [index, k]));
+            const afterPrices = afterIndexes.map(([index, k]) => afterPassages[index].prices[k]);
+
+            if (beforePrices.length > 0 && beforePrices.length === afterPrices.length) {
+                comparePair(beforePrices, afterPrices, afterIndexes, 'positional');
+            }
+            removed = [];
+            added = [];
+        };
+
+        operations.forEach(operation => {
+            if (operation.type === 'equal') {
+                flushHunk();
+                const afterIndexes = afterPassages[operation.afterIndex].prices.map((_, k) => [operation.afterIndex, k]);
+                comparePair(beforePassages[operation.beforeIndex].prices, afterPassages[operation.afterIndex].prices, afterIndexes, 'context');
+            } else if (operation.type === 'removed') {
+                removed.push(operation.beforeIndex);
+            } else {
+                added.push(operation.afterIndex);
+            }
+        });
+        flushHunk();
+
+        return changes;
+    }
+
+    /**
+     * Detect price changes between two datasets of a provider, section by section
+     * @param {Object} fromDataset - Old dataset
+     * @param {Object} toDataset - New dataset
+     * @returns {Array} Price changes with pdf and section keys
+     */
+    detectChanges(fromDataset, toDataset) {
+        const fromMap = this.sectionDiffer.buildSectionMap(fromDataset);
+        const toMap = this.sectionDiffer.buildSectionMap(toDataset);
+        const changes = [];
+
+        toMap.forEach((toPdf, pdfId) => {
+            const fromPdf = fromMap.get(pdfId);
+            if (!fromPdf) {
+                return;
+            }
+
+            toPdf.sections.forEach((afterText, sectionKey) => {
+                const beforeText = fromPdf.sections.get(sectionKey);
+                if (beforeText === undefined || this.sectionDiffer.normalize(beforeText) === this.sectionDiffer.normalize(afterText)) {
+                    return;
+                }
+
+                this.detectSectionChanges(beforeText, afterText, fromPdf.prices.get(sectionKey), toPdf.prices.get(sectionKey)).forEach(change => {
+                    changes.push({ pdf: toPdf.title, section: sectionKey, ...change });
+                });
+            });
+        });
+
+        return changes;
+    }
+
+    /**
+     * Collect price changes recorded with dataset versions saved since a point in time
+     * @param {Array<string>} providers - Provider keys
+     * @param {string} sinceIso - ISO timestamp (usually the run start)
+     * @returns {Promise<Array>} Price changes with provider and versionId
+     */
+    async collectRecordedChanges(providers, sinceIso) {
+        const since = new Date(sinceIso).getTime();
+        const collected = [];
+
+        for (const provider of providers) {
+            const versions = await this.sectionDiffer.datasetHistory.loadIndex(provider);
+            versions
+                .filter(version => new Date(version.savedAt).getTime() >= since && Array.isArray(version.priceChanges))
+                .forEach(version => {
+                    version.priceChanges.forEach(change => {
+                        collected.push({ provider, versionId: version.versionId, ...change });
+                    });
+                });
+        }
+
+        return collected;
+    }
+}
+
+module.exports = PriceChangeDetector;
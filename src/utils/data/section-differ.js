@@ -0,0 +1,396 @@
+const DatasetHistory = require('../../storage/dataset-history');
+const { getSectionPrices } = require('./value-normalizer');
+const { getEnrichedField } = require('../pdf/pdf-enricher');
+
+/**
+ * Section Differ
+ * Compares two stored dataset versions section by section (keys from scraper-config.json,
+ * e.g. "programs.volnost", "roaming") and reports added, removed and changed passages.
+ * PDFs without section extraction are compared by their full rawText under the "fullText" key.
+ */
+class SectionDiffer {
+    constructor(datasetHistory = null) {
+        this.datasetHistory = datasetHistory || new DatasetHistory();
+        this.fullTextKey = 'fullText';
+        this.maxLcsCells = 4000000; // Above this the passage diff falls back to set comparison
+        this.contextLength = 120;
+    }
+
+    /**
+     * Normalize whitespace so PDF extraction spacing noise does not count as a change
+     * @param {string} text - Text to normalize
+     * @returns {string} Normalized text
+     */
+    normalize(text) {
+        return (text || '').replace(/\s+/g, ' ').trim();
+    }
+
+    /**
+     * Split section text into passages (table cells and sentences)
+     * @param {string} text - Section raw text
+     * @returns {Array<string>} Normalized passages
+     */
+    splitPassages(text) {
+        if (!text) {
+            return [];
+        }
+        return text
+            .split(/\s{2,}|\n+|(?<=[.!?;])\s+(?=[\p{Lu}\d])/u)
+            .map(passage => this.normalize(passage))
+            .filter(passage => passage.length > 0);
+    }
+
+    /**
+     * Get stable identity of a PDF across versions
+     * @param {Object} pdf - PDF record
+     * @returns {string} Identity key
+     */
+    getPdfIdentity(pdf) {
+        const name = pdf.pdfType || pdf.cennikName;
+        return name ? name.trim().toLowerCase() : (pdf.pdfUrl || 'unknown');
+    }
+
+    /**
+     * Build map of pdfIdentity -> { title, sections: Map(key -> rawText), prices: Map(key -> prices) } for a dataset
+     * Prices are the ones stored with each section (getSectionPrices).
+     * @param {Object} dataset - Stored dataset
+     * @returns {Map} PDF section maps
+     */
+    buildSectionMap(dataset) {
+        const pdfMap = new Map();
+
+        this.datasetHistory.getPdfRecords(dataset).forEach(pdf => {
+            const sections = new Map();
+            const prices = new Map();
+            const storedSections = pdf.data?.sections || pdf.sections || {};
+
+            Object.entries(storedSections).forEach(([key, section]) => {
+                if (section && typeof section === 'object' && typeof section.rawText === 'string') {
+                    sections.set(key, section.rawText);
+                    prices.set(key, getSectionPrices(section));
+                }
+            });
+
+            if (sections.size === 0 && pdf.rawText) {
+                sections.set(this.fullTextKey, pdf.rawText);
+                prices.set(this.fullTextKey, getSectionPrices({ rawText: pdf.rawText, prices: getEnrichedField(pdf, 'prices') }));
+            }
+
+            pdfMap.set(this.getPdfIdentity(pdf), {
+                title: (pdf.cennikName || pdf.pdfType || 'Unknown Document').trim(),
+                pdfUrl: pdf.pdfUrl || null,
+                sections,
+                prices
+            });
+        });
+
+        return pdfMap;
+    }
+
+    /**
+     * Compute passage-level edit operations between two passage lists
+     * Trims common prefix/suffix and runs an LCS on the remainder
+     * @param {Array<string>} before - Old passages
+     * @param {Array<string>} after - New passages
+     * @returns {Array} Operations { type: 'equal'|'removed'|'added', text, beforeIndex, afterIndex }
+     */
+    diffPassages(before, after) {
+        let start = 0;
+        while (start < before.length && start < after.length && before[start] === after[start]) {
+            start++;
+        }
+
+        let endBefore = before.length;
+        let endAfter = after.length;
+        while (endBefore > start && endAfter > start && before[endBefore - 1] === after[endAfter - 1]) {
+            endBefore--;
+            endAfter--;
+        }
+
+        const prefix = before.slice(0, start).map((text, k) => ({ type: 'equal', text, beforeIndex: k, afterIndex: k }));
+        const suffix = before.slice(endBefore).map((text, k) => ({
+            type: 'equal', text, beforeIndex: endBefore + k, afterIndex: endAfter + k
+        }));
+        const oldMiddle = before.slice(start, endBefore);
+        const newMiddle = after.slice(start, endAfter);
+
+        let middle;
+        if ((oldMiddle.length + 1) * (newMiddle.length + 1) > this.maxLcsCells) {
+            middle = this.diffPassageSets(oldMiddle, newMiddle);
+        } else {
+            middle = this.diffPassagesLcs(oldMiddle, newMiddle);
+        }
+        middle.forEach(operation => {
+            if (operation.beforeIndex !== null) operation.beforeIndex += start;
+            if (operation.afterIndex !== null) operation.afterIndex += start;
+        });
+
+        return [...prefix, ...middle, ...suffix];
+    }
+
+    /**
+     * LCS-based diff of two passage lists
+     * @param {Array<string>} a - Old passages
+     * @param {Array<string>} b - New passages
+     * @returns {Array} Operations
+     */
+    diffPassagesLcs(a, b) {
+        const n = a.length;
+        const m = b.length;
+        const width = m + 1;
+        const table = new Uint32Array((n + 1) * width);
+
+        for (let i = n - 1; i >= 0; i--) {
+            for (let j = m - 1; j >= 0; j--) {
+                table[i * width + j] = a[i] === b[j]
+                    ? table[(i + 1) * width + j + 1] + 1
+                    : Math.max(table[(i + 1) * width + j], table[i * width + j + 1]);
+            }
+        }
+
+        const operations = [];
+        let i = 0;
+        let j = 0;
+        while (i < n && j < m) {
+            if (a[i] === b[j]) {
+                operations.push({ type: 'equal', text: a[i], beforeIndex: i, afterIndex: j });
+                i++;
+                j++;
+            } else if (table[(i + 1) * width + j] >= table[i * width + j + 1]) {
+                operations.push({ type: 'removed', text: a[i], beforeIndex: i, afterIndex: null });
+                i++;
+            } else {
+                operations.push({ type: 'added', text: b[j], beforeIndex: null, afterIndex: j });
+                j++;
+            }
+        }
+        for (; i < n; i++) {
+            operations.push({ type: 'removed', text: a[i], beforeIndex: i, afterIndex: null });
+        }
+        for (; j < m; j++) {
+            operations.push({ type: 'added', text: b[j], beforeIndex: null, afterIndex: j });
+        }
+
+        return operations;
+    }
+
+    /**
+     * Order-insensitive fallback for very large sections
+     * @param {Array<string>} a - Old passages
+     * @param {Array<string>} b - New passages
+     * @returns {Array} Operations
+     */
+    diffPassageSets(a, b) {
+        const unmatched = new Map();
+        a.forEach((text, index) => {
+            if (!unmatched.has(text)) {
+                unmatched.set(text, []);
+            }
+            unmatched.get(text).push(index);
+        });
+
+        const operations = [];
+        b.forEach((text, index) => {
+            const candidates = unmatched.get(text);
+            if (candidates && candidates.length > 0) {
+                operations.push({ type: 'equal', text, beforeIndex: candidates.shift(), afterIndex: index });
+            } else {
+                operations.push({ type: 'added', text, beforeIndex: null, afterIndex: index });
+            }
+        });
+        unmatched.forEach((indexes, text) => {
+            indexes.forEach(index => operations.push({ type: 'removed', text, beforeIndex: index, afterIndex: null }));
+        });
+
+        return operations;
+    }
+
+    /**
+     * Group consecutive non-equal operations into added/removed/changed passages
+     * @param {Array} operations - Passage operations
+     * @returns {Array} Changes { type, before, after, context }
+     */
+    groupChanges(operations) {
+        const changes = [];
+        let removed = [];
+        let added = [];
+        let lastEqual = null;
+
+        const flush = () => {
+            if (removed.length === 0 && added.length === 0) {
+                return;
+            }
+            const context = lastEqual ? lastEqual.slice(-this.contextLength) : null;
+            if (removed.length > 0 && added.length > 0) {
+                changes.push({ type: 'changed', before: removed.join(' '), after: added.join(' '), context });
+            } else if (removed.length > 0) {
+                changes.push({ type: 'removed', before: removed.join(' '), after: null, context });
+            } else {
+                changes.push({ type: 'added', before: null, after: added.join(' '), context });
+            }
+            removed = [];
+            added = [];
+        };
+
+        operations.forEach(operation => {
+            if (operation.type === 'equal') {
+                flush();
+                lastEqual = operation.text;
+            } else if (operation.type === 'removed') {
+                removed.push(operation.text);
+            } else {
+                added.push(operation.text);
+            }
+        });
+        flush();
+
+        return changes;
+    }
+
+    /**
+     * Compare a single section's text between two versions
+     * @param {string} beforeText - Old section text
+     * @param {string} afterText - New section text
+     * @returns {Array} Passage changes (empty when only whitespace differs)
+     */
+    diffSectionText(beforeText, afterText) {
+        if (this.normalize(beforeText) === this.normalize(afterText)) {
+            return [];
+        }
+        const operations = this.diffPassages(this.splitPassages(beforeText), this.splitPassages(afterText));
+        return this.groupChanges(operations);
+    }
+
+    /**
+     * Compare two datasets section by section
+     * @param {Object} fromDataset - Old dataset
+     * @param {Object} toDataset - New dataset
+     * @returns {Object} { summary, sections, unchangedSections }
+     */
+    diffDatasets(fromDataset, toDataset) {
+        const fromMap = this.buildSectionMap(fromDataset);
+        const toMap = this.buildSectionMap(toDataset);
+        const pdfIds = [...new Set([...toMap.keys(), ...fromMap.keys()])];
+
+        const sections = [];
+        const unchangedSections = [];
+        const summary = {
+            sectionsAdded: 0,
+            sectionsRemoved: 0,
+            sectionsChanged: 0,
+            sectionsUnchanged: 0,
+            passagesAdded: 0,
+            passagesRemoved: 0,
+            passagesChanged: 0
+        };
+
+        pdfIds.forEach(pdfId => {
+            const fromPdf = fromMap.get(pdfId);
+            const toPdf = toMap.get(pdfId);
+            const pdfTitle = (toPdf || fromPdf).title;
+            const fromSections = fromPdf ? fromPdf.sections : new Map();
+            const toSections = toPdf ? toPdf.sections : new Map();
+            const keys = [...new Set([...toSections.keys(), ...fromSections.keys()])];
+
+            keys.forEach(key => {
+                const beforeText = fromSections.get(key);
+                const afterText = toSections.get(key);
+                const entry = { pdf: pdfTitle, key };
+
+                if (beforeText === undefined) {
+                    summary.sectionsAdded++;
+                    sections.push({ ...entry, status: 'added', changes: [{ type: 'added', before: null, after: this.normalize(afterText), context: null }] });
+                    return;
+                }
+                if (afterText === undefined) {
+                    summary.sectionsRemoved++;
+                    sections.push({ ...entry, status: 'removed', changes: [{ type: 'removed', before: this.normalize(beforeText), after: null, context: null }] });
+                    return;
+                }
+
+                const changes = this.diffSectionText(beforeText, afterText);
+                if (changes.length === 0) {
+                    summary.sectionsUnchanged++;
+                    unchangedSections.push({ pdf: pdfTitle, key });
+                    return;
+                }
+
+                summary.sectionsChanged++;
+                changes.forEach(change => {
+                    if (change.type === 'added') summary.passagesAdded++;
+                    else if (change.type === 'removed') summary.passagesRemoved++;
+                    else summary.passagesChanged++;
+                });
+                sections.push({ ...entry, status: 'changed', changes });
+            });
+        });
+
+        summary.hasChanges = sections.length > 0;
+        return { summary, sections, unchangedSections };
+    }
+
+    /**
+     * Resolve "from" and "to" version IDs; defaults compare the latest version with the one before it
+     * @param {string} provider - Provider name
+     * @param {string} fromId - Old version ID (optional)
+     * @param {string} toId - New version ID or "latest" (optional)
+     * @returns {Promise<Object>} { fromId, toId } (null entries when not resolvable)
+     */
+    async resolveVersionPair(provider, fromId = null, toId = null) {
+        const versions = await this.datasetHistory.loadIndex(provider);
+        const ids = versions.map(version => version.versionId);
+
+        const resolvedTo = !toId || toId === 'latest' ? ids[ids.length - 1] || null : (ids.includes(toId) ? toId : null);
+        let resolvedFrom = null;
+
+        if (fromId && fromId !== 'previous') {
+            resolvedFrom = fromId === 'latest' ? ids[ids.length - 1] || null : (ids.includes(fromId) ? fromId : null);
+        } else if (resolvedTo) {
+            const toIndex = ids.indexOf(resolvedTo);
+            resolvedFrom = toIndex > 0 ? ids[toIndex - 1] : null;
+        }
+
+        return { fromId: resolvedFrom, toId: resolvedTo };
+    }
+
+    /**
+     * Diff two stored versions of a provider dataset
+     * @param {string} provider - Provider name
+     * @param {string} fromId - Old version ID (defaults to the version before "to")
+     * @param {string} toId - New version ID (defaults to latest)
+     * @returns {Promise<Object>} Diff result
+     */
+    async diffVersions(provider, fromId = null, toId = null) {
+        const pair = await this.resolveVersionPair(provider, fromId, toId);
+
+        if (!pair.toId) {
+            throw new Error(`Version not found for ${provider}: ${toId || 'latest'}`);
+        }
+        if (!pair.fromId) {
+            throw new Error(fromId
+                ? `Version not found for ${provider}: ${fromId}`
+                : `No earlier version to compare with ${pair.toId} for ${provider}`);
+        }
+
+        const fromVersion = await this.datasetHistory.loadVersion(provider, pair.fromId);
+        const toVersion = await this.datasetHistory.loadVersion(provider, pair.toId);
+        if (!fromVersion || !toVersion) {
+            throw new Error(`Failed to load versions ${pair.fromId} and ${pair.toId} for ${provider}`);
+        }
+
+        const describe = version => ({
+            versionId: version.version.versionId,
+            crawlDate: version.version.crawlDate,
+            savedAt: version.version.savedAt
+        });
+
+        return {
+            provider,
+            from: describe(fromVersion),
+            to: describe(toVersion),
+            ...this.diffDatasets(fromVersion.dataset, toVersion.dataset)
+        };
+    }
+}
+
+module.exports = SectionDiffer;
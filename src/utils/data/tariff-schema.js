@@ -0,0 +1,148 @@
+const { getConfigBlock } = require('../core/config-loader');
+const { foldText } = require('./text-folding');
+const { toGigabytes } = require('./value-normalizer');
+
+/**
+ * Tariff Schema
+ * Canonical plan shape shared by all providers, built from the structured plans that
+ * tariff extractors store next to section rawText. Prices are normalised to a monthly
+ * amount with VAT and data allowances to GB so plans compare side by side.
+ */
+
+const SCHEMA_VERSION = 1;
+
+const CATEGORIES = {
+    'mobile-plans': 'Mobile plans (paušály)',
+    'mobile-internet': 'Mobile internet',
+    'prepaid': 'Prepaid (predplatenky)'
+};
+
+const DEFAULT_VAT_RATE = 0.23;
+
+/**
+ * Get VAT rate from scraper-config.json ("pricing.vatRate"), falling back to the Slovak standard rate
+ * @returns {number} VAT rate (e.g., 0.23)
+ */
+function getVatRate() {
+    const rate = getConfigBlock('pricing', { vatRate: DEFAULT_VAT_RATE }).vatRate;
+    return typeof rate === 'number' ? rate : DEFAULT_VAT_RATE;
+}
+
+/**
+ * Round an amount to cents
+ */
+function roundPrice(amount) {
+    return Math.round(amount * 100) / 100;
+}
+
+/**
+ * Normalise a stored price object to amounts with and without VAT
+ * @param {Object} price - { amount, vatIncluded } as stored by tariff extractors
+ * @param {number} vatRate - VAT rate
+ * @returns {Object} { withVat, withoutVat } (nulls when the price is missing)
+ */
+function normalizePrice(price, vatRate = getVatRate()) {
+    if (!price || typeof price.amount !== 'number') {
+        return { withVat: null, withoutVat: null };
+    }
+    if (price.vatIncluded === false) {
+        return { withVat: roundPrice(price.amount * (1 + vatRate)), withoutVat: price.amount };
+    }
+    return { withVat: price.amount, withoutVat: roundPrice(price.amount / (1 + vatRate)) };
+}
+
+/**
+ * Normalise a data allowance to GB
+ * @param {Object} allowance - { value, unit, unlimited } as stored by tariff extractors
+ * @returns {Object} { gb, unlimited }
+ */
+function normalizeData(allowance) {
+    if (!allowance) {
+        return { gb: null, unlimited: false };
+    }
+    if (allowance.unlimited) {
+        return { gb: null, unlimited: true };
+    }
+    return {
+        gb: toGigabytes(allowance.value, allowance.unit),
+        unlimited: false
+    };
+}
+
+/**
+ * Normalise a countable allowance (minutes, SMS)
+ * @param {Object} allowance - { value, unlimited }
+ * @returns {Object} { count, unlimited }
+ */
+function normalizeCount(allowance) {
+    if (!allowance) {
+        return { count: null, unlimited: false };
+    }
+    return {
+        count: allowance.unlimited ? null : (typeof allowance.value === 'number' ? allowance.value : null),
+        unlimited: !!allowance.unlimited
+    };
+}
+
+/**
+ * Build a stable plan identifier ("telekom:spojenie")
+ */
+function buildPlanId(provider, name) {
+    const slug = foldText(name || 'plan')
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-|-$/g, '');
+    return `${provider}:${slug}`;
+}
+
+/**
+ * Convert a stored structured plan into the canonical schema
+ * @param {Object} plan - Plan as stored in data.sections.<key>.plans
+ * @param {Object} context - { provider, providerName, pdf, section }
+ * @param {number} vatRate - VAT rate
+ * @returns {Object} Canonical plan
+ */
+function toCanonicalPlan(plan, context, vatRate = getVatRate()) {
+    const price = normalizePrice(plan.monthlyFee, vatRate);
+    const noCommitmentPrice = normalizePrice(plan.monthlyFeeWithoutCommitment, vatRate);
+    const data = normalizeData(plan.data);
+    const minutes = normalizeCount(plan.minutes);
+    const sms = normalizeCount(plan.sms);
+
+    return {
+        schemaVersion: SCHEMA_VERSION,
+        id: buildPlanId(context.provider, plan.name),
+        provider: context.provider,
+        providerName: context.providerName,
+        category: plan.category || null,
+        name: plan.name,
+        currency: 'EUR',
+        monthlyPriceWithVat: price.withVat,
+        monthlyPriceWithoutVat: price.withoutVat,
+        commitmentMonths: plan.commitmentMonths ?? null,
+        monthlyPriceWithVatNoCommitment: noCommitmentPrice.withVat,
+        dataGb: data.gb,
+        dataUnlimited: data.unlimited,
+        minutes: minutes.count,
+        minutesUnlimited: minutes.unlimited,
+        sms: sms.count,
+        smsUnlimited: sms.unlimited,
+        source: {
+            pdf: context.pdf,
+            section: context.section,
+            table: plan.table || null,
+            monthlyFee: plan.monthlyFee ? plan.monthlyFee.text : null,
+            data: plan.data ? plan.data.text : null
+        }
+    };
+}
+
+module.exports = {
+    SCHEMA_VERSION,
+    CATEGORIES,
+    getVatRate,
+    normalizePrice,
+    normalizeData,
+    normalizeCount,
+    buildPlanId,
+    toCanonicalPlan
+};
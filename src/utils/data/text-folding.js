@@ -0,0 +1,63 @@
+/**
+ * Text Folding Utilities
+ * Diacritics- and case-insensitive text comparison for Slovak price list content
+ * ("volnost" matches "Voľnosť", "eu" matches "EÚ")
+ */
+
+const COMBINING_MARKS = /[\u0300-\u036f]/g;
+
+/**
+ * Fold a single string (strip diacritics, lowercase)
+ * @param {string} text - Text to fold
+ * @returns {string} Folded text
+ */
+function foldText(text) {
+    if (!text) {
+        return '';
+    }
+    return text.normalize('NFD').replace(COMBINING_MARKS, '').toLowerCase();
+}
+
+/**
+ * Fold text while keeping a mapping back to the original character offsets
+ * @param {string} text - Text to fold
+ * @returns {Object} { folded, offsets } where offsets[i] is the original index of folded[i]
+ */
+function foldWithOffsets(text) {
+    let folded = '';
+    const offsets = [];
+
+    if (!text) {
+        return { folded, offsets };
+    }
+
+    for (let i = 0; i < text.length; i++) {
+        const foldedChar = foldText(text[i]);
+        for (let j = 0; j < foldedChar.length; j++) {
+            folded += foldedChar[j];
+            offsets.push(i);
+        }
+    }
+
+    return { folded, offsets };
+}
+
+/**
+ * Split a query into folded search terms
+ * @param {string} query - Raw user query
+ * @param {number} minLength - Minimum term length to keep
+ * @returns {Array<string>} Unique folded terms
+ */
+function tokenize(query, minLength = 2) {
+    const terms = foldText(query)
+        .split(/[^\p{L}\p{N}]+/u)
+        .filter(term => term.length >= minLength);
+
+    return [...new Set(terms)];
+}
+
+module.exports = {
+    foldText,
+    foldWithOffsets,
+    tokenize
+};
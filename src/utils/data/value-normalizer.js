@@ -0,0 +1,281 @@
+/**
+ * Value Normalizer
+ * Parses amounts as Slovak price lists write them into typed values:
+ * "10,90 €", "1 000 €", "0,0996 €/min", "5 € bez DPH", "2 GB", "200 minút", "Nekonečné".
+ * Numbers use a decimal comma and space (or no-break space) thousands separators; a dot followed
+ * by exactly three digits ("1.234,5", "1.234 €") also separates thousands, any other dot is decimal.
+ * Every parsed value keeps the original string in `text`.
+ */
+
+const NUMBER_SOURCE = '(?:[1-9]\\d{0,2}(?:\\.\\d{3})+(?!\\d)(?:,\\d+)?|(?:\\d{1,3}(?:[ \\u00a0]\\d{3})+|\\d+)(?:[,.]\\d+)?)';
+// Digits grouped by dots, as matched by the first NUMBER_SOURCE alternative
+const DOT_GROUPED_PATTERN = /^[1-9]\d{0,2}(?:\.\d{3})+(?:,\d+)?$/;
+const PRICE_SOURCE = `(${NUMBER_SOURCE})\\s?(?:€|EUR\\b)`;
+const PER_UNIT_PATTERN = /^\s?\/\s?([\p{L}.]+)/u;
+const QUANTITY_PATTERN = new RegExp(`(${NUMBER_SOURCE})\\s?([\\p{L}]+(?:\\/[\\p{L}]+)?)?`, 'u');
+const UNLIMITED_PATTERN = /nekonečn|neobmedzen|neomezen|bez obmedzenia|∞/i;
+const WITHOUT_VAT_PATTERN = /bez\s+DPH/i;
+const WITH_VAT_PATTERN = /(?:^|[\s(])(?:s|so|vrátane|vr\.|vč\.|vrát\.)\s*DPH/i;
+
+// Look this far past an amount for a VAT marker ("10 € bez DPH")
+const VAT_LOOKAHEAD = 15;
+
+const DATA_UNITS_IN_GB = {
+    KB: 1 / (1024 * 1024),
+    MB: 1 / 1024,
+    GB: 1,
+    TB: 1024
+};
+
+const PER_UNITS = [
+    { pattern: /^min/i, per: 'min' },
+    { pattern: /^(?:sek|s$)/i, per: 's' },
+    { pattern: /^(?:sms|mms)/i, per: 'SMS' },
+    { pattern: /^kb$/i, per: 'KB' },
+    { pattern: /^mb$/i, per: 'MB' },
+    { pattern: /^gb$/i, per: 'GB' },
+    { pattern: /^(?:mes|mesiac)/i, per: 'month' },
+    { pattern: /^(?:deň|den)/i, per: 'day' },
+    { pattern: /^(?:týž|tyz)/i, per: 'week' },
+    { pattern: /^rok/i, per: 'year' }
+];
+
+/**
+ * Convert a matched Slovak number to a JS number ("1 000,50" -> 1000.5, "1.234,5" -> 1234.5)
+ * @param {string} text - Digits with optional group spaces or dots and decimal comma or dot
+ * @returns {number} Number
+ */
+function toNumber(text) {
+    const digits = text.replace(/[ \u00a0]/g, '');
+    const ungrouped = DOT_GROUPED_PATTERN.test(digits) ? digits.replace(/\./g, '') : digits;
+    return parseFloat(ungrouped.replace(',', '.'));
+}
+
+/**
+ * Parse the first number in a string ("10,90" -> 10.9, "1 000" -> 1000)
+ * @param {string} text - Text containing a number
+ * @returns {number|null} Number or null when none found
+ */
+function parseNumber(text) {
+    if (text === null || text === undefined) {
+        return null;
+    }
+    const match = String(text).match(new RegExp(NUMBER_SOURCE));
+    return match ? toNumber(match[0]) : null;
+}
+
+/**
+ * Detect a VAT marker in text
+ * @param {string} text - Text around an amount
+ * @returns {boolean|null} false for "bez DPH", true for "s DPH"/"vrátane DPH", null when not stated
+ */
+function detectVat(text) {
+    if (!text) {
+        return null;
+    }
+    if (WITHOUT_VAT_PATTERN.test(text)) {
+        return false;
+    }
+    if (WITH_VAT_PATTERN.test(text)) {
+        return true;
+    }
+    return null;
+}
+
+/**
+ * Map a per-unit suffix ("min", "MB", "mesiac") to its canonical name
+ * @param {string} suffix - Text after "€/"
+ * @returns {string} Canonical unit (unknown suffixes are returned as written)
+ */
+function normalizePerUnit(suffix) {
+    const known = PER_UNITS.find(entry => entry.pattern.test(suffix));
+    return known ? known.per : suffix;
+}
+
+/**
+ * Build a price value from a price match
+ * @param {string} number - Matched number text
+ * @param {string} following - Text after the match (per-unit suffix, VAT marker)
+ * @param {string} text - Original string kept on the value
+ * @param {boolean|null} defaultVat - VAT flag when the text does not state it
+ */
+function buildPrice(number, following, text, defaultVat) {
+    const perMatch = following.match(PER_UNIT_PATTERN);
+    const per = perMatch ? normalizePerUnit(perMatch[1]) : null;
+    const vatIncluded = detectVat(following.slice(0, (perMatch ? perMatch[0].length : 0) + VAT_LOOKAHEAD));
+
+    return {
+        type: 'price',
+        amount: toNumber(number),
+        currency: 'EUR',
+        unit: per ? `€/${per}` : '€',
+        per: per,
+        vatIncluded: vatIncluded !== null ? vatIncluded : defaultVat,
+        text: text
+    };
+}
+
+/**
+ * Parse the first euro amount in a string
+ * @param {string} text - Value text ("16,4 €", "0,0996 €/min", "5 € bez DPH")
+ * @param {Object} options - { vatIncluded } used when the text has no VAT marker (default null)
+ * @returns {Object|null} { type: 'price', amount, currency, unit, per, vatIncluded, text } or null
+ */
+function parsePrice(text, options = {}) {
+    if (!text) {
+        return null;
+    }
+    const source = String(text);
+    const match = source.match(new RegExp(PRICE_SOURCE, 'u'));
+    if (!match) {
+        return null;
+    }
+    const defaultVat = options.vatIncluded !== undefined ? options.vatIncluded : null;
+    const price = buildPrice(match[1], source.slice(match.index + match[0].length), source.trim(), defaultVat);
+    // A single value string may state VAT anywhere ("bez DPH: 5 €")
+    const stated = detectVat(source);
+    if (stated !== null) {
+        price.vatIncluded = stated;
+    }
+    return price;
+}
+
+/**
+ * Find every euro amount in a text
+ * @param {string} text - Text to scan
+ * @param {Object} options - { vatIncluded } default VAT flag
+ * @returns {Array} Prices with match positions { index, length, match, amount, unit, per, vatIncluded, text }
+ */
+function findPrices(text, options = {}) {
+    const source = text || '';
+    const defaultVat = options.vatIncluded !== undefined ? options.vatIncluded : null;
+    const prices = [];
+
+    for (const match of source.matchAll(new RegExp(PRICE_SOURCE, 'gu'))) {
+        const following = source.slice(match.index + match[0].length);
+        const perMatch = following.match(PER_UNIT_PATTERN);
+        const matchText = match[0].replace(/\s+/g, ' ') + (perMatch ? `/${perMatch[1]}` : '');
+        prices.push({
+            index: match.index,
+            length: match[0].length,
+            match: match[0],
+            ...buildPrice(match[1], following, matchText, defaultVat)
+        });
+    }
+
+    return prices;
+}
+
+/**
+ * Get the prices of a section: its stored prices, or those found in its rawText when the
+ * section was saved before prices were stored
+ * @param {Object} section - Section { rawText, prices }
+ * @returns {Array} Prices as returned by findPrices (positions refer to rawText)
+ */
+function getSectionPrices(section) {
+    if (section && Array.isArray(section.prices)) {
+        return section.prices;
+    }
+    return findPrices(section ? section.rawText : null);
+}
+
+/**
+ * Check whether text contains a euro amount
+ * @param {string} text - Text to check
+ * @returns {boolean} True when an amount with € or EUR is present
+ */
+function containsPrice(text) {
+    return new RegExp(PRICE_SOURCE, 'u').test(text || '');
+}
+
+/**
+ * Convert a data amount to GB
+ * @param {number} value - Amount
+ * @param {string} unit - KB, MB, GB or TB
+ * @returns {number|null} GB rounded to 3 decimals, or null for unknown units
+ */
+function toGigabytes(value, unit) {
+    const factor = DATA_UNITS_IN_GB[(unit || '').toUpperCase()];
+    if (!factor || typeof value !== 'number') {
+        return null;
+    }
+    return Math.round(value * factor * 1000) / 1000;
+}
+
+/**
+ * Classify a quantity unit ("GB" -> data, "minút" -> minutes, "SMS/MMS" -> sms)
+ * @param {string} unit - Unit as written
+ * @returns {Object} { kind, unit } with the canonical unit
+ */
+function classifyUnit(unit) {
+    if (!unit) {
+        return { kind: null, unit: null };
+    }
+    const upper = unit.toUpperCase();
+    if (DATA_UNITS_IN_GB[upper]) {
+        return { kind: 'data', unit: upper };
+    }
+    if (/^min/i.test(unit)) {
+        return { kind: 'minutes', unit: 'min' };
+    }
+    if (/^(?:sms|mms)/i.test(unit)) {
+        return { kind: 'sms', unit: upper };
+    }
+    return { kind: null, unit: unit };
+}
+
+/**
+ * Parse an allowance ("2 GB", "500 MB", "200 minút", "200 SMS/MMS", "Nekonečné")
+ * @param {string} text - Value text
+ * @param {string} kind - Expected kind ('data', 'minutes', 'sms') when the text has no unit
+ * @returns {Object} { type, value, unit, unlimited, text } plus gb for data
+ */
+function parseQuantity(text, kind = null) {
+    const trimmed = (text || '').trim();
+    const result = { type: kind || 'quantity', value: null, unit: null, unlimited: false, text: trimmed };
+
+    if (UNLIMITED_PATTERN.test(trimmed)) {
+        result.unlimited = true;
+    } else {
+        const match = trimmed.match(QUANTITY_PATTERN);
+        if (match) {
+            const classified = classifyUnit(match[2]);
+            result.value = toNumber(match[1]);
+            result.unit = classified.unit;
+            result.type = kind || classified.kind || 'quantity';
+        }
+    }
+
+    if (result.type === 'data') {
+        result.gb = result.unlimited ? null : toGigabytes(result.value, result.unit);
+    }
+    return result;
+}
+
+/**
+ * Parse any price list value: euro amounts become prices, everything else an allowance
+ * @param {string} text - Value text
+ * @param {Object} options - { vatIncluded, kind }
+ * @returns {Object|null} Typed value, or null when the text holds no number and is not unlimited
+ */
+function parseValue(text, options = {}) {
+    const price = parsePrice(text, options);
+    if (price) {
+        return price;
+    }
+    const quantity = parseQuantity(text, options.kind || null);
+    return quantity.unlimited || quantity.value !== null ? quantity : null;
+}
+
+module.exports = {
+    UNLIMITED_PATTERN,
+    parseNumber,
+    parsePrice,
+    parseQuantity,
+    parseValue,
+    findPrices,
+    getSectionPrices,
+    containsPrice,
+    detectVat,
+    toGigabytes
+};
@@ -1,4 +1,4 @@
-const { PDFExtract } = require('pdf.js-extract');
+const { PDFExtract } = require('../pdf-extract');
 
 /**
  * Header-Based Text Extractor for O2 PDF
@@ -0,0 +1,244 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const { getConfigBlock } = require('../core/config-loader');
+const { getArchiveDir } = require('../core/paths');
+
+// Index updates from every PdfArchive instance in the process go through one queue,
+// so change detection and scrapers never overwrite each other's entries
+let indexQueue = Promise.resolve();
+
+// Files fetched (or confirmed unchanged) by this process, by URL: url -> sha256.
+// Only these are handed out again; a copy left by an earlier run may be outdated.
+const fetchedInRun = new Map();
+
+/**
+ * PDF Archive
+ * Keeps every downloaded source PDF under storage/archive/:
+ * - files/{sha256}.pdf holds the original bytes, named by their SHA-256
+ * - index.json maps each PDF URL to the files it served over time, and each file to its URLs
+ * Identical downloads are stored once. A URL fetched earlier in the same run is handed out
+ * again from the archive instead of being downloaded a second time.
+ */
+class PdfArchive {
+    constructor() {
+        this.archiveDir = getArchiveDir();
+        this.filesDir = path.join(this.archiveDir, 'files');
+        this.indexFile = path.join(this.archiveDir, 'index.json');
+        this.defaultSettings = {
+            enabled: true
+        };
+    }
+
+    /**
+     * Get archive settings from scraper-config.json ("archive" block), falling back to defaults
+     * @returns {Object} { enabled }
+     */
+    getSettings() {
+        return getConfigBlock('archive', this.defaultSettings);
+    }
+
+    /**
+     * Check whether archiving is enabled
+     * @returns {boolean} True unless "archive.enabled" is false
+     */
+    isEnabled() {
+        return this.getSettings().enabled !== false;
+    }
+
+    /**
+     * Get the archive path of a file
+     * @param {string} sha256 - SHA-256 of the PDF bytes
+     * @returns {string} Path to files/{sha256}.pdf
+     */
+    getFilePath(sha256) {
+        return path.join(this.filesDir, `${sha256}.pdf`);
+    }
+
+    /**
+     * Load the archive index
+     * @returns {Promise<Object>} { urls: url -> entry, files: sha256 -> entry }
+     */
+    async loadIndex() {
+        try {
+            const content = await fs.readFile(this.indexFile, 'utf8');
+            const index = JSON.parse(content);
+            return { urls: index.urls || {}, files: index.files || {} };
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.warn(`⚠️  Could not read PDF archive index: ${error.message}`);
+            }
+            return { urls: {}, files: {} };
+        }
+    }
+
+    /**
+     * Apply a change to the index and write it back (temp file + rename)
+     * @param {Function} mutate - Receives the index and changes it in place
+     * @returns {Promise<Object>} The updated index
+     */
+    async updateIndex(mutate) {
+        const run = indexQueue.then(async () => {
+            const index = await this.loadIndex();
+            mutate(index);
+            await fs.mkdir(this.archiveDir, { recursive: true });
+            const tempFile = `${this.indexFile}.tmp`;
+            await fs.writeFile(tempFile, JSON.stringify(index, null, 2));
+            await fs.rename(tempFile, this.indexFile);
+            return index;
+        });
+        indexQueue = run.catch(() => {});
+        return run;
+    }
+
+    /**
+     * Store downloaded PDF bytes and record where they came from
+     * @param {Buffer} buffer - PDF bytes
+     * @param {Object} source - { url, provider } (provider is optional)
+     * @returns {Promise<Object>} { sha256, md5, filePath, size, created }
+     */
+    async store(buffer, source = {}) {
+        const sha256 = crypto.createHash('sha256').update(buffer).digest('hex');
+        const md5 = crypto.createHash('md5').update(buffer).digest('hex');
+        const filePath = this.getFilePath(sha256);
+        const now = new Date().toISOString();
+
+        await fs.mkdir(this.filesDir, { recursive: true });
+        const created = !(await this.fileExists(filePath));
+        if (created) {
+            const tempFile = `${filePath}.tmp`;
+            await fs.writeFile(tempFile, buffer);
+            await fs.rename(tempFile, filePath);
+        }
+
+        await this.updateIndex(index => {
+            const file = index.files[sha256] || { size: buffer.length, md5: md5, firstSeenAt: now, urls: [] };
+            file.lastSeenAt = now;
+            if (source.url && !file.urls.includes(source.url)) {
+                file.urls.push(source.url);
+            }
+            index.files[sha256] = file;
+
+            if (source.url) {
+                const entry = index.urls[source.url] || { provider: null, latest: null, lastFetchedAt: null, versions: [] };
+                entry.provider = source.provider || entry.provider;
+                entry.latest = sha256;
+                entry.lastFetchedAt = now;
+                const version = entry.versions.find(v => v.sha256 === sha256);
+                if (version) {
+                    version.lastSeenAt = now;
+                } else {
+                    entry.versions.push({ sha256: sha256, firstSeenAt: now, lastSeenAt: now });
+                }
+                index.urls[source.url] = entry;
+            }
+        });
+        if (source.url) {
+            fetchedInRun.set(source.url, sha256);
+        }
+
+        console.log(`🗄️  ${created ? 'Archived' : 'Already archived'} PDF ${sha256.substring(0, 12)}... (${Math.round(buffer.length / 1024)} KB)`);
+        return { sha256, md5, filePath, size: buffer.length, created };
+    }
+
+    /**
+     * Record that the latest archived file of a URL was confirmed unchanged without downloading it
+     * (HEAD validators or a 304). Only applies when that file has the expected MD5.
+     * @param {string} url - PDF URL
+     * @param {string} md5 - MD5 the change detector holds for the URL
+     * @returns {Promise<boolean>} True when the archive entry was refreshed
+     */
+    async confirmUnchanged(url, md5) {
+        const index = await this.loadIndex();
+        const entry = index.urls[url];
+        if (!entry || !md5 || index.files[entry.latest]?.md5 !== md5) {
+            return false;
+        }
+
+        await this.updateIndex(current => {
+            const latest = current.urls[url];
+            if (latest) {
+                latest.lastFetchedAt = new Date().toISOString();
+            }
+        });
+        fetchedInRun.set(url, entry.latest);
+        return true;
+    }
+
+    /**
+     * Get the latest archived file of a URL
+     * @param {string} url - PDF URL
+     * @returns {Promise<Object|null>} { sha256, filePath, fetchedAt } or null when not archived
+     */
+    async getLatest(url) {
+        const index = await this.loadIndex();
+        const entry = index.urls[url];
+        if (!entry || !entry.latest) {
+            return null;
+        }
+
+        const filePath = this.getFilePath(entry.latest);
+        if (!(await this.fileExists(filePath))) {
+            return null;
+        }
+        return { sha256: entry.latest, filePath, fetchedAt: entry.lastFetchedAt || null };
+    }
+
+    /**
+     * Get the MD5 of the latest archived file of a URL (the hash change detection compares)
+     * @param {string} url - PDF URL
+     * @returns {Promise<string|null>} MD5 or null when not archived
+     */
+    async getLatestMd5(url) {
+        const index = await this.loadIndex();
+        const entry = index.urls[url];
+        if (!entry || !entry.latest) {
+            return null;
+        }
+        return index.files[entry.latest]?.md5 || null;
+    }
+
+    /**
+     * Get the archived file of a URL when this process fetched (or confirmed) it
+     * @param {string} url - PDF URL
+     * @returns {Promise<Object|null>} { sha256, filePath, fetchedAt } or null
+     */
+    async findFetchedInRun(url) {
+        if (!this.isEnabled() || !fetchedInRun.has(url)) {
+            return null;
+        }
+
+        const latest = await this.getLatest(url);
+        return latest && latest.sha256 === fetchedInRun.get(url) ? latest : null;
+    }
+
+    /**
+     * List the files a URL has served, oldest first
+     * @param {string} url - PDF URL
+     * @returns {Promise<Array>} Versions { sha256, firstSeenAt, lastSeenAt, filePath }
+     */
+    async getVersions(url) {
+        const index = await this.loadIndex();
+        const entry = index.urls[url];
+        if (!entry) {
+            return [];
+        }
+        return entry.versions.map(version => ({ ...version, filePath: this.getFilePath(version.sha256) }));
+    }
+
+    /**
+     * Check if a file exists
+     * @param {string} filePath - Path to file
+     * @returns {Promise<boolean>} True if the file exists
+     */
+    async fileExists(filePath) {
+        try {
+            await fs.access(filePath);
+            return true;
+        } catch {
+            return false;
+        }
+    }
+}
+
+module.exports = PdfArchive;
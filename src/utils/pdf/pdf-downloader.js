@@ -2,14 +2,41 @@ const https = require('https');
 const http = require('http');
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
+const PdfArchive = require('./pdf-archive');
+const { runLimited } = require('../core/concurrency');
+const { beforeRequest } = require('../web/politeness');
+const { getNetworkProfile, getAgent, getRequestHeaders } = require('../web/network-profile');
+
+// Node error codes of a certificate that failed verification
+const TLS_ERROR_CODES = new Set([
+    'DEPTH_ZERO_SELF_SIGNED_CERT',
+    'SELF_SIGNED_CERT_IN_CHAIN',
+    'UNABLE_TO_VERIFY_LEAF_SIGNATURE',
+    'UNABLE_TO_GET_ISSUER_CERT_LOCALLY',
+    'CERT_HAS_EXPIRED',
+    'CERT_NOT_YET_VALID',
+    'ERR_TLS_CERT_ALTNAME_INVALID'
+]);
 
 /**
  * Utility for downloading and processing PDF files
+ * Every download is kept in the PDF archive; scrapers work on a temp copy, so deleting temp
+ * files never loses the original. A PDF already fetched in this run (e.g. by change detection)
+ * is copied from the archive instead of being downloaded again. Downloads share the process-wide
+ * "downloads" concurrency limit and respect robots.txt and the per-host request spacing.
+ * Requests use the network profile (proxy, headers, cookies, timeouts, CAs) of the provider
+ * the downloader was created for.
  */
 class PdfDownloader {
-    constructor() {
+    /**
+     * @param {string|null} provider - Provider key whose network profile is used (null: shared profile)
+     */
+    constructor(provider = null) {
         const { getTempDir } = require('../core/paths');
+        this.provider = provider;
         this.tempDir = getTempDir();
+        this.archive = new PdfArchive();
         this.ensureTempDir();
     }
 
@@ -23,36 +50,81 @@ class PdfDownloader {
     }
 
     /**
-     * Download PDF file from URL
+     * Get a temp copy of a PDF: from the archive when fetched earlier in this run, otherwise downloaded and archived
      * @param {string} url - PDF file URL
-     * @returns {Promise<string>} Path to downloaded file
+     * @returns {Promise<string>} Path to the temp file
      */
     async downloadPdf(url) {
+        // Random suffix: downloads running in parallel can start in the same millisecond
+        const filePath = path.join(this.tempDir, `pdf_${Date.now()}_${crypto.randomBytes(4).toString('hex')}.pdf`);
+
+        const archived = await this.archive.findFetchedInRun(url).catch(error => {
+            console.warn(`⚠️  Could not check PDF archive: ${error.message}`);
+            return null;
+        });
+        if (archived) {
+            fs.copyFileSync(archived.filePath, filePath);
+            console.log(`♻️  Reusing archived PDF ${archived.sha256.substring(0, 12)}... fetched at ${archived.fetchedAt}`);
+            return filePath;
+        }
+
+        await runLimited('downloads', async () => {
+            await beforeRequest(url, this.provider);
+            return this.fetchToFile(url, filePath);
+        });
+
+        if (this.archive.isEnabled()) {
+            try {
+                await this.archive.store(fs.readFileSync(filePath), { url, provider: this.provider });
+            } catch (error) {
+                console.warn(`⚠️  Could not archive PDF from ${url}: ${error.message}`);
+            }
+        }
+        return filePath;
+    }
+
+    /**
+     * Download a URL into a file, following redirects
+     * A failed download leaves no file behind.
+     * @param {string} url - PDF file URL
+     * @param {string} filePath - Destination path
+     * @returns {Promise<string>} Path to downloaded file
+     */
+    async fetchToFile(url, filePath) {
+        const network = getNetworkProfile(this.provider);
+
         return new Promise((resolve, reject) => {
-            const fileName = `pdf_${Date.now()}.pdf`;
-            const filePath = path.join(this.tempDir, fileName);
             const file = fs.createWriteStream(filePath);
-            
-            const protocol = url.startsWith('https:') ? https : http;
+            const fail = (error) => {
+                file.destroy();
+                fs.unlink(filePath, () => {});
+                reject(error);
+            };
             
             const downloadWithRedirects = (downloadUrl, redirectCount = 0) => {
                 if (redirectCount > 5) {
-                    reject(new Error('Too many redirects'));
+                    fail(new Error('Too many redirects'));
                     return;
                 }
                 
-                protocol.get(downloadUrl, {
-                    rejectUnauthorized: false // Allow self-signed certificates
+                // Chosen per hop: a redirect may switch between http and https
+                const protocol = downloadUrl.startsWith('https:') ? https : http;
+                // Certificates are verified unless the provider's network profile makes an exception
+                const request = protocol.get(downloadUrl, {
+                    agent: getAgent(network, downloadUrl),
+                    headers: getRequestHeaders(network)
                 }, (response) => {
                     if (response.statusCode === 301 || response.statusCode === 302 || response.statusCode === 303 || response.statusCode === 307 || response.statusCode === 308) {
                         const redirectUrl = response.headers.location;
                         if (redirectUrl) {
                             const absoluteRedirectUrl = redirectUrl.startsWith('http') ? redirectUrl : new URL(redirectUrl, downloadUrl).href;
                             console.log(`🔄 Following redirect to: ${absoluteRedirectUrl}`);
+                            response.resume();
                             downloadWithRedirects(absoluteRedirectUrl, redirectCount + 1);
                             return;
                         } else {
-                            reject(new Error(`HTTP ${response.statusCode}: No redirect location provided`));
+                            response.resume();
+                            fail(new Error(`HTTP ${response.statusCode}: No redirect location provided`));
                             return;
                         }
                     }
@@ -61,10 +133,12 @@ class PdfDownloader {
                         const error = new Error(`HTTP ${response.statusCode}: ${response.statusMessage}`);
                         error.statusCode = response.statusCode;
                         error.statusMessage = response.statusMessage;
-                        reject(error);
+                        response.resume();
+                        fail(error);
                         return;
                     }
                     
+                    response.on('error', fail);
                     response.pipe(file);
                     
                     file.on('finish', () => {
@@ -72,12 +146,15 @@ class PdfDownloader {
                         resolve(filePath);
                     });
                     
-                    file.on('error', (err) => {
-                        fs.unlink(filePath, () => {}); // Delete the file on error
-                        reject(err);
-                    });
+                    file.on('error', fail);
                 }).on('error', (err) => {
-                    reject(err);
+                    if (TLS_ERROR_CODES.has(err.code)) {
+                        console.error(`🔒 Certificate of ${new URL(downloadUrl).host} rejected (${err.code}). Trust its CA with network.caBundle, or allow it for this provider with network.allowInvalidCertificates`);
+                    }
+                    fail(err);
+                });
+                request.setTimeout(network.timeouts.download, () => {
+                    request.destroy(new Error(`Download timeout after ${network.timeouts.download} ms: ${downloadUrl}`));
                 });
             };
             
@@ -91,7 +168,7 @@ class PdfDownloader {
      * @returns {Promise<string>} Extracted text
      */
     async extractTextFromPdf(filePath) {
-        const pdf = require('pdf.js-extract');
+        const pdf = require('./pdf-extract');
         const pdfExtract = new pdf.PDFExtract();
         
         return new Promise((resolve, reject) => {
@@ -143,7 +220,7 @@ class PdfDownloader {
     }
 
     /**
-     * Clean up temp directory
+     * Clean up temp directory (archived originals are kept)
      */
     cleanup() {
         if (fs.existsSync(this.tempDir)) {
@@ -0,0 +1,117 @@
+const TableReconstructor = require('./table-reconstructor');
+const PageExtractor = require('../web/page-extractor');
+const { findPrices } = require('../data/value-normalizer');
+const { extractEffectiveDate } = require('../data/effective-date-extractor');
+
+/**
+ * PDF Enricher
+ * Whole-document data every scraper adds to its extracted data, after its own extraction and
+ * before validation, so a provider opts in through scraper-config.json alone:
+ * - sections[*].prices: typed euro amounts of each section (amount, unit, VAT flag, original text,
+ *   position in rawText), the one representation read by the API, the validator and the price
+ *   change detector; summary.totalPrices counts them
+ * - data.effectiveDate: the "platný od" date of the whole PDF text, cover page included (null when
+ *   the text states none), which section text alone may not contain
+ * - data.tables: price tables rebuilt from item coordinates (providers.<key>.tableReconstruction)
+ * Crawlers that build their own PDF records carry these over with copyEnrichedData.
+ */
+
+// Fields enrichExtractedData adds to data, besides the prices stored inside section objects
+const ENRICHED_FIELDS = ['prices', 'effectiveDate', 'tables'];
+
+/**
+ * Store the typed prices of every extracted section and count them in the summary
+ * Euro-symbol extraction keeps its single section as a string, so its prices go to data.prices.
+ * @param {Object} data - Extracted data's data block ({ sections, summary })
+ * @returns {number} Prices found
+ */
+function addSectionPrices(data) {
+    let totalPrices = 0;
+    Object.values(data.sections || {}).forEach(section => {
+        if (section && typeof section === 'object' && typeof section.rawText === 'string') {
+            section.prices = findPrices(section.rawText);
+            totalPrices += section.prices.length;
+        }
+    });
+    if (typeof data.sections?.fullContent === 'string') {
+        data.prices = findPrices(data.sections.fullContent);
+        totalPrices += data.prices.length;
+    }
+    if (data.summary) {
+        data.summary.totalPrices = totalPrices;
+    }
+    return totalPrices;
+}
+
+/**
+ * Find the effective date in the full text of a PDF
+ * @param {string} pdfPath - Path to PDF file
+ * @returns {Promise<Object|null|undefined>} { date, phrase, candidates }, null when the text states
+ *   no document date, undefined when the PDF could not be read
+ */
+async function findDocumentEffectiveDate(pdfPath) {
+    try {
+        const fullText = await new PageExtractor().extractFullText(pdfPath);
+        return extractEffectiveDate(fullText);
+    } catch (error) {
+        console.warn(`⚠️  Could not read full PDF text for the effective date: ${error.message}`);
+        return undefined;
+    }
+}
+
+/**
+ * Add whole-document data to a scraper's extracted data
+ * @param {Object} enrichedData - Extracted data ({ data: { sections, summary, ... }, ... }), changed in place
+ * @param {string} pdfPath - Path to the PDF file the data was extracted from
+ * @param {string} providerKey - Provider key in scraper-config.json
+ * @returns {Promise<Object>} The same extracted data
+ */
+async function enrichExtractedData(enrichedData, pdfPath, providerKey) {
+    const totalPrices = addSectionPrices(enrichedData.data);
+    console.log(`💶 Prices found in ${providerKey} sections: ${totalPrices}`);
+
+    const effectiveDate = await findDocumentEffectiveDate(pdfPath);
+    if (effectiveDate !== undefined) {
+        enrichedData.data.effectiveDate = effectiveDate;
+        console.log(`📅 Effective date of ${providerKey} PDF: ${effectiveDate ? `${effectiveDate.date} ("${effectiveDate.phrase}")` : 'not stated'}`);
+    }
+
+    const tables = await new TableReconstructor().extractTablesForProvider(pdfPath, providerKey);
+    if (tables) {
+        enrichedData.data.tables = tables;
+    }
+    return enrichedData;
+}
+
+/**
+ * Copy enriched fields from a scraper result to the PDF record a crawler builds from it
+ * Records with a data block get them there, records with root-level summaries at the root.
+ * @param {Object} extractedData - Scraper result ({ data: { ... } })
+ * @param {Object} record - PDF record, changed in place
+ * @returns {Object} The same record
+ */
+function copyEnrichedData(extractedData, record) {
+    const source = extractedData?.data || {};
+    const target = record.data || record;
+    ENRICHED_FIELDS.forEach(field => {
+        if (source[field] !== undefined) {
+            target[field] = source[field];
+        }
+    });
+    return record;
+}
+
+/**
+ * Read an enriched field of a stored PDF record, wherever copyEnrichedData put it
+ * @param {Object} pdf - PDF record
+ * @param {string} field - 'prices', 'effectiveDate' or 'tables'
+ * @returns {*} Field value, undefined when the record was saved without it
+ */
+function getEnrichedField(pdf, field) {
+    if (pdf?.data && pdf.data[field] !== undefined) {
+        return pdf.data[field];
+    }
+    return pdf ? pdf[field] : undefined;
+}
+
+module.exports = { enrichExtractedData, addSectionPrices, copyEnrichedData, getEnrichedField };
@@ -0,0 +1,23 @@
+const { PDFExtract: BasePDFExtract } = require('pdf.js-extract');
+const { runLimited } = require('../core/concurrency');
+
+/**
+ * pdf.js-extract with bounded parallelism
+ * Every parse (extract or extractBuffer, callback or promise style) waits for a "pdfParsing" slot,
+ * so providers processed in parallel never hold more PDFs in memory than configured.
+ */
+class PDFExtract extends BasePDFExtract {
+    extractBuffer(buffer, options = {}, cb) {
+        if (!cb) {
+            return super.extractBuffer(buffer, options);
+        }
+        runLimited('pdfParsing', () => new Promise(resolve => {
+            super.extractBuffer(buffer, options, (err, data) => {
+                resolve();
+                cb(err, data);
+            });
+        }));
+    }
+}
+
+module.exports = { PDFExtract };
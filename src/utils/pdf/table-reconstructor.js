@@ -0,0 +1,286 @@
+const { PDFExtract } = require('./pdf-extract');
+const { getConfigBlock } = require('../core/config-loader');
+
+/**
+ * Table Reconstructor
+ * Rebuilds table rows and columns from pdf.js-extract text items (x/y/width/height)
+ * instead of joining all items of a page into one line.
+ *
+ * - Items on the same baseline form a line; items separated by a wide horizontal gap become cells
+ * - Consecutive lines with at least minColumns cells form a table block
+ * - Column boundaries come from the rows with the most cells; other rows are assigned by cell center
+ * - Single-cell lines inside a block (wrapped labels) are appended to the previous row
+ *
+ * Scrapers opt in with "tableReconstruction": { "enabled": true } in their provider config.
+ */
+class TableReconstructor {
+    constructor(options = {}) {
+        this.pdfExtract = new PDFExtract();
+        this.options = {
+            minColumns: 2,
+            minRows: 2,
+            cellGapRatio: 0.9,     // Horizontal gap (in font heights) that starts a new cell
+            lineGapRatio: 2.5,     // Vertical gap (in font heights) that ends a table block
+            pages: null,           // 1-based page numbers to scan (null = all pages)
+            ...options
+        };
+    }
+
+    /**
+     * Get table reconstruction options for a provider, or null when the provider has not opted in
+     * @param {string} providerKey - Provider key in scraper-config.json
+     * @returns {Object|null} Options
+     */
+    getProviderOptions(providerKey) {
+        const options = getConfigBlock('tableReconstruction', this.options, providerKey);
+        return options.enabled ? options : null;
+    }
+
+    /**
+     * Extract tables for a provider if it opted in
+     * @param {string} pdfPath - Path to PDF file
+     * @param {string} providerKey - Provider key in scraper-config.json
+     * @returns {Promise<Array|null>} Tables, or null when disabled or extraction failed
+     */
+    async extractTablesForProvider(pdfPath, providerKey) {
+        const options = this.getProviderOptions(providerKey);
+        if (!options) {
+            return null;
+        }
+
+        try {
+            const tables = await this.extractTables(pdfPath, options);
+            console.log(`📋 Reconstructed ${tables.length} table(s) for ${providerKey}`);
+            return tables;
+        } catch (error) {
+            console.warn(`⚠️  Table reconstruction failed for ${providerKey}: ${error.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * Extract all tables from a PDF file
+     * @param {string} pdfPath - Path to PDF file
+     * @param {Object} options - Overrides for the constructor options
+     * @returns {Promise<Array>} Tables { page, index, top, bottom, columnCount, rowCount, rows, markdown }
+     */
+    async extractTables(pdfPath, options = {}) {
+        const settings = { ...this.options, ...options };
+        const data = await new Promise((resolve, reject) => {
+            this.pdfExtract.extract(pdfPath, {}, (err, result) => {
+                if (err) reject(err);
+                else resolve(result);
+            });
+        });
+
+        const tables = [];
+        data.pages.forEach((page, pageIndex) => {
+            const pageNumber = pageIndex + 1;
+            if (settings.pages && !settings.pages.includes(pageNumber)) {
+                return;
+            }
+            this.reconstructPage(page, settings).forEach((table, index) => {
+                tables.push({ page: pageNumber, index, ...table });
+            });
+        });
+
+        return tables;
+    }
+
+    /**
+     * Reconstruct tables on a single pdf.js-extract page
+     * @param {Object} page - Page with content items
+     * @param {Object} options - Reconstruction options
+     * @returns {Array} Tables found on the page
+     */
+    reconstructPage(page, options = this.options) {
+        const lines = this.groupLines(page.content || [], options);
+        return this.findTableBlocks(lines, options)
+            .map(block => this.buildTable(block))
+            .filter(table => table.rowCount >= options.minRows);
+    }
+
+    /**
+     * Median font height of text items (fallback for items without height)
+     */
+    getMedianHeight(items) {
+        const heights = items.map(item => item.height).filter(height => height > 0).sort((a, b) => a - b);
+        return heights.length > 0 ? heights[Math.floor(heights.length / 2)] : 10;
+    }
+
+    /**
+     * Group text items into lines by y coordinate and split each line into cells
+     * @param {Array} items - pdf.js-extract content items
+     * @param {Object} options - Reconstruction options
+     * @returns {Array} Lines { y, height, cells: [{ x, xEnd, text }] }
+     */
+    groupLines(items, options = this.options) {
+        const textItems = items
+            .filter(item => item.str && item.str.trim().length > 0)
+            .sort((a, b) => a.y - b.y || a.x - b.x);
+        const lineTolerance = this.getMedianHeight(textItems) * 0.5;
+        const lines = [];
+
+        textItems.forEach(item => {
+            const current = lines[lines.length - 1];
+            if (current && Math.abs(item.y - current.y) <= lineTolerance) {
+                current.items.push(item);
+            } else {
+                lines.push({ y: item.y, items: [item] });
+            }
+        });
+
+        return lines.map(line => {
+            const lineItems = line.items.sort((a, b) => a.x - b.x);
+            const height = this.getMedianHeight(lineItems);
+            const cellGap = height * options.cellGapRatio;
+            const cells = [];
+
+            lineItems.forEach(item => {
+                const cell = cells[cells.length - 1];
+                const gap = cell ? item.x - cell.xEnd : Infinity;
+                if (cell && gap <= cellGap) {
+                    cell.text += (gap > height * 0.15 ? ' ' : '') + item.str.trim();
+                    cell.xEnd = Math.max(cell.xEnd, item.x + item.width);
+                } else {
+                    cells.push({ x: item.x, xEnd: item.x + item.width, text: item.str.trim() });
+                }
+            });
+
+            return { y: line.y, height, cells };
+        });
+    }
+
+    /**
+     * Find runs of lines that look like table rows
+     * @param {Array} lines - Lines with cells
+     * @param {Object} options - Reconstruction options
+     * @returns {Array<Array>} Blocks of lines
+     */
+    findTableBlocks(lines, options = this.options) {
+        const blocks = [];
+        let block = [];
+        let pending = [];
+
+        const closeBlock = () => {
+            if (block.filter(line => line.cells.length >= options.minColumns).length >= options.minRows) {
+                blocks.push(block);
+            }
+            block = [];
+            pending = [];
+        };
+
+        lines.forEach(line => {
+            const previous = pending.length > 0 ? pending[pending.length - 1] : block[block.length - 1];
+            const withinGap = previous && line.y - previous.y <= line.height * options.lineGapRatio;
+
+            if (block.length > 0 && !withinGap) {
+                closeBlock();
+            }
+
+            if (line.cells.length >= options.minColumns) {
+                block.push(...pending, line);
+                pending = [];
+            } else if (block.length > 0) {
+                // Possible wrapped label; kept only if another table row follows
+                pending.push(line);
+            }
+        });
+        closeBlock();
+
+        return blocks;
+    }
+
+    /**
+     * Compute column boundaries from the rows with the most cells
+     * @param {Array} block - Lines of a table block
+     * @returns {Array<number>} X positions separating columns
+     */
+    getColumnBoundaries(block) {
+        const counts = block.map(line => line.cells.length);
+        const repeated = counts.filter(count => counts.indexOf(count) !== counts.lastIndexOf(count));
+        const columnCount = repeated.length > 0 ? Math.max(...repeated) : Math.max(...counts);
+        const definingRows = block.filter(line => line.cells.length === columnCount);
+
+        const spans = [];
+        for (let column = 0; column < columnCount; column++) {
+            spans.push({
+                start: Math.min(...definingRows.map(line => line.cells[column].x)),
+                end: Math.max(...definingRows.map(line => line.cells[column].xEnd))
+            });
+        }
+
+        const boundaries = [];
+        for (let column = 1; column < spans.length; column++) {
+            const previous = spans[column - 1];
+            const current = spans[column];
+            boundaries.push(previous.end <= current.start
+                ? (previous.end + current.start) / 2
+                : ((previous.start + previous.end) / 2 + (current.start + current.end) / 2) / 2);
+        }
+
+        return boundaries;
+    }
+
+    /**
+     * Build a table (rows of cell texts) from a block of lines
+     * @param {Array} block - Lines of a table block
+     * @returns {Object} { top, bottom, columnCount, rowCount, rows, markdown }
+     */
+    buildTable(block) {
+        const boundaries = this.getColumnBoundaries(block);
+        const columnCount = boundaries.length + 1;
+        const rows = [];
+
+        block.forEach(line => {
+            const row = new Array(columnCount).fill('');
+            line.cells.forEach(cell => {
+                const center = (cell.x + cell.xEnd) / 2;
+                let column = boundaries.findIndex(boundary => center < boundary);
+                if (column === -1) {
+                    column = columnCount - 1;
+                }
+                row[column] = row[column] ? `${row[column]} ${cell.text}` : cell.text;
+            });
+
+            const filled = row.filter(text => text.length > 0).length;
+            const previous = rows[rows.length - 1];
+            if (filled === 1 && previous) {
+                // Wrapped text continues the cell above
+                const column = row.findIndex(text => text.length > 0);
+                previous[column] = previous[column] ? `${previous[column]} ${row[column]}` : row[column];
+                return;
+            }
+            rows.push(row);
+        });
+
+        return {
+            top: block[0].y,
+            bottom: block[block.length - 1].y + block[block.length - 1].height,
+            columnCount,
+            rowCount: rows.length,
+            rows,
+            markdown: this.toMarkdown(rows)
+        };
+    }
+
+    /**
+     * Render rows as a Markdown table (first row is the header)
+     * @param {Array<Array<string>>} rows - Table rows
+     * @returns {string} Markdown table
+     */
+    toMarkdown(rows) {
+        if (rows.length === 0) {
+            return '';
+        }
+        const escape = text => text.replace(/\|/g, '\\|');
+        const format = row => `| ${row.map(escape).join(' | ')} |`;
+        return [
+            format(rows[0]),
+            `| ${rows[0].map(() => '---').join(' | ')} |`,
+            ...rows.slice(1).map(format)
+        ].join('\n');
+    }
+}
+
+module.exports = TableReconstructor;
@@ -0,0 +1,192 @@
+const puppeteer = require('puppeteer');
+const { getConfigBlock } = require('../core/config-loader');
+const { getUserAgent } = require('./politeness');
+const { getBrowserContextOptions, getProxyCredentials } = require('./network-profile');
+
+/**
+ * Browser Pool
+ * One Chromium shared by all crawlers of a run. Each crawler gets its own incognito context
+ * (separate cookies, cache and storage) and page, so providers never see each other's state.
+ * The browser is launched on the first request and relaunched if it crashes.
+ * Requests for resource types that never carry PDF links (images, fonts, media) are aborted.
+ * A provider's network profile sets its context's proxy and its page's headers, cookies,
+ * navigation timeout and certificate checks: allowInvalidCertificates turns them off for the
+ * page (logged like every other relaxed request), while an extra caBundle cannot be given to
+ * Chromium, so a browser crawl under such a profile fails with BROWSER_CA_BUNDLE_UNSUPPORTED.
+ */
+class BrowserPool {
+    constructor() {
+        this.browser = null;
+        this.launching = null;
+        this.contexts = new Set();
+        this.defaultSettings = {
+            headless: 'new',
+            blockedResourceTypes: ['image', 'font', 'media'],
+            viewport: { width: 1920, height: 1080 }
+        };
+        this.launchArgs = [
+            '--no-sandbox',
+            '--disable-setuid-sandbox',
+            '--disable-dev-shm-usage',
+            '--disable-accelerated-2d-canvas',
+            '--no-first-run',
+            '--no-zygote',
+            '--disable-gpu'
+        ];
+    }
+
+    /**
+     * Get browser settings from scraper-config.json ("browser" block), falling back to defaults
+     * The User-Agent is the scraper's politeness User-Agent unless the browser block sets its own.
+     * @returns {Object} { headless, blockedResourceTypes, userAgent, viewport }
+     */
+    getSettings() {
+        return getConfigBlock('browser', { ...this.defaultSettings, userAgent: getUserAgent() });
+    }
+
+    /**
+     * Get the shared browser, launching it if needed (concurrent callers share one launch)
+     * @returns {Promise<Object>} Puppeteer browser
+     */
+    async getBrowser() {
+        if (this.browser && this.browser.isConnected()) {
+            return this.browser;
+        }
+
+        if (!this.launching) {
+            this.launching = puppeteer.launch({
+                headless: this.getSettings().headless,
+                args: this.launchArgs
+            }).then(browser => {
+                browser.on('disconnected', () => {
+                    if (this.browser === browser) {
+                        console.warn('⚠️  Shared browser disconnected, it will be relaunched on next use');
+                        this.browser = null;
+                        this.contexts.clear();
+                    }
+                });
+                this.browser = browser;
+                console.log('🌐 Shared browser launched');
+                return browser;
+            }).finally(() => {
+                this.launching = null;
+            });
+        }
+        return this.launching;
+    }
+
+    /**
+     * Open an isolated incognito context with one configured page
+     * @param {string} providerName - Provider name for log messages
+     * @param {Object} options - { network: network profile of the provider, url: page the cookies belong to }
+     * @returns {Promise<Object>} { context, page }
+     */
+    async acquire(providerName, options = {}) {
+        const settings = this.getSettings();
+        const network = options.network || null;
+        if (network && network.caBundle && network.allowInvalidCertificates !== true) {
+            const error = new Error(`Network profile of ${providerName} sets caBundle (${network.caBundle}), which the browser cannot use: install the CA in the system trust store and remove caBundle for this provider, or crawl it with crawlMode "http"`);
+            error.code = 'BROWSER_CA_BUNDLE_UNSUPPORTED';
+            throw error;
+        }
+        const browser = await this.getBrowser();
+        const context = await browser.createIncognitoBrowserContext(network ? getBrowserContextOptions(network) : {});
+        this.contexts.add(context);
+
+        try {
+            const page = await context.newPage();
+            await page.setUserAgent(settings.userAgent);
+            await page.setViewport(settings.viewport);
+
+            if (network) {
+                page.setDefaultNavigationTimeout(network.timeouts.navigation);
+                const credentials = getProxyCredentials(network);
+                if (credentials) {
+                    await page.authenticate(credentials);
+                }
+                if (Object.keys(network.headers).length > 0) {
+                    await page.setExtraHTTPHeaders(network.headers);
+                }
+                const cookies = Object.entries(network.cookies);
+                if (cookies.length > 0 && options.url) {
+                    await page.setCookie(...cookies.map(([name, value]) => ({ name, value: String(value), url: options.url })));
+                }
+                if (network.allowInvalidCertificates === true) {
+                    await this.ignoreCertificateErrors(page, network);
+                }
+            }
+
+            const blocked = settings.blockedResourceTypes || [];
+            if (blocked.length > 0) {
+                await page.setRequestInterception(true);
+                page.on('request', request => {
+                    if (request.isInterceptResolutionHandled()) {
+                        return;
+                    }
+                    if (blocked.includes(request.resourceType())) {
+                        request.abort();
+                    } else {
+                        request.continue();
+                    }
+                });
+            }
+
+            console.log(`✅ Browser context opened for ${providerName} (${this.contexts.size} open)`);
+            return { context, page };
+        } catch (error) {
+            await this.release(context);
+            throw error;
+        }
+    }
+
+    /**
+     * Turn off certificate verification for one page (allowInvalidCertificates)
+     * Every https document the page loads is logged, as for the other network stacks.
+     * @param {Object} page - Puppeteer page
+     * @param {Object} network - Network profile
+     */
+    async ignoreCertificateErrors(page, network) {
+        const session = await page.target().createCDPSession();
+        await session.send('Security.setIgnoreCertificateErrors', { ignore: true });
+        page.on('request', request => {
+            if (request.resourceType() === 'document' && request.url().startsWith('https:')) {
+                console.warn(`🔓 Certificate verification disabled for ${network.provider || 'all providers'} (allowInvalidCertificates): ${request.url()}`);
+            }
+        });
+    }
+
+    /**
+     * Close a context and its pages
+     * @param {Object} context - Context returned by acquire()
+     */
+    async release(context) {
+        if (!context || !this.contexts.has(context)) {
+            return;
+        }
+        this.contexts.delete(context);
+        try {
+            await context.close();
+        } catch (error) {
+            console.warn(`⚠️  Error closing browser context: ${error.message}`);
+        }
+    }
+
+    /**
+     * Close all contexts and the shared browser
+     */
+    async close() {
+        const browser = this.browser || (this.launching ? await this.launching.catch(() => null) : null);
+        this.browser = null;
+        this.contexts.clear();
+        if (browser) {
+            try {
+                await browser.close();
+                console.log('🧹 Shared browser closed');
+            } catch (error) {
+                console.warn(`⚠️  Error closing shared browser: ${error.message}`);
+            }
+        }
+    }
+}
+
+module.exports = BrowserPool;
@@ -0,0 +1,195 @@
+const fs = require('fs');
+const path = require('path');
+const tls = require('tls');
+const http = require('http');
+const https = require('https');
+const { HttpProxyAgent } = require('http-proxy-agent');
+const { HttpsProxyAgent } = require('https-proxy-agent');
+const { getConfigBlock } = require('../core/config-loader');
+const { PROJECT_ROOT } = require('../core/paths');
+const { getUserAgent } = require('./politeness');
+
+/**
+ * Network Profile
+ * One set of network settings per provider ("network" block of scraper-config.json, overridden by
+ * providers.<key>.network): proxy, extra headers, cookies, timeouts and an extra CA bundle.
+ * The same profile drives all three network stacks: the browser (BrowserPool contexts), Node
+ * https.get (PdfDownloader) and axios (ChangeDetector, HTTP crawl, robots.txt).
+ * Certificates are always verified, except for a provider with allowInvalidCertificates, and
+ * every request made under that exception is logged.
+ */
+
+const DEFAULT_SETTINGS = {
+    proxy: null,
+    noProxy: [],
+    headers: {},
+    cookies: {},
+    timeouts: {
+        navigation: 30000,
+        request: 15000,
+        download: 30000
+    },
+    caBundle: null,
+    allowInvalidCertificates: false
+};
+
+// Agents by proxy, CA bundle, protocol and certificate verification, so connections are reused across requests
+const agentCache = new Map();
+
+/**
+ * Get the network settings of a provider, falling back to the shared "network" block and defaults
+ * Headers, cookies and timeouts are merged key by key; the other settings are replaced.
+ * @param {string|null} provider - Provider key (null for the shared settings)
+ * @returns {Object} { provider, proxy, noProxy, headers, cookies, timeouts, caBundle, allowInvalidCertificates }
+ */
+function getNetworkProfile(provider = null) {
+    return { ...getConfigBlock('network', DEFAULT_SETTINGS, provider), provider };
+}
+
+/**
+ * Read the extra CA bundle of a profile, added to Node's default CAs
+ * @param {Object} profile - Network profile
+ * @returns {Array<string>|null} CA certificates, or null to keep the defaults
+ */
+function getCaCertificates(profile) {
+    if (!profile.caBundle) {
+        return null;
+    }
+    const caPath = path.isAbsolute(profile.caBundle) ? profile.caBundle : path.join(PROJECT_ROOT, profile.caBundle);
+    return [...tls.rootCertificates, fs.readFileSync(caPath, 'utf8')];
+}
+
+/**
+ * Check whether a host bypasses the proxy ("example.sk" also matches its subdomains)
+ * @param {Object} profile - Network profile
+ * @param {string} host - Host name
+ * @returns {boolean} True if the host is reached directly
+ */
+function bypassesProxy(profile, host) {
+    return (profile.noProxy || []).some(entry => {
+        const domain = entry.replace(/^\*?\./, '');
+        return host === domain || host.endsWith(`.${domain}`);
+    });
+}
+
+/**
+ * Get the agent for a request: through the proxy, with the extra CAs and/or without certificate
+ * verification (allowInvalidCertificates, logged on every https request)
+ * @param {Object} profile - Network profile
+ * @param {string} url - Request URL
+ * @returns {Object|undefined} Agent, or undefined for Node's default agent
+ */
+function getAgent(profile, url) {
+    const target = new URL(url);
+    const secure = target.protocol === 'https:';
+    const proxy = profile.proxy && !bypassesProxy(profile, target.hostname) ? profile.proxy : null;
+    const insecure = secure && profile.allowInvalidCertificates === true;
+    if (insecure) {
+        console.warn(`🔓 Certificate verification disabled for ${profile.provider || 'all providers'} (allowInvalidCertificates): ${url}`);
+    }
+    if (!proxy && !profile.caBundle && !insecure) {
+        return undefined;
+    }
+
+    const key = JSON.stringify([proxy, profile.caBundle, secure, insecure]);
+    if (!agentCache.has(key)) {
+        const ca = getCaCertificates(profile);
+        const tlsOptions = {
+            ...(ca ? { ca } : {}),
+            ...(insecure ? { rejectUnauthorized: false } : {})
+        };
+        let agent;
+        if (!proxy) {
+            agent = secure ? new https.Agent({ keepAlive: true, ...tlsOptions }) : new http.Agent({ keepAlive: true });
+        } else if (secure) {
+            agent = new HttpsProxyAgent(proxy, tlsOptions);
+            // The proxy agent only applies its own options to the proxy connection; the TLS
+            // connection to the target inside the tunnel takes the request options
+            agent.options = { ...agent.options, ...tlsOptions };
+        } else {
+            agent = new HttpProxyAgent(proxy);
+        }
+        agentCache.set(key, agent);
+    }
+    return agentCache.get(key);
+}
+
+/**
+ * Build the headers of a request: User-Agent, the profile's headers and cookies, then `extra`
+ * @param {Object} profile - Network profile
+ * @param {Object} extra - Request-specific headers
+ * @returns {Object} Headers
+ */
+function getRequestHeaders(profile, extra = {}) {
+    const headers = { 'User-Agent': getUserAgent(), ...profile.headers };
+    const cookies = Object.entries(profile.cookies || {});
+    if (cookies.length > 0) {
+        headers.Cookie = cookies.map(([name, value]) => `${name}=${value}`).join('; ');
+    }
+    return { ...headers, ...extra };
+}
+
+/**
+ * Build axios options for a request
+ * @param {Object} profile - Network profile
+ * @param {string} url - Request URL
+ * @param {string} timeout - Timeout name ('navigation', 'request' or 'download')
+ * @param {Object} headers - Request-specific headers
+ * @returns {Object} axios options (timeout, headers, agents)
+ */
+function getAxiosOptions(profile, url, timeout, headers = {}) {
+    const agent = getAgent(profile, url);
+    const options = {
+        timeout: profile.timeouts[timeout],
+        headers: getRequestHeaders(profile, headers)
+    };
+    if (agent) {
+        options.httpAgent = agent;
+        options.httpsAgent = agent;
+        // The agent already handles the proxy; axios must not apply HTTP(S)_PROXY on top of it
+        options.proxy = false;
+    }
+    return options;
+}
+
+/**
+ * Build the browser context options of a profile (Chromium supports a proxy per incognito context)
+ * @param {Object} profile - Network profile
+ * @returns {Object} { proxyServer, proxyBypassList } or {}
+ */
+function getBrowserContextOptions(profile) {
+    if (!profile.proxy) {
+        return {};
+    }
+    const proxy = new URL(profile.proxy);
+    return {
+        proxyServer: `${proxy.protocol}//${proxy.host}`,
+        proxyBypassList: profile.noProxy || []
+    };
+}
+
+/**
+ * Get the proxy credentials of a profile for page.authenticate()
+ * @param {Object} profile - Network profile
+ * @returns {Object|null} { username, password } or null
+ */
+function getProxyCredentials(profile) {
+    if (!profile.proxy) {
+        return null;
+    }
+    const proxy = new URL(profile.proxy);
+    if (!proxy.username) {
+        return null;
+    }
+    return { username: decodeURIComponent(proxy.username), password: decodeURIComponent(proxy.password) };
+}
+
+module.exports = {
+    getNetworkProfile,
+    getAgent,
+    getCaCertificates,
+    getRequestHeaders,
+    getAxiosOptions,
+    getBrowserContextOptions,
+    getProxyCredentials
+};
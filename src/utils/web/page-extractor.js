@@ -17,7 +17,7 @@ class PageExtractor {
         console.log('Extracting Table of Contents from page 2...');
         
         try {
-            const pdf = require('pdf.js-extract');
+            const pdf = require('../pdf/pdf-extract');
             const pdfExtract = new pdf.PDFExtract();
             
             const data = await new Promise((resolve, reject) => {
@@ -70,7 +70,7 @@ class PageExtractor {
         console.log('Extracting full text from PDF...');
         
         try {
-            const pdf = require('pdf.js-extract');
+            const pdf = require('../pdf/pdf-extract');
             const pdfExtract = new pdf.PDFExtract();
             
             const data = await new Promise((resolve, reject) => {
@@ -0,0 +1,302 @@
+const axios = require('axios');
+const { getConfigBlock } = require('../core/config-loader');
+
+/**
+ * Politeness
+ * Every page load and PDF request goes through beforeRequest(): the host's robots.txt is fetched
+ * once per provider and origin, disallowed URLs are refused, and requests to the same host are spaced
+ * by at least minHostIntervalMs, or the host's Crawl-delay when that is longer.
+ * The scraper identifies itself with one configurable User-Agent, used for HTTP requests, the
+ * browser and robots.txt group matching ("politeness" block of scraper-config.json).
+ */
+
+const DEFAULT_SETTINGS = {
+    userAgent: 'Mozilla/5.0 (compatible; BrAInPdfScraper/1.0)',
+    // robots.txt product token; null: taken from userAgent
+    robotsProductToken: null,
+    respectRobotsTxt: true,
+    minHostIntervalMs: 2000,
+    maxCrawlDelaySeconds: 60,
+    robotsCacheHours: 24
+};
+
+// Parsed robots.txt by provider and origin: { promise, fetchedAt } (unreachable ones are dropped once settled)
+// Keyed by provider too, since providers may reach a host with different network profiles (proxy, CAs, TLS exceptions)
+const robotsCache = new Map();
+
+// Earliest start time of the next request, by host
+const nextRequestAt = new Map();
+
+/**
+ * Get politeness settings from scraper-config.json ("politeness" block), falling back to defaults
+ * @returns {Object} { userAgent, robotsProductToken, respectRobotsTxt, minHostIntervalMs, maxCrawlDelaySeconds, robotsCacheHours }
+ */
+function getPolitenessSettings() {
+    return getConfigBlock('politeness', DEFAULT_SETTINGS);
+}
+
+/**
+ * Get the User-Agent the scraper sends
+ * @returns {string} User-Agent
+ */
+function getUserAgent() {
+    return getPolitenessSettings().userAgent;
+}
+
+/**
+ * Get the product token robots.txt groups are matched against: robotsProductToken when set,
+ * else the name after "compatible;" in the User-Agent, else its first product name
+ * ("Mozilla/5.0 (compatible; BrAInPdfScraper/1.0)" → "BrAInPdfScraper")
+ * @param {Object} settings - Politeness settings
+ * @returns {string} Product token
+ */
+function getProductToken(settings) {
+    if (settings.robotsProductToken) {
+        return settings.robotsProductToken;
+    }
+    const userAgent = String(settings.userAgent || '').trim();
+    const compatible = /compatible;\s*([A-Za-z_-]+)/i.exec(userAgent);
+    if (compatible) {
+        return compatible[1];
+    }
+    const first = /^[A-Za-z_-]+/.exec(userAgent);
+    return first ? first[0] : '';
+}
+
+/**
+ * Parse robots.txt into groups
+ * @param {string} content - robots.txt body
+ * @returns {Array<Object>} [{ agents: ['*'], rules: [{ allow, pattern }], crawlDelay }]
+ */
+function parseRobotsTxt(content) {
+    const groups = [];
+    let current = null;
+    let lastWasAgent = false;
+
+    for (const rawLine of String(content).split(/\r?\n/)) {
+        const line = rawLine.replace(/#.*$/, '').trim();
+        const separator = line.indexOf(':');
+        if (separator === -1) {
+            continue;
+        }
+        const field = line.substring(0, separator).trim().toLowerCase();
+        const value = line.substring(separator + 1).trim();
+
+        if (field === 'user-agent') {
+            // Consecutive User-agent lines share one group
+            if (!lastWasAgent) {
+                current = { agents: [], rules: [], crawlDelay: null };
+                groups.push(current);
+            }
+            current.agents.push(value.toLowerCase());
+            lastWasAgent = true;
+            continue;
+        }
+
+        lastWasAgent = false;
+        if (!current) {
+            continue;
+        }
+        if (field === 'allow' || field === 'disallow') {
+            // An empty Disallow allows everything
+            if (value) {
+                current.rules.push({ allow: field === 'allow', pattern: value });
+            }
+        } else if (field === 'crawl-delay') {
+            const delay = parseFloat(value);
+            if (Number.isFinite(delay) && delay >= 0) {
+                current.crawlDelay = delay;
+            }
+        }
+    }
+
+    return groups;
+}
+
+/**
+ * Pick the rules for a product token, as RFC 9309 specifies: the groups whose User-agent equals
+ * the token ignoring case, else the "*" groups; several matching groups are combined into one
+ * @param {Array<Object>} groups - Parsed groups
+ * @param {string} productToken - Product token (see getProductToken)
+ * @returns {Object|null} Group or null
+ */
+function selectGroup(groups, productToken) {
+    const token = String(productToken || '').toLowerCase();
+    let matching = groups.filter(group => token && group.agents.includes(token));
+    if (matching.length === 0) {
+        matching = groups.filter(group => group.agents.includes('*'));
+    }
+    if (matching.length === 0) {
+        return null;
+    }
+    return {
+        agents: [...new Set(matching.flatMap(group => group.agents))],
+        rules: matching.flatMap(group => group.rules),
+        crawlDelay: matching.map(group => group.crawlDelay).find(delay => delay != null) ?? null
+    };
+}
+
+/**
+ * Check whether a robots.txt path pattern (with * and $) matches a path
+ * @param {string} pattern - Rule pattern
+ * @param {string} urlPath - Path with query string
+ * @returns {boolean} True if the rule applies
+ */
+function matchesPattern(pattern, urlPath) {
+    const anchored = pattern.endsWith('$');
+    const body = anchored ? pattern.slice(0, -1) : pattern;
+    const regex = body.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+    return new RegExp(`^${regex}${anchored ? '$' : ''}`).test(urlPath);
+}
+
+/**
+ * Decide whether a group allows a path (longest matching rule wins, Allow wins ties)
+ * @param {Object|null} group - Selected group
+ * @param {string} urlPath - Path with query string
+ * @returns {boolean} True if allowed
+ */
+function isPathAllowed(group, urlPath) {
+    if (!group) {
+        return true;
+    }
+    let decision = null;
+    for (const rule of group.rules) {
+        if (!matchesPattern(rule.pattern, urlPath)) {
+            continue;
+        }
+        if (!decision || rule.pattern.length > decision.pattern.length ||
+            (rule.pattern.length === decision.pattern.length && rule.allow)) {
+            decision = rule;
+        }
+    }
+    return decision ? decision.allow : true;
+}
+
+/**
+ * Wait until a request to a host may start, reserving the following slot
+ * @param {string} host - Host name
+ * @param {number} gapMs - Minimum gap to the next request
+ */
+async function waitForHost(host, gapMs) {
+    const now = Date.now();
+    const startAt = Math.max(now, nextRequestAt.get(host) || 0);
+    nextRequestAt.set(host, startAt + gapMs);
+    if (startAt > now) {
+        await new Promise(resolve => setTimeout(resolve, startAt - now));
+    }
+}
+
+/**
+ * Fetch and parse the robots.txt of an origin
+ * A missing robots.txt (4xx) allows everything; an unreachable one (5xx, network error)
+ * disallows everything, as RFC 9309 asks.
+ * @param {string} origin - URL origin
+ * @param {Object} settings - Politeness settings
+ * @param {string|null} provider - Provider key whose network profile is used
+ * @returns {Promise<Object>} { groups, disallowAll, status, unavailable: reason when it could not be fetched }
+ */
+async function fetchRobots(origin, settings, provider) {
+    // Required here: the network profile module uses this module's User-Agent
+    const { getNetworkProfile, getAxiosOptions } = require('./network-profile');
+    const robotsUrl = `${origin}/robots.txt`;
+    await waitForHost(new URL(origin).host, settings.minHostIntervalMs);
+
+    try {
+        const response = await axios.get(robotsUrl, {
+            ...getAxiosOptions(getNetworkProfile(provider), robotsUrl, 'request'),
+            responseType: 'text',
+            validateStatus: () => true
+        });
+
+        if (response.status >= 200 && response.status < 300) {
+            const groups = parseRobotsTxt(response.data);
+            const group = selectGroup(groups, getProductToken(settings));
+            const delay = group?.crawlDelay != null ? `, Crawl-delay ${group.crawlDelay}s` : '';
+            console.log(`🤖 robots.txt for ${origin}: ${group ? group.rules.length : 0} rules apply${delay}`);
+            return { groups, disallowAll: false, status: response.status };
+        }
+        if (response.status >= 400 && response.status < 500) {
+            console.log(`🤖 No robots.txt for ${origin} (HTTP ${response.status}), all paths allowed`);
+            return { groups: [], disallowAll: false, status: response.status };
+        }
+        console.warn(`⚠️  robots.txt for ${origin} unavailable (HTTP ${response.status}), treating the host as disallowed`);
+        return { groups: [], disallowAll: true, status: response.status, unavailable: `HTTP ${response.status}` };
+    } catch (error) {
+        console.warn(`⚠️  robots.txt for ${origin} unreachable (${error.message}), treating the host as disallowed`);
+        return { groups: [], disallowAll: true, status: null, unavailable: error.message };
+    }
+}
+
+/**
+ * Get the parsed robots.txt of an origin from the cache, fetching it once when missing or expired
+ * An unreachable robots.txt is only shared by the requests waiting for that fetch, so the next
+ * request (e.g. a retry) fetches it again instead of staying blocked until the cache expires.
+ * @param {string} origin - URL origin
+ * @param {Object} settings - Politeness settings
+ * @param {string|null} provider - Provider key whose network profile is used for the fetch
+ * @returns {Promise<Object>} { groups, disallowAll, status, unavailable }
+ */
+function getRobots(origin, settings, provider) {
+    const key = `${provider || '*'} ${origin}`;
+    const cached = robotsCache.get(key);
+    if (cached && Date.now() - cached.fetchedAt < settings.robotsCacheHours * 3600000) {
+        return cached.promise;
+    }
+    const entry = { promise: fetchRobots(origin, settings, provider), fetchedAt: Date.now() };
+    robotsCache.set(key, entry);
+    entry.promise.then(robots => {
+        if (robots.unavailable && robotsCache.get(key) === entry) {
+            robotsCache.delete(key);
+        }
+    });
+    return entry.promise;
+}
+
+/**
+ * Check robots.txt and wait for the host's turn before a request
+ * @param {string} url - URL about to be requested
+ * @param {string|null} provider - Provider key, for the network profile robots.txt is fetched with
+ * @throws {Error} code 'ROBOTS_DISALLOWED' when robots.txt disallows the URL, 'ROBOTS_UNAVAILABLE'
+ *   when it could not be fetched (the message keeps the HTTP status or network error, so the
+ *   retry policy classifies it like the failure itself)
+ */
+async function beforeRequest(url, provider = null) {
+    const settings = getPolitenessSettings();
+    const target = new URL(url);
+    if (target.protocol !== 'http:' && target.protocol !== 'https:') {
+        return;
+    }
+
+    let crawlDelayMs = 0;
+    if (settings.respectRobotsTxt) {
+        const robots = await getRobots(target.origin, settings, provider);
+        const group = selectGroup(robots.groups, getProductToken(settings));
+
+        if (robots.unavailable) {
+            const error = new Error(`robots.txt for ${target.origin} unavailable (${robots.unavailable}), not requesting ${url}`);
+            error.code = 'ROBOTS_UNAVAILABLE';
+            throw error;
+        }
+        if (robots.disallowAll || !isPathAllowed(group, target.pathname + target.search)) {
+            console.warn(`🚫 Blocked by robots.txt: ${url}`);
+            const error = new Error(`Blocked by robots.txt: ${url}`);
+            error.code = 'ROBOTS_DISALLOWED';
+            throw error;
+        }
+        if (group?.crawlDelay) {
+            crawlDelayMs = Math.min(group.crawlDelay, settings.maxCrawlDelaySeconds) * 1000;
+        }
+    }
+
+    await waitForHost(target.host, Math.max(settings.minHostIntervalMs, crawlDelayMs));
+}
+
+module.exports = {
+    getPolitenessSettings,
+    getUserAgent,
+    getProductToken,
+    parseRobotsTxt,
+    selectGroup,
+    isPathAllowed,
+    beforeRequest
+};